@@ -1,7 +1,16 @@
-const axios = require('axios');
 const winston = require('winston');
 require('dotenv').config();
 const config = require('../config/config.json');
+const { formatSalary, formatExperience } = require('./field-parser');
+const AnalysisCache = require('./analysis-cache');
+const { createProvider } = require('./llm-providers');
+const { ANALYSIS_SCHEMA, parseAnalysisOutput } = require('./analysis-schema');
+const { loadCandidateProfile, mentionsSkill, PROFICIENCY_WEIGHTS } = require('./candidate-profile');
+const { SCORING_FACTORS, resolveWeights, combineFactors, formatBreakdown } = require('./scoring');
+const { normalizeSkillList, skillCategory } = require('./skill-taxonomy');
+const { buildFeedbackModel, feedbackPenalty } = require('./feedback');
+const { getProfile } = require('./profiles');
+const JobStore = require('./job-store');
 
 // Setup logging
 const logger = winston.createLogger({
@@ -16,35 +25,156 @@ const logger = winston.createLogger({
   ]
 });
 
+// Bump whenever createAnalysisPrompt or parseAnalysisResponse changes what an analysis
+// means, so cached analyses from the old prompt are not reused
+const PROMPT_VERSION = 5;
+
 class AIJobAnalyzer {
-  constructor() {
-    this.ollamaUrl = process.env.OLLAMA_HOST || config.ai_analysis.ollama_url || 'http://localhost:11434';
-    this.model = process.env.OLLAMA_MODEL || config.ai_analysis.model;
-    this.minRelevanceScore = config.ai_analysis.min_relevance_score;
+  // `searchProfile` is the named profile (profiles.js) the jobs are scored for
+  constructor(searchProfile = getProfile()) {
+    this.searchProfile = searchProfile;
+    this.provider = createProvider(config.ai_analysis);
+    this.model = this.provider.model;
+    this.minRelevanceScore = searchProfile.min_relevance_score;
+    this.configuredMinRelevanceScore = this.minRelevanceScore;
+    this.weights = resolveWeights(config.ai_analysis.weights);
+    // Cosine similarities mapped to skill_match 1 and 10 in fallback scoring
+    this.similarityRange = ((config.ai_analysis.embeddings || {}).similarity_range) || [0.35, 0.8];
     this.forceFallback = false;
+
+    // Worker pool and rate limit for analyzeBatch
+    this.concurrency = Math.max(1, parseInt(process.env.AI_CONCURRENCY || `${config.ai_analysis.concurrency || 2}`, 10));
+    this.requestsPerMinute = Math.max(1, parseInt(process.env.AI_REQUESTS_PER_MINUTE || `${config.ai_analysis.requests_per_minute || 30}`, 10));
+    this.requestTimeout = parseInt(`${config.ai_analysis.request_timeout_ms || 30000}`, 10);
+    this.maxRetries = Math.max(0, parseInt(`${config.ai_analysis.max_retries === undefined ? 2 : config.ai_analysis.max_retries}`, 10));
+    this.maxRepairAttempts = Math.max(0, parseInt(`${config.ai_analysis.max_repair_attempts === undefined ? 1 : config.ai_analysis.max_repair_attempts}`, 10));
+    this.nextRequestAt = 0;
+
+    this.profile = loadCandidateProfile(searchProfile);
+    // Learned from job labels by loadFeedback; null until then
+    this.feedback = null;
+    this.cache = new AnalysisCache({
+      model: `${this.provider.name}/${this.model}`,
+      promptVersion: PROMPT_VERSION,
+      profile: this.candidateProfile()
+    }, searchProfile.analysis_cache_file);
+  }
+
+  // Everything about the candidate that the prompt sees; also the cache's profile key.
+  // The profile's user section, enriched by its resume profile when one has been ingested.
+  candidateProfile() {
+    return this.profile;
+  }
+
+  // Reserve the next request slot so concurrent workers together stay under requestsPerMinute
+  async waitForRateLimit() {
+    const interval = 60000 / this.requestsPerMinute;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextRequestAt);
+    this.nextRequestAt = slot + interval;
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+
+  // One LLM call cut off after requestTimeout, whatever the provider's own HTTP timeout
+  // (a streaming or unset one would otherwise hold the worker)
+  async callLLMWithTimeout(prompt, options = {}) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`LLM call timed out after ${this.requestTimeout}ms`)), this.requestTimeout);
+    });
+    try {
+      return await Promise.race([this.callLLM(prompt, options), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Rate-limited LLM call, retried with exponential backoff on errors and timeouts
+  async callLLMWithRetry(prompt, job, options = {}) {
+    let lastError;
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      try {
+        await this.waitForRateLimit();
+        return await this.callLLMWithTimeout(prompt, options);
+      } catch (error) {
+        lastError = error;
+        if (attempt < this.maxRetries) {
+          const backoff = 1000 * 2 ** attempt;
+          logger.warn(`LLM call failed for: ${job.title} (attempt ${attempt + 1}/${this.maxRetries + 1}), retrying in ${backoff}ms. Reason: ${error.message}`);
+          await new Promise(resolve => setTimeout(resolve, backoff));
+        }
+      }
+    }
+    throw lastError;
   }
 
   async analyzeJob(job) {
+    if (!this.cache.loaded) await this.cache.load();
+
+    // A cached LLM analysis beats both a new LLM call and fallback scoring. The final
+    // score is recombined so weight changes apply without re-asking the model.
+    const cached = this.cache.get(job);
+    if (cached) {
+      const { score, breakdown } = this.combineScore(cached.score_breakdown);
+      return {
+        ...job,
+        ai_analysis: {
+          ...cached,
+          relevance_score: score,
+          score_breakdown: breakdown,
+          key_skills: normalizeSkillList(cached.key_skills),
+          cache_hit: true
+        },
+        is_relevant: score >= this.minRelevanceScore
+      };
+    }
+
     if (this.forceFallback) {
       return this.analyzeWithFallback(job);
     }
     try {
       const prompt = this.createAnalysisPrompt(job);
-      const response = await this.callOllama(prompt);
-      const analysis = this.parseAnalysisResponse(response);
+      let response = await this.callLLMWithRetry(prompt, job, { schema: ANALYSIS_SCHEMA });
+      let analysis = this.parseAnalysisResponse(response);
+      let attempts = 1;
+
+      // Show the model its own answer and what is wrong with it
+      while (analysis.status === 'invalid' && attempts <= this.maxRepairAttempts) {
+        logger.warn(`Invalid analysis JSON for: ${job.title} (${analysis.errors.join('; ')}). Asking the model to correct it`);
+        const correction = this.createCorrectionPrompt(prompt, response, analysis.errors);
+        response = await this.callLLMWithRetry(correction, job, { schema: ANALYSIS_SCHEMA });
+        analysis = this.parseAnalysisResponse(response);
+        attempts++;
+        if (analysis.status === 'valid') analysis.status = 'repaired';
+      }
+
+      if (analysis.status === 'invalid') {
+        logger.warn(`No valid analysis JSON for: ${job.title} after ${attempts} attempt(s). Using fallback. Reason: ${analysis.errors.join('; ')}`);
+        return this.analyzeWithFallback(job);
+      }
       
+      const { score, breakdown } = this.combineScore(analysis.factors);
+      const aiAnalysis = {
+        relevance_score: score,
+        score_breakdown: breakdown,
+        summary: analysis.summary,
+        key_skills: normalizeSkillList(analysis.skills),
+        pros: analysis.pros,
+        cons: analysis.cons,
+        salary_estimate: analysis.salary,
+        parse_status: analysis.status,
+        parse_attempts: attempts,
+        model: this.model,
+        analyzed_at: new Date().toISOString()
+      };
+      this.cache.set(job, aiAnalysis);
+
       return {
         ...job,
-        ai_analysis: {
-          relevance_score: analysis.score,
-          summary: analysis.summary,
-          key_skills: analysis.skills,
-          pros: analysis.pros,
-          cons: analysis.cons,
-          salary_estimate: analysis.salary,
-          analyzed_at: new Date().toISOString()
-        },
-        is_relevant: analysis.score >= this.minRelevanceScore
+        ai_analysis: aiAnalysis,
+        is_relevant: score >= this.minRelevanceScore
       };
     } catch (error) {
       logger.warn(`LLM analysis failed for: ${job.title}. Using fallback. Reason: ${error.message}`);
@@ -53,28 +183,36 @@ class AIJobAnalyzer {
   }
 
   createAnalysisPrompt(job) {
-    const userSkills = config.user.skills.join(', ');
-    const preferredRoles = config.user.preferred_roles.join(', ');
-    const experienceLevel = config.user.experience_level;
+    const profile = this.candidateProfile();
+    const userSkills = profile.skill_details
+      .map(skill => `${skill.name} (${skill.proficiency}${skill.years ? `, ${skill.years} yrs` : ''})`)
+      .join(', ');
+    const preferredRoles = profile.preferred_roles.join(', ');
+    const experienceLevel = profile.experience_level;
 
     return `You are an AI job analyst. Analyze this job posting and provide a relevance score from 1-10 for a ${experienceLevel} candidate.
 
 Candidate Profile:
 - Skills: ${userSkills}
 - Preferred Roles: ${preferredRoles}
-- Experience Level: ${experienceLevel}
-- Location Preference: ${config.locations.primary.join(', ')}
+- Experience Level: ${experienceLevel}${this.describeBackground(profile)}
+- Location Preference: ${profile.locations.join(', ')}
 
 Job Details:
 - Title: ${job.title}
 - Company: ${job.company}
 - Location: ${job.location}
-- Source: ${job.source}
+- Source: ${job.source}${this.describeStructuredFields(job)}
 - Description: ${job.description}
+${this.describeFeedbackExamples()}
+Score each factor from 1 (poor) to 10 (excellent) with a one-sentence reason:
+${SCORING_FACTORS.map(factor => `- ${factor.key}: ${factor.prompt}`).join('\n')}
 
-Please respond in the following JSON format:
+Respond with only a JSON object in this format, with no other text:
 {
-  "score": <number 1-10>,
+  "factors": {
+${SCORING_FACTORS.map(factor => `    "${factor.key}": { "score": <integer 1-10>, "reason": "<one sentence>" }`).join(',\n')}
+  },
   "summary": "<brief 2-3 sentence summary>",
   "skills": ["<skill1>", "<skill2>", "<skill3>"],
   "pros": ["<pro1>", "<pro2>"],
@@ -82,167 +220,279 @@ Please respond in the following JSON format:
   "salary": "<estimated salary range in INR>"
 }
 
-Consider:
-1. Skill match percentage
-2. Role alignment
-3. Location preference
-4. Company reputation
-5. Growth potential
-6. Experience level fit
-
 Be honest and critical in your assessment.`;
   }
 
-  async callOllama(prompt) {
-    try {
-      const response = await axios.post(`${this.ollamaUrl}/api/generate`, {
-        model: this.model,
-        prompt: prompt,
-        stream: false,
-        options: {
-          temperature: parseFloat(process.env.OLLAMA_TEMPERATURE || `${config.ai_analysis.temperature || 0.3}`),
-          num_predict: parseInt(process.env.OLLAMA_MAX_TOKENS || `${config.ai_analysis.max_tokens || 512}`)
-        }
-      }, {
-        timeout: 30000,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+  // Weighted final score and per-factor breakdown (see scoring.js); 1 when nothing was scored
+  combineScore(factors) {
+    const { score, breakdown } = combineFactors(factors, this.weights);
+    return { score: score === null ? 1 : score, breakdown };
+  }
 
-      return response.data.response;
-    } catch (error) {
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error('Ollama service is not running. Please start Ollama first.');
-      }
-      throw new Error(`Ollama API error: ${error.message}`);
-    }
+  // Few-shot examples from jobs the candidate has labelled
+  describeFeedbackExamples() {
+    const examples = this.feedback && this.feedback.enabled ? this.feedback.examples : [];
+    if (examples.length === 0) return '';
+    return `
+Jobs the candidate labelled earlier (score similar jobs the same way):
+${examples.map(example => `- ${example.title} at ${example.company}: ${example.label.replace('_', ' ')}${example.score !== null ? ` (you scored it ${example.score})` : ''}`).join('\n')}
+`;
+  }
+
+  // Resume-derived lines for the candidate section, when a profile has been ingested
+  describeBackground(profile) {
+    const lines = [];
+    if (profile.years_experience !== null) lines.push(`Total Experience: ${profile.years_experience} years`);
+    if (profile.past_titles.length > 0) lines.push(`Past Titles: ${profile.past_titles.join(', ')}`);
+    if (profile.domains.length > 0) lines.push(`Domains: ${profile.domains.join(', ')}`);
+    if (profile.education.length > 0) lines.push(`Education: ${profile.education.map(entry => entry.degree).join('; ')}`);
+    return lines.map(line => `\n- ${line}`).join('');
   }
 
+  createCorrectionPrompt(prompt, response, errors) {
+    return `${prompt}
+
+Your previous answer was:
+${String(response || '').slice(0, 2000)}
+
+It was rejected because: ${errors.join('; ')}.
+Reply again with only the corrected JSON object. Every factor under "factors" needs an integer "score" from 1 to 10 and a "reason", and "skills", "pros" and "cons" must be arrays of strings.`;
+  }
+
+  // Extra "- Field: value" prompt lines for whatever structured data the scraper found
+  describeStructuredFields(job) {
+    const lines = [];
+    if (job.salary) lines.push(`Salary: ${formatSalary(job.salary)}`);
+    if (job.experience) lines.push(`Experience Required: ${formatExperience(job.experience)}`);
+    if (job.work_mode) lines.push(`Work Mode: ${job.work_mode}`);
+    if (job.posted_at) lines.push(`Posted: ${job.posted_at.slice(0, 10)}`);
+    return lines.map(line => `\n- ${line}`).join('');
+  }
+
+  async callLLM(prompt, options = {}) {
+    return this.provider.generate(prompt, options);
+  }
+
+  // { factors, summary, skills, pros, cons, salary, status, errors }; status is "valid",
+  // "repaired" or "invalid" (see analysis-schema)
   parseAnalysisResponse(response) {
-    try {
-      // Try to extract JSON from the response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return {
-          score: Math.max(1, Math.min(10, parseInt(parsed.score) || 1)),
-          summary: parsed.summary || 'No summary provided',
-          skills: Array.isArray(parsed.skills) ? parsed.skills : [],
-          pros: Array.isArray(parsed.pros) ? parsed.pros : [],
-          cons: Array.isArray(parsed.cons) ? parsed.cons : [],
-          salary: parsed.salary || 'Not specified'
-        };
-      }
-    } catch (error) {
-      logger.warn('Failed to parse AI response as JSON:', error.message);
+    const { value, status, errors } = parseAnalysisOutput(response);
+    if (!value) {
+      return { status, errors };
+    }
+    return {
+      factors: value.factors,
+      summary: value.summary || 'No summary provided',
+      skills: value.skills,
+      pros: value.pros,
+      cons: value.cons,
+      salary: value.salary || 'Not specified',
+      status,
+      errors
+    };
+  }
+
+  // Penalty list, prompt examples and calibrated threshold from the labels in the job store
+  async loadFeedback(store = null) {
+    if (!this.feedback) {
+      const records = (store || await new JobStore(this.searchProfile.jobs_file).load()).all();
+      this.feedback = buildFeedbackModel(records, this.configuredMinRelevanceScore);
     }
+    this.cache.setExamples(this.feedback.enabled ? this.feedback.examples : []);
+    if (!this.feedback.enabled) return this.feedback;
 
-    // Fallback parsing for non-JSON responses
-    const scoreMatch = response.match(/score["']?\s*:?\s*(\d+)/i);
-    const score = scoreMatch ? parseInt(scoreMatch[1]) : 5;
+    const { calibration } = this.feedback;
+    if (calibration) {
+      this.minRelevanceScore = calibration.threshold;
+      logger.info(`min_relevance_score calibrated from ${calibration.labeled} labelled jobs: ${this.configuredMinRelevanceScore} -> ${calibration.threshold} (accuracy ${calibration.accuracy})`);
+    }
+    return this.feedback;
+  }
 
+  // Take the learned penalty off the score; the cached analysis itself stays unpenalised
+  applyFeedback(job) {
+    if (!this.feedback || !this.feedback.enabled) return job;
+    const penalty = feedbackPenalty(job, this.feedback);
+    if (penalty.points === 0) return job;
+
+    const score = Math.max(1, Math.round((job.ai_analysis.relevance_score - penalty.points) * 10) / 10);
     return {
-      score: Math.max(1, Math.min(10, score)),
-      summary: this.extractSummary(response),
-      skills: this.extractSkills(response),
-      pros: [],
-      cons: [],
-      salary: 'Not specified'
+      ...job,
+      ai_analysis: { ...job.ai_analysis, relevance_score: score, feedback_penalty: penalty },
+      is_relevant: score >= this.minRelevanceScore
     };
   }
 
-  extractSummary(response) {
-    const lines = response.split('\n').filter(line => line.trim());
-    return lines.slice(0, 2).join(' ').substring(0, 200) + '...';
+  feedbackSummary() {
+    if (!this.feedback) return null;
+    return {
+      enabled: this.feedback.enabled,
+      labels: this.feedback.labels,
+      penalized_companies: this.feedback.penalties.companies.length,
+      penalized_keywords: this.feedback.penalties.keywords.length,
+      examples: this.feedback.examples.length,
+      min_relevance_score: this.minRelevanceScore,
+      configured_min_relevance_score: this.configuredMinRelevanceScore
+    };
   }
 
-  extractSkills(response) {
-    const skills = [];
-    const skillKeywords = config.user.skills;
-    
-    skillKeywords.forEach(skill => {
-      if (response.toLowerCase().includes(skill.toLowerCase())) {
-        skills.push(skill);
-      }
-    });
-    
-    return skills.slice(0, 5);
-  }
+  // `signal` stops the workers from starting more jobs (what is done stays cached);
+  // `onProgress(completed, total)` follows each finished job. `unreported` are jobs
+  // analyzed in an earlier run whose report never went out; they join the result as stored.
+  async analyzeBatch(jobs, { signal = null, onProgress = null, unreported = [] } = {}) {
+    await this.cache.load();
+    await this.loadFeedback();
+    if (this.cache.invalidatedOnLoad) {
+      logger.info('Candidate profile changed since the analysis cache was built - starting with an empty cache');
+    }
 
-  async analyzeBatch(jobs) {
-    logger.info(`Starting AI analysis for ${jobs.length} jobs`);
-    const analyzedJobs = [];
-    
-    for (let i = 0; i < jobs.length; i++) {
-      const job = jobs[i];
-      logger.info(`Analyzing job ${i + 1}/${jobs.length}: ${job.title}`);
-      
-      const analyzedJob = await this.analyzeJob(job);
-      analyzedJobs.push(analyzedJob);
-      
-      // Add delay between requests to avoid overwhelming Ollama
-      if (i < jobs.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    const workers = Math.min(this.concurrency, jobs.length);
+    logger.info(`Starting AI analysis for ${jobs.length} jobs (${workers} workers, ${this.requestsPerMinute} requests/min)`);
+    const analyzedJobs = new Array(jobs.length);
+    const start = Date.now();
+    let nextIndex = 0;
+    let completed = 0;
+
+    // Each worker pulls the next job only when it finishes one, so at most `workers`
+    // requests are in flight; results land at their input index to keep order
+    const worker = async () => {
+      while (nextIndex < jobs.length && !(signal && signal.aborted)) {
+        const i = nextIndex++;
+        analyzedJobs[i] = this.applyFeedback(await this.analyzeJob(jobs[i]));
+        completed++;
+        if (onProgress) onProgress(completed, jobs.length);
+
+        if (completed % 5 === 0 || completed === jobs.length) {
+          const elapsed = (Date.now() - start) / 1000;
+          const eta = Math.round((elapsed / completed) * (jobs.length - completed));
+          logger.info(`Analyzed ${completed}/${jobs.length} jobs in ${Math.round(elapsed)}s (ETA ${eta}s)`);
+        }
       }
-    }
+    };
+    await Promise.all(Array.from({ length: workers }, worker));
+    await this.cache.save();
+    if (signal) signal.throwIfAborted();
     
-    const relevantJobs = analyzedJobs.filter(job => job.is_relevant);
-    logger.info(`AI analysis completed: ${relevantJobs.length}/${jobs.length} jobs are relevant`);
+    const allJobs = [...analyzedJobs, ...unreported];
+    const relevantJobs = allJobs.filter(job => job.is_relevant);
+    logger.info(`AI analysis completed: ${relevantJobs.length}/${allJobs.length} jobs are relevant (${unreported.length} carried over unreported)`);
     
     return {
-      all_jobs: analyzedJobs,
+      all_jobs: allJobs,
       relevant_jobs: relevantJobs,
       analysis_summary: {
         total_analyzed: jobs.length,
+        unreported_count: unreported.length,
         relevant_count: relevantJobs.length,
-        average_score: analyzedJobs.reduce((sum, job) => sum + job.ai_analysis.relevance_score, 0) / jobs.length,
+        average_score: analyzedJobs.length > 0
+          ? analyzedJobs.reduce((sum, job) => sum + job.ai_analysis.relevance_score, 0) / analyzedJobs.length
+          : null,
         top_companies: this.getTopCompanies(relevantJobs),
-        top_skills: this.getTopSkills(relevantJobs)
+        top_skills: this.getTopSkills(relevantJobs),
+        top_skill_categories: this.getTopSkillCategories(relevantJobs),
+        parse_status: this.countParseStatus(analyzedJobs),
+        weights: this.weights,
+        cache: this.cache.stats(),
+        feedback: this.feedbackSummary()
       }
     };
   }
 
+  // Keyword scoring for when the LLM is unavailable. Growth and company reputation
+  // cannot be judged from keywords, so they are left unscored.
   analyzeWithFallback(job) {
-    const text = `${job.title} ${job.company} ${job.location} ${job.description || ''}`.toLowerCase();
-    const skills = (config.user.skills || []);
-    const includeKeywords = (config.filters && config.filters.include_keywords) || [];
-    const primaryLocations = (config.locations && config.locations.primary) || [];
-
-    let matchCount = 0;
-    const matchedSkills = [];
-    skills.forEach(s => {
-      if (s && text.includes(s.toLowerCase())) {
-        matchCount++;
-        matchedSkills.push(s);
+    const text = `${job.title} ${job.company} ${job.location} ${job.description || ''}`;
+    const profile = this.candidateProfile();
+    const includeKeywords = this.searchProfile.filters.include_keywords || [];
+    const factors = {};
+
+    // Skill matches weighted by proficiency; ten intermediate matches score 10
+    const matchedSkills = profile.skill_details.filter(skill => skill.name && mentionsSkill(text, skill.name));
+    const weighted = matchedSkills.reduce((sum, skill) => sum + PROFICIENCY_WEIGHTS[skill.proficiency], 0);
+    const skillRatio = Math.min(1, weighted / Math.max(3, Math.min(10, profile.skill_details.length)));
+    factors.skill_match = {
+      score: 1 + Math.round(skillRatio * 9),
+      reason: matchedSkills.length > 0
+        ? `Mentions ${matchedSkills.map(skill => skill.name).join(', ')}`
+        : 'None of your skills are mentioned'
+    };
+
+    // Embedding similarity catches related skills and titles that keywords miss
+    // ("Platform Engineer" for a DevOps profile); use it when it scores higher
+    if (typeof job.semantic_similarity === 'number') {
+      const [low, high] = this.similarityRange;
+      const semanticRatio = Math.max(0, Math.min(1, (job.semantic_similarity - low) / (high - low)));
+      const semanticScore = 1 + Math.round(semanticRatio * 9);
+      if (semanticScore > factors.skill_match.score) {
+        factors.skill_match = { score: semanticScore, reason: `Semantic similarity ${job.semantic_similarity} to your profile` };
       }
-    });
+    }
 
-    let score = Math.round((matchCount / Math.max(3, skills.length)) * 8); // up to 8 points
-    includeKeywords.forEach(k => { if (k && text.includes(k.toLowerCase())) score += 1; });
+    // Title seen before or wanted, else include keywords in the posting
+    const titleWords = title => title.toLowerCase().split(/\W+/).filter(word => word.length > 2);
+    const jobTitleWords = titleWords(job.title || '');
+    const matchedTitle = [...profile.past_titles, ...profile.preferred_roles]
+      .find(title => {
+        const words = titleWords(title);
+        return words.length > 0 && words.every(word => jobTitleWords.includes(word));
+      });
+    const matchedKeywords = includeKeywords.filter(k => k && text.toLowerCase().includes(k.toLowerCase()));
+    factors.role_alignment = matchedTitle
+      ? { score: 9, reason: `Title matches "${matchedTitle}"` }
+      : matchedKeywords.length > 0
+        ? { score: 6, reason: `Mentions ${matchedKeywords.join(', ')}` }
+        : { score: 3, reason: 'Title does not match your preferred roles or past titles' };
 
-    const locMatch = primaryLocations.some(l => (job.location || '').toLowerCase().includes(l.toLowerCase()));
-    if (locMatch) score += 1;
+    const locMatch = profile.locations.some(l => (job.location || '').toLowerCase().includes(l.toLowerCase()));
+    factors.location = locMatch
+      ? { score: 10, reason: `${job.location} is a preferred location` }
+      : job.work_mode === 'remote'
+        ? { score: 8, reason: 'Remote' }
+        : { score: 3, reason: `${job.location || 'Location'} is not a preferred location` };
 
-    score = Math.max(1, Math.min(10, score));
+    // Experience the job asks for against the candidate's
+    if (job.experience && profile.years_experience !== null) {
+      const { min, max } = job.experience;
+      const asked = formatExperience(job.experience);
+      if (profile.years_experience < min - 1) {
+        factors.experience_fit = { score: 3, reason: `Asks for ${asked}; you have ${profile.years_experience}` };
+      } else if (max !== null && profile.years_experience > max + 3) {
+        factors.experience_fit = { score: 5, reason: `Asks for ${asked}; you may be overqualified` };
+      } else {
+        factors.experience_fit = { score: 9, reason: `Asks for ${asked}; you have ${profile.years_experience}` };
+      }
+    }
 
-    const summary = `Fallback scoring based on skill & keyword matches (${matchedSkills.join(', ')})${locMatch ? ' and location' : ''}.`;
+    const { score, breakdown } = this.combineScore(factors);
+    const summary = `Fallback scoring: ${formatBreakdown(breakdown)}.`;
 
     return {
       ...job,
       ai_analysis: {
         relevance_score: score,
         summary,
-        key_skills: matchedSkills.slice(0, 5),
+        key_skills: matchedSkills.slice(0, 5).map(skill => skill.name),
         pros: [],
         cons: [],
         salary_estimate: 'Not specified',
+        score_breakdown: breakdown,
+        parse_status: 'fallback',
         analyzed_at: new Date().toISOString()
       },
       is_relevant: score >= this.minRelevanceScore
     };
   }
 
+  // How many scores came from schema-valid JSON, repaired JSON and fallback scoring
+  countParseStatus(jobs) {
+    const counts = { valid: 0, repaired: 0, fallback: 0 };
+    jobs.forEach(job => {
+      const status = job.ai_analysis.parse_status || 'fallback';
+      counts[status] = (counts[status] || 0) + 1;
+    });
+    return counts;
+  }
+
   getTopCompanies(jobs) {
     const companies = {};
     jobs.forEach(job => {
@@ -255,10 +505,11 @@ Be honest and critical in your assessment.`;
       .map(([company, count]) => ({ company, count }));
   }
 
+  // Counted on canonical names, so "JS" and "JavaScript" add up
   getTopSkills(jobs) {
     const skills = {};
     jobs.forEach(job => {
-      job.ai_analysis.key_skills.forEach(skill => {
+      normalizeSkillList(job.ai_analysis.key_skills).forEach(skill => {
         skills[skill] = (skills[skill] || 0) + 1;
       });
     });
@@ -266,27 +517,33 @@ Be honest and critical in your assessment.`;
     return Object.entries(skills)
       .sort(([,a], [,b]) => b - a)
       .slice(0, 10)
-      .map(([skill, count]) => ({ skill, count }));
+      .map(([skill, count]) => ({ skill, category: skillCategory(skill), count }));
+  }
+
+  // Jobs asking for at least one skill in each taxonomy category
+  getTopSkillCategories(jobs) {
+    const categories = {};
+    jobs.forEach(job => {
+      new Set(normalizeSkillList(job.ai_analysis.key_skills).map(skillCategory)).forEach(category => {
+        categories[category] = (categories[category] || 0) + 1;
+      });
+    });
+
+    return Object.entries(categories)
+      .sort(([,a], [,b]) => b - a)
+      .map(([category, count]) => ({ category, count }));
   }
 
   async testConnection() {
-    try {
-      const response = await axios.get(`${this.ollamaUrl}/api/tags`, { timeout: 5000 });
-      const models = response.data.models || [];
-      const target = (this.model || '').trim();
-      const hasModel = target ? models.some(m => m.name.includes(target)) : models.length > 0;
-      
-      if (!hasModel) {
-        logger.warn(`Model ${this.model} not found. Available models:`, models.map(m => m.name));
-        return false;
-      }
-      
-      logger.info('Ollama connection successful');
-      return true;
-    } catch (error) {
-      logger.error('Ollama connection failed:', error.message);
+    const { ok, models, error } = await this.provider.healthCheck();
+    if (!ok) {
+      logger.error(`${this.provider.label} connection failed: ${error}`);
+      if (models.length > 0) logger.warn('Available models:', models);
       return false;
     }
+    
+    logger.info(`${this.provider.label} connection successful (provider: ${this.provider.name}, model: ${this.model})`);
+    return true;
   }
 }
 
@@ -300,7 +557,7 @@ if (require.main === module) {
     // Test connection
     const connected = await analyzer.testConnection();
     if (!connected) {
-      console.error('Cannot connect to Ollama. Please ensure it is running.');
+      console.error(`Cannot connect to ${analyzer.provider.label}. Please ensure it is running.`);
       process.exit(1);
     }
     
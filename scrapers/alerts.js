@@ -0,0 +1,144 @@
+// Instant alerts: a short notification per exceptional job, sent as soon as a run has
+// scored it rather than in the next digest. A job alerts when it matches a rule in the
+// profile's `alerts.rules`; every condition a rule sets must hold:
+//   min_score    relevance score at least this
+//   companies    company name contains one of these
+//   keywords     title or description mentions one of these
+//   min_salary   top of the salary range at least this (same unit as filters.min_salary)
+// Alerts wait out quiet hours, stop at max_per_day, and go out once per job: the job
+// store records which jobs have alerted.
+
+const config = require('../config/config.json');
+const { notifyAlert } = require('./notifiers');
+const { canonicalJobId } = require('./job-store');
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function list(value) {
+  return [].concat(value || []).map(entry => String(entry).trim()).filter(Boolean);
+}
+
+const CONDITIONS = {
+  min_score: (job, minScore) => !!job.ai_analysis && job.ai_analysis.relevance_score >= minScore,
+  companies: (job, companies) => {
+    const company = String(job.company || '').toLowerCase();
+    return list(companies).some(name => company.includes(name.toLowerCase()));
+  },
+  keywords: (job, keywords) => {
+    const text = `${job.title || ''}\n${job.description || ''}`;
+    return list(keywords).some(keyword => new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i').test(text));
+  },
+  min_salary: (job, minSalary) => {
+    const top = job.salary && (job.salary.max || job.salary.min);
+    return !!top && top >= minSalary;
+  }
+};
+
+// The conditions a rule sets; empty lists and nulls are left out, so a rule whose
+// lists are still empty never matches
+function ruleConditions(rule) {
+  return Object.keys(CONDITIONS).filter(name => {
+    const value = rule[name];
+    return Array.isArray(value) ? list(value).length > 0 : value !== undefined && value !== null && value !== '';
+  });
+}
+
+// Names of the rules the job matches
+function matchingRules(job, rules = []) {
+  return rules
+    .map((rule, index) => ({ rule, name: rule.name || `rule-${index + 1}` }))
+    .filter(({ rule }) => rule.enabled !== false)
+    .filter(({ rule }) => {
+      const conditions = ruleConditions(rule);
+      return conditions.length > 0 && conditions.every(name => CONDITIONS[name](job, rule[name]));
+    })
+    .map(({ name }) => name);
+}
+
+function alertTimezone(settings) {
+  return settings.timezone || (config.schedule || {}).timezone || process.env.TZ || 'Asia/Kolkata';
+}
+
+// Minutes since local midnight and the local date in `timezone`
+function localTime(date, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+  return {
+    day: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+function clockMinutes(value) {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+}
+
+// Whether `date` falls in quiet hours ({ start: "22:00", end: "07:00" }, which may wrap midnight)
+function inQuietHours(date, quietHours, timezone) {
+  if (!quietHours || !quietHours.start || !quietHours.end) return false;
+  const { minutes } = localTime(date, timezone);
+  const start = clockMinutes(quietHours.start);
+  const end = clockMinutes(quietHours.end);
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+// Alert on the jobs a run has just analyzed. Jobs already alerted or already sent in a
+// digest are skipped; jobs held back by quiet hours or the daily cap are alerted by a
+// later scan that analyzes them again. Records each alert on the job in `store` (the
+// caller saves it).
+async function sendAlerts(profile, store, analyzedJobs, { now = new Date(), env = process.env } = {}) {
+  const settings = profile.alerts || {};
+  const summary = { matched: 0, sent: 0, held: 0, capped: 0, failed: 0, jobs: [] };
+  if (!settings.enabled || !Array.isArray(settings.rules) || settings.rules.length === 0) {
+    return { ...summary, disabled: true };
+  }
+
+  const candidates = analyzedJobs
+    .map(job => ({ job, record: store.get(canonicalJobId(job)), rules: matchingRules(job, settings.rules) }))
+    .filter(({ record, rules }) => rules.length > 0 && !(record && (record.alert || record.reported_at)))
+    .sort((a, b) => (b.job.ai_analysis.relevance_score || 0) - (a.job.ai_analysis.relevance_score || 0));
+  summary.matched = candidates.length;
+  if (candidates.length === 0) return summary;
+
+  const timezone = alertTimezone(settings);
+  if (inQuietHours(now, settings.quiet_hours, timezone)) {
+    summary.held = candidates.length;
+    return summary;
+  }
+
+  const today = localTime(now, timezone).day;
+  const sentToday = store.all()
+    .filter(record => record.alert && localTime(new Date(record.alert.sent_at), timezone).day === today)
+    .length;
+  const allowed = settings.max_per_day ? Math.max(0, settings.max_per_day - sentToday) : candidates.length;
+  summary.capped = Math.max(0, candidates.length - allowed);
+
+  for (const { job, rules } of candidates.slice(0, allowed)) {
+    const delivery = await notifyAlert(profile, { job, rules }, { channels: settings.channels || null, env });
+    const sent = delivery.channels.filter(channel => channel.status === 'sent').map(channel => channel.channel);
+    summary.jobs.push({ id: canonicalJobId(job), title: job.title, company: job.company, rules, channels: delivery.channels });
+    if (sent.length === 0) {
+      summary.failed++;
+      continue;
+    }
+    summary.sent++;
+    store.recordAlert(canonicalJobId(job), { rules, channels: sent, sent_at: now.toISOString() });
+  }
+  return summary;
+}
+
+module.exports = {
+  matchingRules,
+  inQuietHours,
+  sendAlerts
+};
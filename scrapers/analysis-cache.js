@@ -0,0 +1,132 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config.json');
+
+const cacheConfig = (config.ai_analysis && config.ai_analysis.cache) || {};
+const DEFAULT_CACHE_PATH = path.join(__dirname, '..', cacheConfig.file || 'data/analysis-cache.json');
+const DAY_MS = 86400000;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// The job fields that reach the prompt. posted_at is left out: it is derived from
+// "N days ago" and shifts every run for an unchanged listing.
+function jobFingerprint(job) {
+  return {
+    title: normalizeText(job.title),
+    company: normalizeText(job.company),
+    location: normalizeText(job.location),
+    description: normalizeText(job.description),
+    salary: job.salary ? [job.salary.min, job.salary.max, job.salary.currency] : null,
+    experience: job.experience ? [job.experience.min, job.experience.max] : null,
+    work_mode: job.work_mode || null
+  };
+}
+
+// LLM analyses keyed by job content, prompt template version, model, candidate profile
+// and the feedback examples in the prompt. The file remembers the profile hash it was
+// built for and starts empty when the profile changes.
+class AnalysisCache {
+  constructor({ model, promptVersion, profile }, filePath = DEFAULT_CACHE_PATH) {
+    this.filePath = filePath;
+    this.enabled = cacheConfig.enabled !== false;
+    this.ttlMs = (cacheConfig.ttl_days || 30) * DAY_MS;
+    this.model = model;
+    this.promptVersion = promptVersion;
+    this.profileHash = hash(profile);
+    this.examplesHash = null;
+    this.entries = {};
+    this.loaded = false;
+    this.invalidatedOnLoad = false;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  async load() {
+    this.loaded = true;
+    if (!this.enabled || !await fs.pathExists(this.filePath)) return this;
+
+    try {
+      const data = await fs.readJson(this.filePath);
+      if (data.profile_hash !== this.profileHash) {
+        this.invalidatedOnLoad = Object.keys(data.entries || {}).length > 0;
+        return this;
+      }
+      const cutoff = Date.now() - this.ttlMs;
+      Object.entries(data.entries || {}).forEach(([key, entry]) => {
+        if (new Date(entry.cached_at).getTime() >= cutoff) this.entries[key] = entry;
+      });
+    } catch (_) {
+      // A corrupt cache is just an empty cache
+    }
+    return this;
+  }
+
+  async save() {
+    if (!this.enabled) return;
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.writeJson(this.filePath, {
+      profile_hash: this.profileHash,
+      updated_at: new Date().toISOString(),
+      entries: this.entries
+    });
+  }
+
+  async clear() {
+    this.entries = {};
+    await fs.remove(this.filePath);
+  }
+
+  // The few-shot examples from labelled jobs that the prompt will include. New labels
+  // change the prompt, so they key new entries; older entries age out through the TTL.
+  setExamples(examples) {
+    this.examplesHash = examples && examples.length > 0 ? hash(examples) : null;
+  }
+
+  keyFor(job) {
+    return hash({
+      job: jobFingerprint(job),
+      prompt_version: this.promptVersion,
+      model: this.model,
+      profile: this.profileHash,
+      // Left out without examples so those keys match entries cached before examples existed
+      ...(this.examplesHash ? { examples: this.examplesHash } : {})
+    });
+  }
+
+  get(job) {
+    if (!this.enabled) return null;
+    const entry = this.entries[this.keyFor(job)];
+    if (entry) {
+      this.hits++;
+      return entry.analysis;
+    }
+    this.misses++;
+    return null;
+  }
+
+  set(job, analysis) {
+    if (!this.enabled) return;
+    this.entries[this.keyFor(job)] = { analysis, cached_at: new Date().toISOString() };
+  }
+
+  stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.enabled,
+      hits: this.hits,
+      misses: this.misses,
+      hit_rate: lookups > 0 ? Math.round((this.hits / lookups) * 100) / 100 : 0,
+      entries: Object.keys(this.entries).length,
+      invalidated_for_profile_change: this.invalidatedOnLoad
+    };
+  }
+}
+
+module.exports = AnalysisCache;
@@ -0,0 +1,201 @@
+// The JSON shape the LLM must return for a job analysis, plus the clean-up that turns
+// real model output (reasoning blocks, prose, code fences, sloppy JSON) into it.
+
+const { SCORING_FACTORS } = require('./scoring');
+
+const FACTOR_KEYS = SCORING_FACTORS.map(factor => factor.key);
+
+const FACTOR_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: { type: 'integer', minimum: 1, maximum: 10 },
+    reason: { type: 'string' }
+  },
+  required: ['score', 'reason']
+};
+
+const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    factors: {
+      type: 'object',
+      properties: Object.fromEntries(FACTOR_KEYS.map(key => [key, FACTOR_SCHEMA])),
+      required: FACTOR_KEYS
+    },
+    summary: { type: 'string' },
+    skills: { type: 'array', items: { type: 'string' } },
+    pros: { type: 'array', items: { type: 'string' } },
+    cons: { type: 'array', items: { type: 'string' } },
+    salary: { type: 'string' }
+  },
+  required: ['factors', 'summary', 'skills', 'pros', 'cons', 'salary']
+};
+
+const isScore = value => Number.isInteger(value) && value >= 1 && value <= 10;
+
+// deepseek-r1, qwq and friends think out loud before answering
+function stripReasoning(text) {
+  return String(text || '')
+    .replace(/<(think|thinking|reasoning)>[\s\S]*?<\/\1>/gi, '')
+    // An unclosed block means the answer never came; drop everything after the tag
+    .replace(/<(think|thinking|reasoning)>[\s\S]*$/i, '')
+    .trim();
+}
+
+// First balanced {...} in the text, ignoring braces inside strings. An object cut off by
+// the token limit is returned up to the end of the text.
+function extractJsonObject(text) {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{') depth++;
+    else if (ch === '}' && --depth === 0) return text.slice(start, i + 1);
+  }
+  return text.slice(start);
+}
+
+// Fix the mistakes small models make most: code fences, smart quotes, single quotes,
+// unquoted keys, trailing commas, comments and a missing closing brace or bracket
+function repairJson(text) {
+  let json = text
+    .replace(/```(?:json)?/gi, '')
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/\/\/[^\n"]*$/gm, '')
+    .replace(/'([^'"\\]*)'(\s*[:,\]}])/g, '"$1"$2')
+    .replace(/([{,]\s*)([A-Za-z_][\w]*)(\s*:)/g, '$1"$2"$3')
+    .replace(/,\s*([}\]])/g, '$1')
+    .trim();
+
+  // Close whatever the token limit cut off
+  const quotes = (json.match(/(?<!\\)"/g) || []).length;
+  if (quotes % 2 === 1) json += '"';
+  const stack = [];
+  for (const ch of json.replace(/"(?:[^"\\]|\\.)*"/g, '')) {
+    if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+    else if (ch === '}' || ch === ']') stack.pop();
+  }
+  json = json.replace(/,\s*$/, '') + stack.reverse().join('');
+
+  return json;
+}
+
+function validateAnalysis(value) {
+  const errors = [];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return ['response is not a JSON object'];
+  }
+  ANALYSIS_SCHEMA.required.forEach(key => {
+    if (!(key in value)) errors.push(`missing "${key}"`);
+  });
+  if ('factors' in value) {
+    const factors = value.factors;
+    if (!factors || typeof factors !== 'object' || Array.isArray(factors)) {
+      errors.push('"factors" must be an object');
+    } else {
+      FACTOR_KEYS.forEach(key => {
+        const factor = factors[key];
+        if (!factor) errors.push(`missing "factors.${key}"`);
+        else if (!isScore(factor.score)) errors.push(`"factors.${key}.score" must be an integer from 1 to 10`);
+        else if (typeof factor.reason !== 'string') errors.push(`"factors.${key}.reason" must be a string`);
+      });
+    }
+  }
+  ['summary', 'salary'].forEach(key => {
+    if (key in value && typeof value[key] !== 'string') errors.push(`"${key}" must be a string`);
+  });
+  ['skills', 'pros', 'cons'].forEach(key => {
+    if (key in value && !(Array.isArray(value[key]) && value[key].every(item => typeof item === 'string'))) {
+      errors.push(`"${key}" must be an array of strings`);
+    }
+  });
+  return errors;
+}
+
+function coerceScore(score) {
+  if (typeof score === 'string' && /^\s*\d+(\.\d+)?\s*(\/\s*10)?\s*$/.test(score)) {
+    score = parseFloat(score);
+  }
+  return typeof score === 'number' && !Number.isInteger(score) ? Math.round(score) : score;
+}
+
+// Small, unambiguous type slips: "8" or 8.0 for a score, a bare number for a factor,
+// a comma list for an array, a missing reason or salary. Anything else is left for the
+// corrective retry.
+function coerceAnalysis(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+  const coerced = { ...value };
+  if (coerced.factors && typeof coerced.factors === 'object' && !Array.isArray(coerced.factors)) {
+    const factors = {};
+    Object.entries(coerced.factors).forEach(([key, factor]) => {
+      const entry = factor && typeof factor === 'object' ? { ...factor } : { score: factor };
+      entry.score = coerceScore(entry.score);
+      if (entry.reason === undefined || entry.reason === null) entry.reason = '';
+      factors[key] = entry;
+    });
+    coerced.factors = factors;
+  }
+  ['skills', 'pros', 'cons'].forEach(key => {
+    if (typeof coerced[key] === 'string') {
+      coerced[key] = coerced[key].split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
+    }
+  });
+  if (coerced.salary === undefined || coerced.salary === null) coerced.salary = 'Not specified';
+  return coerced;
+}
+
+// Raw model output → { value, status, errors }. status is "valid" when the answer was
+// schema-valid JSON as given, "repaired" when it needed clean-up to get there, and
+// "invalid" (value null) when it could not be saved.
+function parseAnalysisOutput(raw) {
+  const text = stripReasoning(raw);
+  const candidate = extractJsonObject(text);
+  if (!candidate) {
+    return { value: null, status: 'invalid', errors: ['no JSON object in response'] };
+  }
+
+  let parsed = null;
+  let repaired = false;
+  try {
+    parsed = JSON.parse(candidate);
+  } catch (_) {
+    try {
+      parsed = JSON.parse(repairJson(candidate));
+      repaired = true;
+    } catch (error) {
+      return { value: null, status: 'invalid', errors: [`malformed JSON: ${error.message}`] };
+    }
+  }
+
+  let errors = validateAnalysis(parsed);
+  if (errors.length > 0) {
+    parsed = coerceAnalysis(parsed);
+    errors = validateAnalysis(parsed);
+    repaired = true;
+  }
+  if (errors.length > 0) {
+    return { value: null, status: 'invalid', errors };
+  }
+  return { value: parsed, status: repaired ? 'repaired' : 'valid', errors: [] };
+}
+
+module.exports = {
+  ANALYSIS_SCHEMA,
+  stripReasoning,
+  extractJsonObject,
+  repairJson,
+  validateAnalysis,
+  parseAnalysisOutput
+};
@@ -0,0 +1,143 @@
+// Application pipeline for stored jobs: saved → applied → interviewing → offer or
+// rejected, with notes, contacts, the date each stage was reached and a follow-up date.
+// The application lives on the job's record in the job store.
+
+const config = require('../config/config.json');
+
+const applicationConfig = config.applications || {};
+
+const APPLICATION_STATUSES = ['saved', 'applied', 'interviewing', 'offer', 'rejected'];
+const CLOSED_STATUSES = ['offer', 'rejected'];
+
+// Days after reaching a stage until the follow-up reminder, unless one is given
+const FOLLOW_UP_DAYS = { applied: 7, interviewing: 3, ...(applicationConfig.follow_up_days || {}) };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// YYYY-MM-DD in the server's timezone (TZ)
+function localDate(date = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function addDays(day, days) {
+  const [year, month, date] = day.split('-').map(Number);
+  return localDate(new Date(year, month - 1, date + days));
+}
+
+// Stages only move forward, and offer / rejected are final. Skipping ahead is fine:
+// a recruiter may call about a job that was only saved.
+function canMove(from, to) {
+  if (from === to) return true;
+  if (CLOSED_STATUSES.includes(from)) return false;
+  return APPLICATION_STATUSES.indexOf(to) > APPLICATION_STATUSES.indexOf(from);
+}
+
+function validateContacts(contacts) {
+  if (!Array.isArray(contacts)) return '"contacts" must be an array';
+  const invalid = contacts.find(contact => !contact || typeof contact.name !== 'string' || !contact.name.trim());
+  return invalid === undefined ? null : 'every contact needs a "name"';
+}
+
+// null when the change can be applied to the application (null for a new one),
+// otherwise the reason it cannot
+function validateApplicationChange(application, changes = {}) {
+  const { status, note, contacts, follow_up_on: followUpOn, date } = changes;
+  if (status !== undefined && !APPLICATION_STATUSES.includes(status)) {
+    return `status must be one of: ${APPLICATION_STATUSES.join(', ')}`;
+  }
+  if (application && status !== undefined && !canMove(application.status, status)) {
+    return `cannot move an application from ${application.status} to ${status}`;
+  }
+  if (note !== undefined && (typeof note !== 'string' || !note.trim())) return '"note" must be a non-empty string';
+  if (contacts !== undefined) {
+    const error = validateContacts(contacts);
+    if (error) return error;
+  }
+  if (followUpOn !== undefined && followUpOn !== null && !DATE_PATTERN.test(String(followUpOn))) {
+    return '"follow_up_on" must be a YYYY-MM-DD date or null';
+  }
+  if (date !== undefined && isNaN(new Date(date).getTime())) return '"date" must be a valid date';
+  return null;
+}
+
+function cleanContact(contact) {
+  return {
+    name: contact.name.trim(),
+    role: contact.role || null,
+    email: contact.email || null,
+    phone: contact.phone || null
+  };
+}
+
+// Apply a validated change. `date` is when a status change happened (default now) and
+// also starts the default follow-up clock for the new stage.
+function updateApplication(application, changes = {}, now = new Date()) {
+  const at = changes.date ? new Date(changes.date) : now;
+  const updated = {
+    ...application,
+    dates: { ...application.dates },
+    notes: [...application.notes],
+    updated_at: now.toISOString()
+  };
+
+  if (changes.status !== undefined && changes.status !== application.status) {
+    updated.status = changes.status;
+    updated.dates[changes.status] = at.toISOString();
+    if (changes.follow_up_on === undefined) {
+      updated.follow_up_on = FOLLOW_UP_DAYS[changes.status] && !CLOSED_STATUSES.includes(changes.status)
+        ? addDays(localDate(at), FOLLOW_UP_DAYS[changes.status])
+        : null;
+    }
+  }
+  if (changes.follow_up_on !== undefined) updated.follow_up_on = changes.follow_up_on;
+  if (changes.contacts !== undefined) updated.contacts = changes.contacts.map(cleanContact);
+  if (changes.note !== undefined) updated.notes.push({ text: changes.note.trim(), at: now.toISOString() });
+  return updated;
+}
+
+function createApplication(changes = {}, now = new Date()) {
+  const empty = {
+    status: null,
+    dates: {},
+    notes: [],
+    contacts: [],
+    follow_up_on: null,
+    created_at: now.toISOString(),
+    updated_at: now.toISOString()
+  };
+  return updateApplication(empty, { status: 'saved', ...changes }, now);
+}
+
+// The job fields worth showing next to an application
+function applicationView(record) {
+  return {
+    id: record.id,
+    title: record.title,
+    company: record.company,
+    location: record.location,
+    source: record.source,
+    link: record.link,
+    job_status: record.status,
+    application: record.application
+  };
+}
+
+// Open applications whose follow-up date is today or already past, oldest first
+function followUpsDue(records, today = localDate()) {
+  return records
+    .filter(record => record.application && !CLOSED_STATUSES.includes(record.application.status))
+    .filter(record => record.application.follow_up_on && record.application.follow_up_on <= today)
+    .sort((a, b) => a.application.follow_up_on.localeCompare(b.application.follow_up_on))
+    .map(record => ({ ...applicationView(record), overdue: record.application.follow_up_on < today }));
+}
+
+module.exports = {
+  APPLICATION_STATUSES,
+  localDate,
+  validateApplicationChange,
+  createApplication,
+  updateApplication,
+  applicationView,
+  followUpsDue
+};
@@ -0,0 +1,62 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/config.json');
+const { skillPattern, mentionsSkill, normalizeSkill } = require('./skill-taxonomy');
+const { getProfile } = require('./profiles');
+
+const PROFILE_PATH = path.join(__dirname, '..', config.user.profile_file || 'data/profile.json');
+
+// Multiplier per proficiency for skill-match scoring
+const PROFICIENCY_WEIGHTS = { expert: 1.5, advanced: 1.25, intermediate: 1, beginner: 0.5 };
+
+function readProfileFile(filePath = PROFILE_PATH) {
+  try {
+    return fs.pathExistsSync(filePath) ? fs.readJsonSync(filePath) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// The candidate as the analyzer sees it: the named profile's user section (see
+// profiles.js), enriched by the profile file written by scripts/ingest-resume.js when
+// there is one. Resume values win for the fields they cover; skills from config are
+// kept alongside the resume's. Skill names are canonical, so "JS" in config and
+// "JavaScript" in the resume are one skill.
+function loadCandidateProfile(profile = getProfile()) {
+  const user = profile.user;
+  const resume = readProfileFile(profile.resume_profile_file) || {};
+
+  const skillDetails = [];
+  const addSkill = (name, proficiency, years) => {
+    const canonical = normalizeSkill(name);
+    if (canonical && !skillDetails.some(skill => skill.name.toLowerCase() === canonical.toLowerCase())) {
+      skillDetails.push({ name: canonical, proficiency, years });
+    }
+  };
+  (resume.skills || []).forEach(skill => {
+    addSkill(skill.name, PROFICIENCY_WEIGHTS[skill.proficiency] ? skill.proficiency : 'intermediate', skill.years || null);
+  });
+  (user.skills || []).forEach(name => addSkill(name, 'intermediate', null));
+
+  return {
+    skills: skillDetails.map(skill => skill.name),
+    skill_details: skillDetails,
+    preferred_roles: user.preferred_roles || [],
+    experience_level: resume.experience_level || user.experience_level,
+    years_experience: typeof resume.years_experience === 'number' ? resume.years_experience : null,
+    past_titles: resume.past_titles || [],
+    domains: resume.domains || [],
+    education: resume.education || [],
+    locations: profile.locations.primary || [],
+    resume_source: resume.source || null
+  };
+}
+
+module.exports = {
+  loadCandidateProfile,
+  readProfileFile,
+  skillPattern,
+  mentionsSkill,
+  PROFICIENCY_WEIGHTS,
+  PROFILE_PATH
+};
@@ -0,0 +1,392 @@
+// Job Scraper dashboard: plain browser JavaScript against the server's JSON API
+
+const state = {
+  jobs: [],
+  sort: { key: 'score', dir: 'desc' },
+  logs: {},
+  activeRun: null,
+  // Profile whose jobs are shown and analyzed; '' for the default profile
+  profile: ''
+};
+
+const $ = selector => document.querySelector(selector);
+
+function escapeHtml(text) {
+  return String(text === undefined || text === null ? '' : text)
+    .replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+async function api(url, options = {}) {
+  const response = await fetch(url, {
+    headers: { 'Content-Type': 'application/json' },
+    ...options
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || body.success === false) {
+    throw new Error(body.error || `${response.status} ${response.statusText}`);
+  }
+  return body;
+}
+
+function withProfile(url) {
+  return state.profile ? `${url}${url.includes('?') ? '&' : '?'}profile=${encodeURIComponent(state.profile)}` : url;
+}
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '';
+}
+
+function formatDuration(ms) {
+  if (ms === undefined || ms === null) return '';
+  const seconds = Math.round(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+// Same display as field-parser.js formatSalary
+function formatSalary(salary) {
+  if (!salary) return '';
+  if (salary.currency !== 'INR') return salary.text || '';
+  const lakh = amount => (amount / 100000).toFixed(1).replace(/\.0$/, '');
+  return salary.min === salary.max ? `${lakh(salary.max)} LPA` : `${lakh(salary.min)}-${lakh(salary.max)} LPA`;
+}
+
+function jobScore(job) {
+  return job.ai_analysis && typeof job.ai_analysis.relevance_score === 'number' ? job.ai_analysis.relevance_score : null;
+}
+
+function showStatus(message, kind = 'running') {
+  const el = $('#run-status');
+  el.hidden = false;
+  el.className = `run-status ${kind}`;
+  $('#run-message').textContent = message;
+}
+
+// Jobs
+
+const SORT_VALUES = {
+  score: job => jobScore(job) === null ? -1 : jobScore(job),
+  title: job => (job.title || '').toLowerCase(),
+  company: job => (job.company || '').toLowerCase(),
+  source: job => (job.source || '').toLowerCase(),
+  location: job => (job.location || '').toLowerCase(),
+  salary: job => job.salary ? job.salary.max || job.salary.min || 0 : -1,
+  status: job => `${job.status} ${job.application ? job.application.status : ''}`,
+  first_seen: job => job.first_seen || ''
+};
+
+async function loadJobs() {
+  const { jobs } = await api(withProfile('/api/jobs'));
+  state.jobs = jobs;
+
+  const sources = Array.from(new Set(jobs.map(job => job.source).filter(Boolean))).sort();
+  const select = $('#filter-source');
+  const current = select.value;
+  select.innerHTML = '<option value="">All sources</option>' +
+    sources.map(source => `<option value="${escapeHtml(source)}">${escapeHtml(source)}</option>`).join('');
+  select.value = sources.includes(current) ? current : '';
+
+  renderJobs();
+}
+
+function filteredJobs() {
+  const text = $('#filter-text').value.trim().toLowerCase();
+  const source = $('#filter-source').value;
+  const status = $('#filter-status').value;
+  const stage = $('#filter-stage').value;
+  const minScore = parseFloat($('#filter-score').value) || 0;
+
+  return state.jobs.filter(job => {
+    if (text && !`${job.title} ${job.company} ${job.location}`.toLowerCase().includes(text)) return false;
+    if (source && job.source !== source) return false;
+    if (status && job.status !== status) return false;
+    if (stage === 'relevant' && !job.is_relevant) return false;
+    if (stage === 'unanalyzed' && (job.analyzed_at || job.filtered_at)) return false;
+    if (stage === 'filtered' && !job.filter_reason) return false;
+    if (stage === 'application' && !job.application) return false;
+    if (minScore > 0 && (jobScore(job) === null || jobScore(job) < minScore)) return false;
+    return true;
+  });
+}
+
+function statusCell(job) {
+  const chips = [`<span class="chip${job.status === 'closed' ? ' bad' : ''}">${escapeHtml(job.status)}</span>`];
+  if (job.application) chips.push(`<span class="chip good">${escapeHtml(job.application.status)}</span>`);
+  if (job.feedback) chips.push(`<span class="chip">${escapeHtml(job.feedback.label.replace('_', ' '))}</span>`);
+  if (job.filter_reason) chips.push(`<span class="chip bad" title="${escapeHtml(job.filter_reason)}">filtered</span>`);
+  else if (job.rank_reason && !job.analyzed_at) chips.push(`<span class="chip" title="${escapeHtml(job.rank_reason)}">ranked out</span>`);
+  return chips.join('');
+}
+
+function scoreCell(job) {
+  const score = jobScore(job);
+  if (score === null) return '<span class="score none">–</span>';
+  const level = score >= 8 ? 'high' : score >= 6 ? 'mid' : 'low';
+  const summary = job.ai_analysis.summary || '';
+  return `<span class="score ${level}" title="${escapeHtml(summary)}">${score}</span>`;
+}
+
+function renderJobs() {
+  const { key, dir } = state.sort;
+  const value = SORT_VALUES[key];
+  const jobs = filteredJobs().sort((a, b) => {
+    const x = value(a);
+    const y = value(b);
+    const order = x < y ? -1 : x > y ? 1 : 0;
+    return dir === 'asc' ? order : -order;
+  });
+
+  document.querySelectorAll('#job-table th[data-sort]').forEach(th => {
+    th.classList.toggle('sorted-asc', th.dataset.sort === key && dir === 'asc');
+    th.classList.toggle('sorted-desc', th.dataset.sort === key && dir === 'desc');
+  });
+
+  $('#job-count').textContent = `${jobs.length} of ${state.jobs.length}`;
+  $('#job-table tbody').innerHTML = jobs.map(job => `
+    <tr>
+      <td>${scoreCell(job)}</td>
+      <td><a href="${escapeHtml(job.link)}" target="_blank" rel="noopener">${escapeHtml(job.title)}</a></td>
+      <td>${escapeHtml(job.company)}</td>
+      <td>${escapeHtml(job.source)}</td>
+      <td>${escapeHtml(job.location)}</td>
+      <td>${escapeHtml(formatSalary(job.salary))}</td>
+      <td>${statusCell(job)}</td>
+      <td>${escapeHtml(formatDate(job.first_seen))}</td>
+    </tr>`).join('') || '<tr><td colspan="8" class="muted">No jobs match the filters.</td></tr>';
+}
+
+// Runs
+
+function runResult(run) {
+  if (run.error) return `<span class="chip bad">${escapeHtml(run.error)}</span>`;
+  const summary = run.summary || {};
+  const parts = [];
+  if (summary.message) parts.push(summary.message);
+  if (run.profiles && run.profiles.length > 1) parts.push(`${run.profiles.length} profiles`);
+  [['jobs_scraped', 'scraped'], ['jobs_new', 'new'], ['jobs_filtered', 'filtered'], ['jobs_analyzed', 'analyzed'], ['relevant_jobs', 'relevant']]
+    .forEach(([field, label]) => {
+      if (summary[field] !== undefined) parts.push(`${summary[field]} ${label}`);
+    });
+  if (typeof summary.average_score === 'number') parts.push(`avg ${summary.average_score.toFixed(1)}`);
+  return escapeHtml(parts.join(' · '));
+}
+
+async function loadRuns() {
+  const { runs, active } = await api('/api/runs?limit=30');
+  // Follow a run started elsewhere (n8n, the scheduler or another tab)
+  if (active && !state.activeRun) followRun(active.type, () => finishedRun(active.id));
+  $('#run-table tbody').innerHTML = runs.map(run => `
+    <tr>
+      <td>${escapeHtml(formatDate(run.started_at || run.finished_at))}</td>
+      <td>${escapeHtml(run.type)}${run.trigger && run.trigger !== 'api' ? ` <span class="muted">(${escapeHtml(run.trigger)})</span>` : ''}</td>
+      <td><span class="chip ${run.status === 'success' ? 'good' : 'bad'}">${escapeHtml(run.status)}</span></td>
+      <td>${escapeHtml(formatDuration(run.duration_ms))}</td>
+      <td>${runResult(run)}</td>
+    </tr>`).join('') || '<tr><td colspan="5" class="muted">No runs recorded yet.</td></tr>';
+}
+
+// Sites
+
+function siteLevel(site) {
+  if (!site.enabled || !site.last) return '';
+  if (site.last.status === 'failed') return 'failed';
+  if (site.last.status !== 'ok' || site.last.jobs === 0 || site.failing_fields.length > 0) return 'warning';
+  return 'ok';
+}
+
+async function loadSites() {
+  const { sites } = await api('/api/sites/health');
+  $('#site-cards').innerHTML = sites.map(site => {
+    const last = site.last;
+    return `
+    <div class="site-card ${siteLevel(site)}">
+      <h3>${escapeHtml(site.label)} ${site.enabled ? '' : '<span class="muted">(disabled)</span>'}</h3>
+      ${last ? `
+      <p>Last scrape: ${escapeHtml(last.status)}, ${last.jobs} jobs from ${last.pages} pages in ${escapeHtml(formatDuration(last.duration_ms))}</p>
+      <p class="muted">${escapeHtml(formatDate(last.finished_at))}</p>
+      ${last.error ? `<p><span class="chip bad">${escapeHtml(last.error)}</span></p>` : ''}
+      <p>Last jobs found: ${escapeHtml(formatDate(site.last_success_at) || 'never')}</p>
+      <p>Recent runs: ${site.recent_runs}, failed ${site.recent_failures}, empty ${site.recent_empty}</p>
+      ` : '<p class="muted">No scrapes recorded yet.</p>'}
+      ${site.selector_pack_version ? `<p>Selector pack v${escapeHtml(site.selector_pack_version)}</p>` : ''}
+      ${site.failing_fields.length > 0 ? `<p>Not matching: ${site.failing_fields.map(field => `<span class="chip bad">${escapeHtml(field)}</span>`).join('')}</p>` : ''}
+    </div>`;
+  }).join('');
+}
+
+// Logs
+
+// Log files are JSON lines from winston; show them as "time level message"
+function formatLogLine(line) {
+  try {
+    const entry = JSON.parse(line);
+    const { timestamp, level, message, ...rest } = entry;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    return `${timestamp || ''} ${(level || '').toUpperCase().padEnd(5)} ${message}${extra}`;
+  } catch (_) {
+    return line;
+  }
+}
+
+function renderLog() {
+  const file = $('#log-file').value;
+  const content = state.logs[file] || '';
+  const view = $('#log-view');
+  view.textContent = content.split('\n').filter(Boolean).map(formatLogLine).join('\n') || 'Empty log.';
+  view.scrollTop = view.scrollHeight;
+}
+
+async function loadLogs() {
+  const { logs } = await api('/api/logs');
+  state.logs = logs;
+  const select = $('#log-file');
+  const current = select.value;
+  const files = Object.keys(logs);
+  select.innerHTML = files.map(file => `<option>${escapeHtml(file)}</option>`).join('');
+  select.value = files.includes(current) ? current : (files[0] || '');
+  renderLog();
+}
+
+// Run buttons
+
+const POLL_INTERVAL_MS = 3000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function describeProgress(run) {
+  const step = run.steps.find(item => item.status === 'running');
+  let text = `${run.type} ${run.status === 'cancelling' ? 'cancelling' : 'running'}`;
+  if (step) {
+    text += `: ${step.name}${step.profile ? ` (${step.profile})` : ''}`;
+    if (step.progress && step.progress.total) text += ` ${step.progress.completed}/${step.progress.total}`;
+    if (step.name === 'scrape' && run.sites) text += ` (${Object.keys(run.sites).length} sites done)`;
+  }
+  return `${text} · ${formatDuration(run.duration_ms)}`;
+}
+
+// Poll a background run until it finishes; resolves with its result
+async function finishedRun(id) {
+  state.activeRun = id;
+  $('#run-cancel').hidden = false;
+  try {
+    for (;;) {
+      const { run } = await api(`/api/runs/${id}`);
+      if (run.status === 'success' || run.status === 'partial') return run.result;
+      if (run.status === 'failed' || run.status === 'cancelled') throw new Error(run.error || run.status);
+      showStatus(describeProgress(run));
+      await sleep(POLL_INTERVAL_MS);
+    }
+  } finally {
+    state.activeRun = null;
+    $('#run-cancel').hidden = true;
+  }
+}
+
+// Scrapes and workflows run in the background on the server
+async function backgroundRun(url) {
+  const { run_id: runId } = await api(url, { method: 'POST' });
+  return finishedRun(runId);
+}
+
+const RUNS = {
+  scrape: () => backgroundRun('/api/scrape'),
+  // Analyze the jobs from the latest scrape
+  analyze: async () => {
+    const { results } = await api('/api/results/latest');
+    if (!results.raw || results.raw.length === 0) throw new Error('No scraped jobs yet - run a scrape first');
+    return api(withProfile('/api/analyze'), { method: 'POST', body: JSON.stringify({ jobs: results.raw }) });
+  },
+  // One scrape for every profile, then each profile's analysis and report
+  workflow: () => backgroundRun('/api/workflow'),
+  // Scrape and analyze for instant alerts only; the next workflow sends the report
+  scan: () => backgroundRun('/api/scan')
+};
+
+function describeResult(type, body) {
+  if (type === 'scrape') return `Scraped ${body.count} jobs`;
+  if (type === 'analyze') return `Analyzed ${(body.all_jobs || []).length} jobs, ${(body.relevant_jobs || []).length} relevant`;
+  const summary = body.summary || {};
+  if (type === 'scan') {
+    const sent = summary.alerts ? summary.alerts.sent : summary.alerts_sent || 0;
+    return `${body.message} (${summary.jobs_scraped || 0} scraped, ${sent} alert${sent === 1 ? '' : 's'} sent)`;
+  }
+  return body.message + (summary.jobs_scraped !== undefined ? ` (${summary.jobs_scraped} scraped, ${summary.jobs_new || 0} new, ${summary.relevant_jobs || 0} relevant)` : '');
+}
+
+async function followRun(type, work) {
+  const buttons = document.querySelectorAll('[data-run]');
+  buttons.forEach(button => { button.disabled = true; });
+  showStatus(`Running ${type}… this can take several minutes.`);
+  try {
+    const body = await work();
+    showStatus(describeResult(type, body) + (body.error ? ` · ${body.error}` : ''), body.error ? 'failed' : 'success');
+  } catch (error) {
+    showStatus(`${type} failed: ${error.message}`, 'failed');
+  } finally {
+    buttons.forEach(button => { button.disabled = false; });
+    refreshAll();
+  }
+}
+
+function startRun(type) {
+  return followRun(type, RUNS[type]);
+}
+
+async function cancelRun() {
+  if (!state.activeRun) return;
+  try {
+    await api(`/api/runs/${state.activeRun}`, { method: 'DELETE' });
+    showStatus('Cancelling… the browser is closing and the run stops before its next step.');
+  } catch (error) {
+    showStatus(`Could not cancel: ${error.message}`, 'failed');
+  }
+}
+
+// Profiles: the picker only shows when there is more than one
+
+async function loadProfiles() {
+  const { profiles } = await api('/api/profiles');
+  const select = $('#profile');
+  select.innerHTML = profiles.map(profile =>
+    `<option value="${escapeHtml(profile.name)}"${profile.default ? ' selected' : ''}>${escapeHtml(profile.label)}</option>`).join('');
+  select.hidden = profiles.length < 2;
+}
+
+// Wiring
+
+const LOADERS = { jobs: loadJobs, runs: loadRuns, sites: loadSites, logs: loadLogs };
+
+function refresh(name) {
+  return LOADERS[name]().catch(error => showStatus(`Could not load ${name}: ${error.message}`, 'failed'));
+}
+
+function refreshAll() {
+  return Promise.all(Object.keys(LOADERS).map(refresh));
+}
+
+document.querySelectorAll('[data-run]').forEach(button => {
+  button.addEventListener('click', () => startRun(button.dataset.run));
+});
+document.querySelectorAll('[data-refresh]').forEach(button => {
+  button.addEventListener('click', () => refresh(button.dataset.refresh));
+});
+document.querySelectorAll('#job-table th[data-sort]').forEach(th => {
+  th.addEventListener('click', () => {
+    const key = th.dataset.sort;
+    state.sort = state.sort.key === key
+      ? { key, dir: state.sort.dir === 'asc' ? 'desc' : 'asc' }
+      : { key, dir: ['title', 'company', 'source', 'location'].includes(key) ? 'asc' : 'desc' };
+    renderJobs();
+  });
+});
+['#filter-text', '#filter-source', '#filter-status', '#filter-stage', '#filter-score'].forEach(selector => {
+  $(selector).addEventListener('input', renderJobs);
+});
+$('#log-file').addEventListener('change', renderLog);
+$('#run-cancel').addEventListener('click', cancelRun);
+$('#profile').addEventListener('change', event => {
+  state.profile = event.target.value;
+  refresh('jobs');
+});
+
+loadProfiles().catch(error => showStatus(`Could not load profiles: ${error.message}`, 'failed'));
+refreshAll();
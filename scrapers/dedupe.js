@@ -0,0 +1,151 @@
+const config = require('../config/config.json');
+
+const dedupeConfig = config.dedupe || {};
+const TITLE_THRESHOLD = dedupeConfig.title_similarity || 0.8;
+const TITLE_WITH_DESCRIPTION_THRESHOLD = dedupeConfig.title_similarity_with_description || 0.5;
+const DESCRIPTION_THRESHOLD = dedupeConfig.description_similarity || 0.6;
+const SHINGLE_SIZE = 5;
+
+const COMPANY_SUFFIXES = new Set([
+  'pvt', 'private', 'ltd', 'limited', 'llp', 'llc', 'inc', 'incorporated', 'corp',
+  'corporation', 'co', 'company', 'plc', 'gmbh', 'india', 'the'
+]);
+
+const TITLE_ABBREVIATIONS = {
+  sr: 'senior', snr: 'senior', jr: 'junior', engg: 'engineer', eng: 'engineer',
+  dev: 'developer', mgr: 'manager', assoc: 'associate', mgmt: 'management', ops: 'operations'
+};
+
+const TITLE_STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'in', 'at', 'with', 'to', 'role', 'position', 'opening']);
+
+const MISSING_DESCRIPTION = 'Description not available';
+
+function normalizeCompany(company) {
+  const tokens = String(company || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  // Strip legal suffixes from the end only: "India Today Group" keeps its "india"
+  while (tokens.length > 1 && COMPANY_SUFFIXES.has(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+  const name = tokens.join(' ');
+  return name === 'n a' ? '' : name;
+}
+
+function titleTokens(title) {
+  const text = String(title || '')
+    .toLowerCase()
+    .replace(/\bfull[\s-]+stack\b/g, 'fullstack')
+    .replace(/\bback[\s-]+end\b/g, 'backend')
+    .replace(/\bfront[\s-]+end\b/g, 'frontend')
+    .replace(/[^a-z0-9+#]+/g, ' ');
+
+  return new Set(text.split(/\s+/)
+    .filter(Boolean)
+    .map(token => TITLE_ABBREVIATIONS[token] || token)
+    .filter(token => !TITLE_STOPWORDS.has(token)));
+}
+
+function shingles(text, size = SHINGLE_SIZE) {
+  const words = String(text || '').toLowerCase().replace(/[^a-z0-9+#]+/g, ' ').split(/\s+/).filter(Boolean);
+  const result = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    result.add(words.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(item => { if (b.has(item)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+function hasDescription(job) {
+  return !!job.description && job.description !== MISSING_DESCRIPTION;
+}
+
+// Two postings are the same job when the companies match after normalization and the
+// titles are near-identical, or the titles are close and the descriptions overlap
+function isSameJob(a, b, features = new Map()) {
+  if (a.link && a.link !== '#' && a.link === b.link) return true;
+
+  const fa = features.get(a) || jobFeatures(a);
+  const fb = features.get(b) || jobFeatures(b);
+
+  if (!fa.company || fa.company !== fb.company) return false;
+
+  const titleScore = jaccard(fa.title, fb.title);
+  if (titleScore >= TITLE_THRESHOLD) return true;
+  if (titleScore < TITLE_WITH_DESCRIPTION_THRESHOLD || !fa.shingles || !fb.shingles) return false;
+
+  return jaccard(fa.shingles, fb.shingles) >= DESCRIPTION_THRESHOLD;
+}
+
+function jobFeatures(job) {
+  return {
+    company: normalizeCompany(job.company),
+    title: titleTokens(job.title),
+    shingles: hasDescription(job) ? shingles(job.description) : null
+  };
+}
+
+function sourceEntry(job) {
+  return { source: job.source, link: job.link, id: job.id };
+}
+
+// Fold a group of postings into one record: the posting with the longest description
+// is the base, blanks are filled from the rest, and every posting is listed in `sources`
+function mergeJobs(group) {
+  const [primary, ...rest] = [...group].sort((a, b) =>
+    (hasDescription(b) ? b.description.length : 0) - (hasDescription(a) ? a.description.length : 0));
+
+  const merged = { ...primary };
+  rest.forEach(job => {
+    ['company', 'location'].forEach(field => {
+      if ((!merged[field] || merged[field] === 'N/A') && job[field] && job[field] !== 'N/A') {
+        merged[field] = job[field];
+      }
+    });
+  });
+
+  merged.sources = group.flatMap(job => job.sources || [sourceEntry(job)]);
+  return merged;
+}
+
+function dedupeJobs(jobs) {
+  const features = new Map(jobs.map(job => [job, jobFeatures(job)]));
+  const groups = [];
+  const byCompany = new Map();
+
+  jobs.forEach(job => {
+    const company = features.get(job).company;
+    const candidates = byCompany.get(company) || [];
+    const group = candidates.find(existing => existing.some(other => isSameJob(job, other, features)));
+
+    if (group) {
+      group.push(job);
+    } else {
+      const created = [job];
+      groups.push(created);
+      candidates.push(created);
+      byCompany.set(company, candidates);
+    }
+  });
+
+  return groups.map(group => group.length === 1 ? { ...group[0], sources: [sourceEntry(group[0])] } : mergeJobs(group));
+}
+
+module.exports = {
+  dedupeJobs,
+  isSameJob,
+  mergeJobs,
+  normalizeCompany,
+  titleTokens
+};
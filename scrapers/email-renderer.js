@@ -0,0 +1,126 @@
+const fs = require('fs-extra');
+const path = require('path');
+const Handlebars = require('handlebars');
+const config = require('../config/config.json');
+
+// Email templates are Handlebars files in a theme directory:
+//   report.html.hbs / report.txt.hbs   the job report, HTML and plain-text parts
+//   alert.html.hbs / alert.txt.hbs     the instant alert email
+//   partials/<name>.hbs                partials such as {{> job-card}} and {{> styles}}
+// Built-in themes live in scrapers/email-templates/<theme>. With email.template_dir (or
+// EMAIL_TEMPLATE_DIR) set, a template or partial found there replaces the theme's copy,
+// so overriding one file leaves the rest of the theme in place. An HTML template overridden
+// without a plain-text one next to it gets its text part derived from the rendered HTML,
+// so the two parts never drift apart.
+const THEMES_DIR = path.join(__dirname, 'email-templates');
+const ROOT = path.join(__dirname, '..');
+
+function listThemes() {
+  return fs.readdirSync(THEMES_DIR).filter(name => fs.statSync(path.join(THEMES_DIR, name)).isDirectory());
+}
+
+// Where templates are looked up, first match wins
+function templateDirs(emailConfig = config.email || {}, env = process.env) {
+  const theme = env.EMAIL_THEME || emailConfig.theme || 'default';
+  if (!listThemes().includes(theme)) {
+    throw new Error(`Unknown email theme "${theme}". Available: ${listThemes().join(', ')}`);
+  }
+  const overrides = env.EMAIL_TEMPLATE_DIR || emailConfig.template_dir;
+  return [overrides ? path.resolve(ROOT, overrides) : null, path.join(THEMES_DIR, theme)].filter(Boolean);
+}
+
+function locateTemplate(dirs, file) {
+  return dirs.map(dir => path.join(dir, file)).find(candidate => fs.existsSync(candidate)) || null;
+}
+
+function findTemplate(dirs, file) {
+  const found = locateTemplate(dirs, file);
+  if (!found) throw new Error(`Email template ${file} not found in ${dirs.join(', ')}`);
+  return found;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', middot: '·', bull: '•', ndash: '–', mdash: '—', hellip: '…' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] !== undefined ? ENTITIES[code.toLowerCase()] : entity;
+  });
+}
+
+// Plain text for a rendered HTML email: links become "text (url)", block elements
+// start new lines, list items get a dash and whitespace is collapsed
+function htmlToText(html) {
+  const text = String(html)
+    .replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<a\b[^>]*?href\s*=\s*["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, inner) => {
+      const label = inner.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+      const url = decodeEntities(href);
+      if (!label || /^(#|mailto:|javascript:)/i.test(url)) return label;
+      return decodeEntities(label) === url ? url : `${label} (${url})`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<hr\b[^>]*>/gi, '\n---\n')
+    .replace(/<\/(p|div|h[1-6]|li|ul|ol|tr|table|section|header|footer|blockquote)>/gi, '\n')
+    .replace(/<(p|div|h[1-6]|ul|ol|tr|table|section|header|footer|blockquote)\b[^>]*>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+}
+
+// A Handlebars instance with the helpers and the partials of every template directory
+function createEnvironment(dirs) {
+  const handlebars = Handlebars.create();
+  handlebars.registerHelper('join', (list, separator) => [].concat(list || []).join(typeof separator === 'string' ? separator : ', '));
+
+  // Later directories are the fallbacks, so register them first and let earlier ones replace
+  dirs.slice().reverse().forEach(dir => {
+    const partialsDir = path.join(dir, 'partials');
+    if (!fs.existsSync(partialsDir)) return;
+    fs.readdirSync(partialsDir)
+      .filter(file => file.endsWith('.hbs'))
+      .forEach(file => handlebars.registerPartial(path.basename(file, '.hbs'), fs.readFileSync(path.join(partialsDir, file), 'utf8')));
+  });
+  return handlebars;
+}
+
+// Render `name` (report, alert) with `model` into { html, text }; the text part
+// is left unescaped since it is never parsed as HTML. The text template is used only
+// when it sits in the same directory as the HTML one or a higher-priority one;
+// otherwise the text is derived from the HTML.
+function render(name, model, { emailConfig = config.email || {}, env = process.env } = {}) {
+  const dirs = templateDirs(emailConfig, env);
+  const handlebars = createEnvironment(dirs);
+  const compile = (file, options) => handlebars.compile(fs.readFileSync(file, 'utf8'), options);
+
+  const htmlFile = findTemplate(dirs, `${name}.html.hbs`);
+  const htmlDir = dirs.indexOf(path.dirname(htmlFile));
+  const textFile = locateTemplate(dirs.slice(0, htmlDir + 1), `${name}.txt.hbs`);
+  const html = compile(htmlFile)(model);
+
+  return {
+    html,
+    text: textFile
+      ? compile(textFile, { noEscape: true })(model).replace(/\n{3,}/g, '\n\n').trim() + '\n'
+      : htmlToText(html)
+  };
+}
+
+module.exports = {
+  THEMES_DIR,
+  listThemes,
+  templateDirs,
+  htmlToText,
+  render
+};
@@ -4,6 +4,15 @@ const path = require('path');
 const winston = require('winston');
 require('dotenv').config();
 const config = require('../config/config.json');
+const { formatSalary, formatExperience } = require('./field-parser');
+const { SCORING_FACTORS } = require('./scoring');
+const { categoryLabel } = require('./skill-taxonomy');
+const { FEEDBACK_LABELS, feedbackLink } = require('./feedback');
+const { followUpsDue } = require('./application-tracker');
+const { DEFAULT_PROFILE, getProfile, profileNames } = require('./profiles');
+const JobStore = require('./job-store');
+const { getEnabledSites } = require('./sites');
+const { render } = require('./email-renderer');
 
 // Setup logging
 const logger = winston.createLogger({
@@ -19,7 +28,10 @@ const logger = winston.createLogger({
 });
 
 class EmailService {
-  constructor() {
+  // Reports go to `searchProfile.email_to`, with follow-ups and feedback links from that
+  // profile's job store
+  constructor(searchProfile = getProfile()) {
+    this.searchProfile = searchProfile;
     this.transporter = null;
     this.initializeTransporter();
   }
@@ -49,28 +61,43 @@ class EmailService {
     }
   }
 
+  // The report email for an analysis result: subject, HTML and plain-text parts and the
+  // follow-ups it carries. Used for sending and by GET /api/email/preview.
+  async renderReport(analysisResult) {
+    const { relevant_jobs, analysis_summary } = analysisResult;
+    const followUps = analysisResult.follow_ups || await this.loadFollowUps();
+    const { html, text } = render('report', this.reportModel(relevant_jobs, analysis_summary, followUps));
+    return { subject: this.generateSubject(relevant_jobs.length), html, text, followUps };
+  }
+
+  // From and To for this profile's emails
+  envelope() {
+    const recipients = this.searchProfile.email_to;
+    if (recipients.length === 0) {
+      throw new Error(`No recipients for profile "${this.searchProfile.name}" (set email_to or user.email)`);
+    }
+    const fromName = process.env.EMAIL_FROM_NAME || config.email.from_name || 'Job Scraper Bot';
+    const fromUser = process.env.EMAIL_USER || config.email.smtp_user;
+    return { from: `"${fromName}" <${fromUser}>`, to: recipients.join(', ') };
+  }
+
   async sendJobReport(analysisResult) {
     try {
-      const { relevant_jobs, analysis_summary } = analysisResult;
+      const { relevant_jobs } = analysisResult;
+      const followUps = analysisResult.follow_ups || await this.loadFollowUps();
       
       const sendEmpty = (process.env.EMAIL_SEND_EMPTY_REPORTS || '').toString().toLowerCase() === 'true' || !!config.email.send_empty_reports;
-      if (relevant_jobs.length === 0 && !sendEmpty) {
-        logger.info('No relevant jobs found and empty reports disabled');
+      if (relevant_jobs.length === 0 && followUps.length === 0 && !sendEmpty) {
+        logger.info('No relevant jobs or follow-ups and empty reports disabled');
         return { success: true, message: 'No relevant jobs to report' };
       }
 
-      const emailContent = this.generateEmailContent(relevant_jobs, analysis_summary);
-      const subject = this.generateSubject(relevant_jobs.length);
-
-      const fromName = process.env.EMAIL_FROM_NAME || config.email.from_name || 'Job Scraper Bot';
-      const fromUser = process.env.EMAIL_USER || config.email.smtp_user;
-      const toAddress = process.env.EMAIL_TO || config.user.email;
-
+      const { subject, html, text } = await this.renderReport({ ...analysisResult, follow_ups: followUps });
       const mailOptions = {
-        from: `"${fromName}" <${fromUser}>`,
-        to: toAddress,
-        subject: subject,
-        html: emailContent,
+        ...this.envelope(),
+        subject,
+        html,
+        text,
         attachments: [
           {
             filename: 'jobs-data.json',
@@ -86,7 +113,8 @@ class EmailService {
       return {
         success: true,
         messageId: result.messageId,
-        jobCount: relevant_jobs.length
+        jobCount: relevant_jobs.length,
+        followUpCount: followUps.length
       };
     } catch (error) {
       logger.error('Failed to send email:', error);
@@ -97,329 +125,144 @@ class EmailService {
     }
   }
 
+  // A short email about one job that matched instant alert rules (see alerts.js)
+  async sendAlert(job, rules) {
+    try {
+      const { html, text } = render('alert', { job: this.jobModel(job), rules });
+      const result = await this.transporter.sendMail({
+        ...this.envelope(),
+        subject: `🚨 Job alert: ${job.title} at ${job.company} (${job.ai_analysis.relevance_score}/10)`,
+        html,
+        text
+      });
+      logger.info(`Alert email sent: ${result.messageId}`);
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error('Failed to send alert email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Application follow-ups due today from the job store; a broken store only costs the digest
+  async loadFollowUps() {
+    if ((config.applications || {}).digest === false) return [];
+    try {
+      const store = await new JobStore(this.searchProfile.jobs_file).load();
+      return followUpsDue(store.all());
+    } catch (error) {
+      logger.warn(`Could not load application follow-ups: ${error.message}`);
+      return [];
+    }
+  }
+
+  // {profile} in the template is the profile's label; with several profiles and no
+  // {profile} in the template, the label is appended so reports can be told apart
   generateSubject(jobCount) {
     const date = new Date().toLocaleDateString('en-IN');
-    return config.email.subject_template
+    const template = config.email.subject_template;
+    const subject = template
       .replace('{date}', date)
-      .replace('{count}', jobCount);
+      .replace('{count}', jobCount)
+      .replace('{profile}', this.searchProfile.label);
+    return !template.includes('{profile}') && profileNames().length > 1 ? `${subject} - ${this.searchProfile.label}` : subject;
   }
 
-  generateEmailContent(jobs, summary) {
-    const date = new Date().toLocaleDateString('en-IN', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    });
-
-    let html = `
-<!DOCTYPE html>
+  // What the report templates see: the jobs best first, with everything formatted
+  reportModel(jobs, summary, followUps = []) {
+    const filters = summary.filters;
+    const rankedOut = summary.semantic_rank ? summary.semantic_rank.removed : 0;
+    const removedBy = filters ? { ...filters.by_filter, semantic_rank: rankedOut } : {};
+    const sources = getEnabledSites(config.sites).filter(({ adapter }) => adapter).map(({ adapter }) => adapter.label);
 
-<html>
-<head>
-    <meta charset="utf-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Daily Job Report</title>
-    <style>
-        body {
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 20px;
-            background-color: #f5f5f5;
-        }
-        .container {
-            background-color: white;
-            border-radius: 10px;
-            padding: 30px;
-            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-        }
-        .header {
-            text-align: center;
-            border-bottom: 3px solid #007acc;
-            padding-bottom: 20px;
-            margin-bottom: 30px;
-        }
-        .header h1 {
-            color: #007acc;
-            margin: 0;
-            font-size: 28px;
-        }
-        .header p {
-            color: #666;
-            margin: 10px 0 0 0;
-            font-size: 16px;
-        }
-        .summary {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 20px;
-            border-radius: 8px;
-            margin-bottom: 30px;
-        }
-        .summary h2 {
-            margin: 0 0 15px 0;
-            font-size: 20px;
-        }
-        .summary-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
-            gap: 15px;
-            margin-top: 15px;
-        }
-        .summary-item {
-            text-align: center;
-            background: rgba(255, 255, 255, 0.1);
-            padding: 10px;
-            border-radius: 5px;
-        }
-        .summary-item .number {
-            font-size: 24px;
-            font-weight: bold;
-            display: block;
-        }
-        .summary-item .label {
-            font-size: 12px;
-            opacity: 0.9;
+    return {
+      title: 'Daily Job Report',
+      profile_label: profileNames().length > 1 ? this.searchProfile.label : null,
+      date: new Date().toLocaleDateString('en-IN', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+      summary: {
+        relevant_count: summary.relevant_count,
+        total_analyzed: summary.total_analyzed,
+        average_score: (summary.average_score || 0).toFixed(1),
+        company_count: (summary.top_companies || []).length
+      },
+      follow_ups: followUps.map(item => this.followUpModel(item)),
+      jobs: jobs
+        .slice()
+        .sort((a, b) => b.ai_analysis.relevance_score - a.ai_analysis.relevance_score)
+        .map((job, index) => ({ number: index + 1, ...this.jobModel(job) })),
+      top_companies: summary.top_companies || [],
+      top_skills: summary.top_skills || [],
+      skill_categories: (summary.top_skill_categories || []).map(entry => ({ label: categoryLabel(entry.category), count: entry.count })),
+      filtered: filters && (filters.removed > 0 || rankedOut > 0)
+        ? {
+          removed: filters.removed + rankedOut,
+          total: filters.total,
+          by: Object.entries(removedBy).filter(([, count]) => count > 0).map(([name, count]) => ({ name: name.replace(/_/g, ' '), count }))
         }
-        .job-card {
-            border: 1px solid #e0e0e0;
-            border-radius: 8px;
-            padding: 20px;
-            margin-bottom: 20px;
-            background: white;
-            transition: box-shadow 0.3s ease;
-        }
-        .job-card:hover {
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
-        }
-        .job-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: flex-start;
-            margin-bottom: 15px;
-        }
-        .job-title {
-            font-size: 18px;
-            font-weight: bold;
-            color: #007acc;
-            margin: 0;
-            flex: 1;
-        }
-        .relevance-score {
-            background: #28a745;
-            color: white;
-            padding: 4px 8px;
-            border-radius: 15px;
-            font-size: 12px;
-            font-weight: bold;
-            margin-left: 10px;
-        }
-        .job-meta {
-            color: #666;
-            font-size: 14px;
-            margin-bottom: 10px;
-        }
-        .job-meta span {
-            margin-right: 15px;
-        }
-        .job-summary {
-            color: #555;
-            font-size: 14px;
-            margin-bottom: 15px;
-            line-height: 1.5;
-        }
-        .skills-tags {
-            margin-bottom: 15px;
-        }
-        .skill-tag {
-            display: inline-block;
-            background: #e3f2fd;
-            color: #1976d2;
-            padding: 4px 8px;
-            border-radius: 12px;
-            font-size: 12px;
-            margin: 2px 4px 2px 0;
-        }
-        .job-actions {
-            text-align: right;
-        }
-        .apply-btn {
-            background: #007acc;
-            color: white;
-            padding: 8px 16px;
-            text-decoration: none;
-            border-radius: 5px;
-            font-size: 14px;
-            display: inline-block;
-        }
-        .apply-btn:hover {
-            background: #005a9e;
-        }
-        .footer {
-            text-align: center;
-            margin-top: 40px;
-            padding-top: 20px;
-            border-top: 1px solid #e0e0e0;
-            color: #666;
-            font-size: 12px;
-        }
-        .no-jobs {
-            text-align: center;
-            padding: 40px;
-            color: #666;
-        }
-        @media (max-width: 600px) {
-            .job-header {
-                flex-direction: column;
-            }
-            .relevance-score {
-                margin: 10px 0 0 0;
-                align-self: flex-start;
-            }
-            .summary-grid {
-                grid-template-columns: repeat(2, 1fr);
-            }
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🎯 Daily Job Report</h1>
-            <p>${date}</p>
-        </div>
+        : null,
+      sources: sources.length > 1 ? `${sources.slice(0, -1).join(', ')} and ${sources[sources.length - 1]}` : sources.join(''),
+      generated_at: new Date().toLocaleString('en-IN')
+    };
+  }
 
-        <div class="summary">
-            <h2>📊 Today's Summary</h2>
-            <div class="summary-grid">
-                <div class="summary-item">
-                    <span class="number">${summary.relevant_count}</span>
-                    <span class="label">Relevant Jobs</span>
-                </div>
-                <div class="summary-item">
-                    <span class="number">${summary.total_analyzed}</span>
-                    <span class="label">Total Analyzed</span>
-                </div>
-                <div class="summary-item">
-                    <span class="number">${summary.average_score.toFixed(1)}</span>
-                    <span class="label">Avg Score</span>
-                </div>
-                <div class="summary-item">
-                    <span class="number">${summary.top_companies.length}</span>
-                    <span class="label">Companies</span>
-                </div>
-            </div>
-        </div>
-`;
+  jobModel(job) {
+    const analysis = job.ai_analysis;
+    const score = analysis.relevance_score;
+    return {
+      id: job.id,
+      title: job.title,
+      company: job.company,
+      location: job.location,
+      source: job.source,
+      link: job.link,
+      salary: job.salary ? formatSalary(job.salary) : null,
+      experience: job.experience ? formatExperience(job.experience) : null,
+      work_mode: job.work_mode || null,
+      score,
+      score_color: score >= 8 ? '#28a745' : score >= 7 ? '#ffc107' : '#dc3545',
+      summary: analysis.summary,
+      breakdown: this.scoreBreakdown(analysis.score_breakdown),
+      feedback_penalty: analysis.feedback_penalty || null,
+      key_skills: analysis.key_skills || [],
+      pros: analysis.pros || [],
+      cons: analysis.cons || [],
+      feedback_links: this.feedbackLinks(job)
+    };
+  }
 
-    if (jobs.length === 0) {
-      html += `
-        <div class="no-jobs">
-            <h3>🔍 No Relevant Jobs Found Today</h3>
-            <p>Don't worry! We'll keep looking for opportunities that match your profile.</p>
-            <p>Consider updating your skills or expanding your location preferences in the config.</p>
-        </div>
-`;
-    } else {
-      // Sort jobs by relevance score
-      const sortedJobs = jobs.sort((a, b) => b.ai_analysis.relevance_score - a.ai_analysis.relevance_score);
-      
-      sortedJobs.forEach((job, index) => {
-        const scoreColor = job.ai_analysis.relevance_score >= 8 ? '#28a745' : 
-                          job.ai_analysis.relevance_score >= 7 ? '#ffc107' : '#dc3545';
-        
-        html += `
-        <div class="job-card">
-            <div class="job-header">
-                <h3 class="job-title">${job.title}</h3>
-                <span class="relevance-score" style="background: ${scoreColor}">
-                    ${job.ai_analysis.relevance_score}/10
-                </span>
-            </div>
-            
-            <div class="job-meta">
-                <span>🏢 ${job.company}</span>
-                <span>📍 ${job.location}</span>
-                <span>🌐 ${job.source}</span>
-            </div>
-            
-            <div class="job-summary">
-                ${job.ai_analysis.summary}
-            </div>
-            
-            ${job.ai_analysis.key_skills.length > 0 ? `
-            <div class="skills-tags">
-                ${job.ai_analysis.key_skills.map(skill => 
-                  `<span class="skill-tag">${skill}</span>`
-                ).join('')}
-            </div>
-            ` : ''}
-            
-            ${job.ai_analysis.pros.length > 0 ? `
-            <div style="margin-bottom: 10px;">
-                <strong>✅ Pros:</strong> ${job.ai_analysis.pros.join(', ')}
-            </div>
-            ` : ''}
-            
-            ${job.ai_analysis.cons.length > 0 ? `
-            <div style="margin-bottom: 15px;">
-                <strong>⚠️ Cons:</strong> ${job.ai_analysis.cons.join(', ')}
-            </div>
-            ` : ''}
-            
-            <div class="job-actions">
-                <a href="${job.link}" class="apply-btn" target="_blank">View Job →</a>
-            </div>
-        </div>
-`;
+  // Per-factor scores with their weights and reasons; unweighted and unscored factors are left out
+  scoreBreakdown(breakdown) {
+    if (!breakdown) return [];
+    return SCORING_FACTORS
+      .filter(({ key }) => breakdown[key] && breakdown[key].score !== null && breakdown[key].weight > 0)
+      .map(({ key, label }) => {
+        const { score, weight, reason } = breakdown[key];
+        return { label, weight, score, reason, color: score >= 8 ? '#28a745' : score >= 5 ? '#e0a800' : '#dc3545' };
       });
-    }
-
-    // Add top companies and skills sections
-    if (summary.top_companies.length > 0) {
-      html += `
-        <div style="margin-top: 30px; padding: 20px; background: #f8f9fa; border-radius: 8px;">
-            <h3>🏆 Top Companies Today</h3>
-            <div style="display: flex; flex-wrap: wrap; gap: 10px;">
-                ${summary.top_companies.map(company => 
-                  `<span style="background: white; padding: 8px 12px; border-radius: 15px; font-size: 14px;">
-                     ${company.company} (${company.count})
-                   </span>`
-                ).join('')}
-            </div>
-        </div>
-`;
-    }
-
-    if (summary.top_skills.length > 0) {
-      html += `
-        <div style="margin-top: 20px; padding: 20px; background: #f8f9fa; border-radius: 8px;">
-            <h3>🔧 Most Demanded Skills</h3>
-            <div style="display: flex; flex-wrap: wrap; gap: 10px;">
-                ${summary.top_skills.map(skill => 
-                  `<span style="background: white; padding: 8px 12px; border-radius: 15px; font-size: 14px;">
-                     ${skill.skill} (${skill.count})
-                   </span>`
-                ).join('')}
-            </div>
-        </div>
-`;
-    }
+  }
 
-    html += `
-        <div class="footer">
-            <p>🤖 Generated by Job Scraper Bot | ${new Date().toLocaleString('en-IN')}</p>
-            <p>This report was automatically generated from LinkedIn, Indeed, and Naukri job postings.</p>
-        </div>
-    </div>
-</body>
-</html>
-`;
+  // Signed links that label the job in the local job store; jobs without a store ID get none
+  feedbackLinks(job) {
+    const feedbackConfig = config.feedback || {};
+    if (!job.id || feedbackConfig.enabled === false || feedbackConfig.email_links === false) return [];
+    const names = { applied: 'Applied', interested: 'Interested', not_interested: 'Not interested', spam: 'Spam' };
+    const profile = this.searchProfile.name === DEFAULT_PROFILE ? null : this.searchProfile.name;
+    return FEEDBACK_LABELS.map(label => ({ label: names[label], url: feedbackLink(job.id, label, profile) }));
+  }
 
-    return html;
+  followUpModel(item) {
+    const { application } = item;
+    const since = application.dates[application.status];
+    return {
+      title: item.title,
+      company: item.company,
+      link: item.link,
+      status: application.status,
+      since: since ? new Date(since).toLocaleDateString('en-IN') : null,
+      overdue: item.overdue,
+      follow_up_on: application.follow_up_on,
+      contact: application.contacts[0] || null,
+      note: application.notes.length > 0 ? application.notes[application.notes.length - 1].text : null
+    };
   }
 
   async testConnection() {
@@ -458,7 +301,15 @@ if (require.main === module) {
           source: 'LinkedIn',
           link: 'https://example.com/job1',
           ai_analysis: {
-            relevance_score: 8,
+            relevance_score: 7.8,
+            score_breakdown: {
+              skill_match: { score: 9, weight: 0.3, reason: 'React, Node.js and MongoDB are all core skills' },
+              role_alignment: { score: 8, weight: 0.2, reason: 'Full stack role matches a preferred role' },
+              experience_fit: { score: 7, weight: 0.15, reason: 'Asks for 2-5 years' },
+              location: { score: 9, weight: 0.15, reason: 'Delhi is a preferred location' },
+              growth: { score: 6, weight: 0.1, reason: 'Modern stack, growth path unclear' },
+              company_reputation: { score: 5, weight: 0.1, reason: 'Little known about the company' }
+            },
             summary: 'Great opportunity for full stack development with modern technologies.',
             key_skills: ['React', 'Node.js', 'MongoDB'],
             pros: ['Good salary', 'Remote work'],
@@ -471,7 +322,8 @@ if (require.main === module) {
         relevant_count: 1,
         average_score: 6.2,
         top_companies: [{ company: 'Tech Corp', count: 1 }],
-        top_skills: [{ skill: 'React', count: 1 }]
+        top_skills: [{ skill: 'React', category: 'framework', count: 1 }],
+        top_skill_categories: [{ category: 'framework', count: 1 }, { category: 'db', count: 1 }]
       }
     };
     
@@ -0,0 +1,178 @@
+// Labels the candidate puts on jobs (applied, interested, not interested, spam) and what
+// the analyzer learns from them: companies and title keywords to penalise, few-shot
+// examples for the prompt and a calibrated min_relevance_score.
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config.json');
+
+const feedbackConfig = config.feedback || {};
+const SECRET_PATH = path.join(__dirname, '..', 'data', 'feedback-secret');
+const DAY_MS = 86400000;
+
+const FEEDBACK_LABELS = ['applied', 'interested', 'not_interested', 'spam'];
+const POSITIVE_LABELS = ['applied', 'interested'];
+
+// Title words that say nothing about whether a job fits
+const STOP_WORDS = new Set([
+  'and', 'the', 'for', 'with', 'of', 'in', 'at', 'to', 'a', 'an', 'or',
+  'senior', 'junior', 'sr', 'jr', 'lead', 'engineer', 'developer', 'software', 'remote', 'hybrid',
+  'i', 'ii', 'iii', 'iv', 'level', 'role', 'position', 'job', 'opening', 'urgent', 'hiring'
+]);
+
+const isPositive = label => POSITIVE_LABELS.includes(label);
+
+// Secret for feedback links: FEEDBACK_SECRET, or one generated on first use and kept
+// in data/ so links in earlier emails stay valid
+function feedbackSecret() {
+  if (process.env.FEEDBACK_SECRET) return process.env.FEEDBACK_SECRET;
+  if (!fs.pathExistsSync(SECRET_PATH)) {
+    fs.ensureDirSync(path.dirname(SECRET_PATH));
+    fs.writeFileSync(SECRET_PATH, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+  }
+  return fs.readFileSync(SECRET_PATH, 'utf8').trim();
+}
+
+// Links for the default profile sign the same payload as before profiles existed
+function signature(jobId, label, expires, profile = null) {
+  return crypto.createHmac('sha256', feedbackSecret())
+    .update(`${profile ? `${profile}|` : ''}${jobId}|${label}|${expires}`)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+// Link that labels a job in a profile's job store when opened, for the email report.
+// It expires after feedback.link_ttl_days. `profile` is left out for the default profile.
+function feedbackLink(jobId, label, profile = null, now = Date.now()) {
+  const baseUrl = (process.env.FEEDBACK_BASE_URL || feedbackConfig.base_url || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+  const expires = Math.floor((now + (feedbackConfig.link_ttl_days || 30) * DAY_MS) / 1000);
+  const profileParam = profile ? `&profile=${encodeURIComponent(profile)}` : '';
+  return `${baseUrl}/api/feedback/${encodeURIComponent(jobId)}/${label}?expires=${expires}${profileParam}&sig=${signature(jobId, label, expires, profile)}`;
+}
+
+// null when the link is genuine and current, otherwise the reason it is not
+function verifyFeedbackLink(jobId, label, expires, sig, profile = null, now = Date.now()) {
+  if (!FEEDBACK_LABELS.includes(label)) return `unknown label "${label}"`;
+  if (!/^\d+$/.test(String(expires || '')) || !sig) return 'missing signature';
+  const expected = Buffer.from(signature(jobId, label, expires, profile));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'invalid signature';
+  if (parseInt(expires, 10) * 1000 < now) return 'link expired';
+  return null;
+}
+
+function titleKeywords(title) {
+  return Array.from(new Set(String(title || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map(word => word.replace(/\.+$/, ''))
+    .filter(word => word.length >= 3 && !STOP_WORDS.has(word))));
+}
+
+// Companies and title keywords that only ever appear on jobs labelled not interested
+// or spam, at least feedback.min_labels times
+function learnPenalties(labeled, minLabels) {
+  const tally = (keysFor) => {
+    const counts = {};
+    labeled.forEach(job => {
+      keysFor(job).forEach(key => {
+        counts[key] = counts[key] || { negative: 0, positive: 0 };
+        counts[key][isPositive(job.feedback.label) ? 'positive' : 'negative']++;
+      });
+    });
+    return Object.entries(counts)
+      .filter(([, count]) => count.negative >= minLabels && count.positive === 0)
+      .sort(([, a], [, b]) => b.negative - a.negative)
+      .map(([key, count]) => ({ key, count: count.negative }));
+  };
+
+  return {
+    companies: tally(job => job.company ? [job.company.trim().toLowerCase()] : [])
+      .map(({ key, count }) => ({ company: key, count })),
+    keywords: tally(job => titleKeywords(job.title))
+      .map(({ key, count }) => ({ keyword: key, count }))
+  };
+}
+
+// The most recent labels, alternating positive and negative so the model sees both
+function pickExamples(labeled, maxExamples) {
+  const recent = [...labeled].sort((a, b) => b.feedback.labeled_at.localeCompare(a.feedback.labeled_at));
+  const positives = recent.filter(job => isPositive(job.feedback.label));
+  const negatives = recent.filter(job => !isPositive(job.feedback.label));
+  const examples = [];
+  while (examples.length < maxExamples && (positives.length > 0 || negatives.length > 0)) {
+    const next = (examples.length % 2 === 0 ? positives : negatives).shift()
+      || (examples.length % 2 === 0 ? negatives : positives).shift();
+    examples.push({
+      title: next.title,
+      company: next.company,
+      label: next.feedback.label,
+      score: next.ai_analysis ? next.ai_analysis.relevance_score : null
+    });
+  }
+  return examples;
+}
+
+// The threshold (1-10 in half points) that best separates positively from negatively
+// labelled scores, nearest the configured one on a tie. null until there are
+// feedback.calibrate_after scored labels with at least one of each kind.
+function calibrateThreshold(labeled, configured, minLabels) {
+  const scored = labeled.filter(job => job.ai_analysis && typeof job.ai_analysis.relevance_score === 'number');
+  const positives = scored.filter(job => isPositive(job.feedback.label)).length;
+  if (scored.length < minLabels || positives === 0 || positives === scored.length) return null;
+
+  let best = null;
+  for (let threshold = 1; threshold <= 10; threshold += 0.5) {
+    const correct = scored.filter(job =>
+      (job.ai_analysis.relevance_score >= threshold) === isPositive(job.feedback.label)
+    ).length;
+    const candidate = { threshold, accuracy: Math.round((correct / scored.length) * 100) / 100 };
+    if (!best || candidate.accuracy > best.accuracy ||
+      (candidate.accuracy === best.accuracy && Math.abs(threshold - configured) < Math.abs(best.threshold - configured))) {
+      best = candidate;
+    }
+  }
+  return { ...best, labeled: scored.length };
+}
+
+// Job store records → { labels, penalties, examples, calibration }
+function buildFeedbackModel(records, configuredThreshold = config.ai_analysis.min_relevance_score) {
+  const labeled = records.filter(job => job.feedback && FEEDBACK_LABELS.includes(job.feedback.label));
+  const labels = Object.fromEntries(FEEDBACK_LABELS.map(label => [label, 0]));
+  labeled.forEach(job => labels[job.feedback.label]++);
+
+  return {
+    enabled: feedbackConfig.enabled !== false,
+    labels,
+    penalties: learnPenalties(labeled, feedbackConfig.min_labels || 2),
+    examples: pickExamples(labeled, feedbackConfig.max_examples === undefined ? 4 : feedbackConfig.max_examples),
+    calibration: feedbackConfig.calibrate === false
+      ? null
+      : calibrateThreshold(labeled, configuredThreshold, feedbackConfig.calibrate_after || 10)
+  };
+}
+
+// Points to take off a job's score and why, from the learned penalty list
+function feedbackPenalty(job, model) {
+  const reasons = [];
+  const company = String(job.company || '').trim().toLowerCase();
+  const companyPenalty = model.penalties.companies.find(entry => entry.company === company);
+  if (companyPenalty) reasons.push(`company "${job.company}" labelled ${companyPenalty.count}x`);
+  const keywords = titleKeywords(job.title);
+  model.penalties.keywords
+    .filter(entry => keywords.includes(entry.keyword))
+    .forEach(entry => reasons.push(`title keyword "${entry.keyword}" labelled ${entry.count}x`));
+
+  const points = reasons.length > 0 ? (feedbackConfig.penalty === undefined ? 2 : feedbackConfig.penalty) : 0;
+  return { points, reasons };
+}
+
+module.exports = {
+  FEEDBACK_LABELS,
+  POSITIVE_LABELS,
+  feedbackLink,
+  verifyFeedbackLink,
+  buildFeedbackModel,
+  feedbackPenalty
+};
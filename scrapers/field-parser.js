@@ -0,0 +1,170 @@
+// Deterministic parsers for the structured fields boards show on cards and in
+// descriptions. Every parser returns null when it finds nothing usable.
+
+const DAY_MS = 86400000;
+
+const AMOUNT_UNITS = {
+  k: 1e3, thousand: 1e3,
+  l: 1e5, lac: 1e5, lacs: 1e5, lakh: 1e5, lakhs: 1e5, lpa: 1e5,
+  cr: 1e7, crore: 1e7, crores: 1e7
+};
+
+const AMOUNT = '(\\d+(?:,\\d+)*(?:\\.\\d+)?)\\s*(k|thousand|lpa|lacs?|lakhs?|l|crores?|cr)?\\b';
+const RANGE_PATTERN = new RegExp(`${AMOUNT}\\s*(?:-|–|—|to)\\s*(?:₹|rs\\.?|inr|\\$|usd|€)?\\s*${AMOUNT}`, 'i');
+const SINGLE_PATTERN = new RegExp(AMOUNT, 'i');
+
+function toAmount(number, unit) {
+  const value = parseFloat(number.replace(/,/g, ''));
+  if (isNaN(value)) return null;
+  return Math.round(value * (unit ? AMOUNT_UNITS[unit.toLowerCase()] : 1));
+}
+
+function currencyOf(text) {
+  if (/\$|usd/i.test(text)) return 'USD';
+  if (/€|eur\b/i.test(text)) return 'EUR';
+  return 'INR';
+}
+
+// "₹ 8-12 Lacs PA", "12 LPA", "₹5,00,000 - ₹8,00,000 a year", "₹40,000 a month", "1.2 Cr"
+// → { min, max, currency, text } as annual amounts. A unit on only the upper bound
+// ("8-12 Lacs") applies to both.
+function parseSalary(text) {
+  if (!text || /not disclosed|undisclosed|competitive|as per/i.test(text)) return null;
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+
+  let min = null;
+  let max = null;
+  const range = clean.match(RANGE_PATTERN);
+  if (range) {
+    const unit = range[2] || range[4];
+    min = toAmount(range[1], range[2] || unit);
+    max = toAmount(range[3], range[4] || unit);
+  } else {
+    const single = clean.match(SINGLE_PATTERN);
+    if (!single) return null;
+    min = max = toAmount(single[1], single[2]);
+  }
+
+  const multiplier = /(?:per|a|\/|p\.?)\s*(?:month|mon|mo)\b|\bp\.?m\.?\b|monthly/i.test(clean) ? 12 : 1;
+  min = min && min * multiplier;
+  max = max && max * multiplier;
+
+  // Bare small numbers ("3 openings", "2 positions") are not salaries
+  if (!max || max < 1000) return null;
+
+  return { min, max, currency: currencyOf(clean), text: clean };
+}
+
+// "3-5 Yrs", "3 to 5 years", "5+ years", "minimum 4 years" → { min, max }
+function parseExperience(text) {
+  if (!text) return null;
+  const clean = String(text).toLowerCase();
+
+  const range = clean.match(/(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)\s*\+?\s*(?:yrs?|years?)/);
+  if (range) return { min: parseFloat(range[1]), max: parseFloat(range[2]) };
+
+  const atLeast = clean.match(/(?:minimum|min\.?|at least)\s*(?:of\s*)?(\d+(?:\.\d+)?)\s*\+?\s*(?:yrs?|years?)/)
+    || clean.match(/(\d+(?:\.\d+)?)\s*\+\s*(?:yrs?|years?)/);
+  if (atLeast) return { min: parseFloat(atLeast[1]), max: null };
+
+  const single = clean.match(/(\d+(?:\.\d+)?)\s*(?:yrs?|years?)(?:\s+of)?\s+(?:experience|exp)/);
+  if (single) return { min: parseFloat(single[1]), max: parseFloat(single[1]) };
+
+  return null;
+}
+
+// "Posted 2 days ago", "Active 30+ days ago", "Just posted", "Today", "2025-08-10"
+// → ISO timestamp, relative to when the job was scraped
+function parsePostedDate(text, reference = new Date().toISOString()) {
+  if (!text) return null;
+  const clean = String(text).toLowerCase();
+  const ref = new Date(reference).getTime();
+  const at = offset => new Date(ref - offset).toISOString();
+
+  if (/just (?:now|posted)|today|few (?:hours|minutes) ago|moments? ago/.test(clean)) return at(0);
+  if (/yesterday/.test(clean)) return at(DAY_MS);
+
+  const relative = clean.match(/(\d+)\s*\+?\s*(minute|min|hour|hr|day|week|month)s?\s+ago/);
+  if (relative) {
+    const unitMs = {
+      minute: 60000, min: 60000, hour: 3600000, hr: 3600000,
+      day: DAY_MS, week: 7 * DAY_MS, month: 30 * DAY_MS
+    }[relative[2]];
+    return at(parseInt(relative[1], 10) * unitMs);
+  }
+
+  const absolute = clean.match(/\d{4}-\d{2}-\d{2}/);
+  if (absolute && !isNaN(Date.parse(absolute[0]))) return new Date(absolute[0]).toISOString();
+
+  return null;
+}
+
+// Hybrid first: hybrid postings usually mention remote days too
+function parseWorkMode(text) {
+  if (!text) return null;
+  const clean = String(text).toLowerCase();
+  if (/\bhybrid\b/.test(clean)) return 'hybrid';
+  if (/\bremote\b|work from home|\bwfh\b/.test(clean)) return 'remote';
+  if (/\bon[\s-]?site\b|in[\s-]office|work from office|\bwfo\b/.test(clean)) return 'onsite';
+  return null;
+}
+
+// First description line that mentions the pattern and parses
+function fromDescription(description, pattern, parse) {
+  for (const line of String(description || '').split('\n')) {
+    if (!pattern.test(line)) continue;
+    const value = parse(line);
+    if (value) return value;
+  }
+  return null;
+}
+
+// Parse the raw card values captured by the scraper (*_text), falling back to the
+// description, into salary / experience / posted_at / work_mode
+function parseJobFields(job) {
+  const description = job.description || '';
+
+  const salary = parseSalary(job.salary_text)
+    || fromDescription(description, /salary|ctc|compensation|package|lpa|₹/i, parseSalary);
+  const experience = parseExperience(job.experience_text)
+    || fromDescription(description, /experience|exp\b|yrs|years/i, parseExperience);
+  const postedAt = parsePostedDate(job.posted_text, job.scraped_at)
+    || fromDescription(description, /posted|active/i, line => parsePostedDate(line, job.scraped_at));
+  const workMode = parseWorkMode(job.work_mode_text)
+    || parseWorkMode(job.location)
+    || parseWorkMode(job.title)
+    || parseWorkMode(description);
+
+  return {
+    salary: salary || null,
+    experience: experience || null,
+    posted_at: postedAt || null,
+    work_mode: workMode || null
+  };
+}
+
+// "8-12 LPA" for INR ranges, the original text otherwise
+function formatSalary(salary) {
+  if (!salary) return '';
+  if (salary.currency !== 'INR') return salary.text;
+  const lakh = amount => (amount / 100000).toFixed(1).replace(/\.0$/, '');
+  return salary.min === salary.max ? `${lakh(salary.max)} LPA` : `${lakh(salary.min)}-${lakh(salary.max)} LPA`;
+}
+
+// "3-5 years", "5+ years", "2 years"
+function formatExperience(experience) {
+  if (!experience) return '';
+  if (experience.max === null) return `${experience.min}+ years`;
+  if (experience.max === experience.min) return `${experience.min} years`;
+  return `${experience.min}-${experience.max} years`;
+}
+
+module.exports = {
+  parseSalary,
+  parseExperience,
+  parsePostedDate,
+  parseWorkMode,
+  parseJobFields,
+  formatSalary,
+  formatExperience
+};
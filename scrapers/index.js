@@ -3,6 +3,13 @@ const fs = require('fs-extra');
 const path = require('path');
 const winston = require('winston');
 const config = require('../config/config.json');
+const { getSite, getEnabledSites } = require('./sites');
+const { loadSelectorPack, OPTIONAL_FIELDS } = require('./selector-packs');
+const { allQueries, requestBudget, describeQuery } = require('./query-planner');
+const { searchCriteria } = require('./profiles');
+const { canonicalJobId } = require('./job-store');
+const { dedupeJobs } = require('./dedupe');
+const { parseJobFields } = require('./field-parser');
 
 // Setup logging
 const logger = winston.createLogger({
@@ -18,10 +25,16 @@ const logger = winston.createLogger({
 });
 
 class JobScraper {
-  constructor() {
+  // `criteria` are the roles, locations and recency windows to search for; by default
+  // those of every profile
+  constructor(criteria = searchCriteria()) {
+    this.criteria = criteria;
     this.browser = null;
     this.context = null;
     this.cookiesPath = path.join(__dirname, '../data/cookies.json');
+    // Per-site outcome of the last scrape, for run history and the dashboard
+    this.siteStats = {};
+    this.cancelled = false;
   }
 
   async initialize() {
@@ -76,305 +89,223 @@ class JobScraper {
     }
   }
 
-  async scrapeLinkedIn() {
-    if (!config.sites.linkedin.enabled) return [];
-    
+  async scrapeSite(site, siteConfig = {}) {
+    const adapter = typeof site === 'string' ? getSite(site) : site;
+    if (!adapter) throw new Error(`Unknown site: ${site}`);
+
+    const pack = loadSelectorPack(adapter.name);
     const page = await this.context.newPage();
     const jobs = [];
+    const label = adapter.label;
+    const baseUrl = siteConfig.base_url || adapter.baseUrl;
+    const maxJobs = config.scraping.max_jobs_per_site;
+    const maxPages = siteConfig.max_pages || config.scraping.max_pages_per_query || 1;
+    const delay = siteConfig.rate_limit || config.scraping.delay_between_requests;
+    const started = Date.now();
+    let requests = 0;
+    let pagesWithResults = 0;
+    let failure = null;
 
     try {
-      logger.info('Starting LinkedIn scraping...');
-      
-      // Try multiple LinkedIn job search approaches
-      const searchUrls = [
-        `https://www.linkedin.com/jobs/search?keywords=${encodeURIComponent(config.user.preferred_roles[0])}&location=Delhi%2C%20India&geoId=102713980&f_TPR=r604800&position=1&pageNum=0`,
-        `https://www.linkedin.com/jobs/search?keywords=software%20engineer&location=Delhi%2C%20India&f_TPR=r604800`,
-        `https://www.linkedin.com/jobs/search?keywords=developer&location=India&f_TPR=r604800`
-      ];
-      
-      let jobsFound = false;
-      
-      for (const searchUrl of searchUrls) {
-        try {
-          await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: config.scraping.timeout });
-          await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
-          await this.autoScroll(page);
-
-          // Check multiple selectors for job listings
-          const jobsVisible = await page.locator('.jobs-search__results-list, .job-card-container, .base-search-card, .job-search-card').first().isVisible({ timeout: 5000 }).catch(() => false);
-          
-          if (jobsVisible) {
-            jobsFound = true;
-            break;
-          }
-        } catch (e) {
-          logger.warn(`LinkedIn URL failed: ${searchUrl}`);
-          continue;
-        }
-      }
-      
-      if (!jobsFound) {
-        logger.warn('LinkedIn requires login or is blocking access - skipping LinkedIn scraping');
-        return jobs;
-      }
+      logger.info(`Starting ${label} scraping (selector pack v${pack.version})...`);
 
-      // Scrape job listings with multiple selector strategies
-      const jobCards = await page.locator('.job-card-container, .jobs-search-results__list-item, .job-card-list__entity, .base-search-card, .job-search-card').all();
-      
-      logger.info(`Found ${jobCards.length} job cards on LinkedIn`);
-      
-      for (let i = 0; i < Math.min(jobCards.length, config.scraping.max_jobs_per_site); i++) {
-        try {
-          const card = jobCards[i];
-          
-          const title = await card.locator('h3 a, .job-card-list__title, .job-card-container__link').first().textContent().catch(() => 'N/A');
-          const company = await card.locator('.job-card-container__company-name, .job-card-list__company-name').first().textContent().catch(() => 'N/A');
-          const location = await card.locator('.job-card-container__metadata-item, .job-card-list__metadata').first().textContent().catch(() => 'N/A');
-          const link = await card.locator('a').first().getAttribute('href').catch(() => '#');
-          
-          if (title && title !== 'N/A' && title.trim() !== '') {
-            const finalLink = link && link.startsWith('http') ? link : `https://linkedin.com${link}`;
-            jobs.push({
-              title: title.trim(),
-              company: company.trim(),
-              location: location.trim(),
-              link: finalLink,
-              source: 'LinkedIn',
-              scraped_at: new Date().toISOString(),
-              description: ''
-            });
-          }
-          
-          await page.waitForTimeout(config.scraping.delay_between_requests);
-        } catch (error) {
-          logger.warn(`Error scraping LinkedIn job ${i}:`, error.message);
-        }
+      const planned = allQueries(siteConfig, this.criteria);
+      const queries = planned.slice(0, requestBudget(siteConfig));
+      const seenLinks = new Set();
+      if (queries.length < planned.length) {
+        logger.info(`${label}: searching the first ${queries.length} of ${planned.length} planned queries (max_search_requests)`);
       }
 
-      // Enrich with descriptions (limited concurrency)
-      await this.enrichJobsWithDescriptions(jobs, 'linkedin');
-      logger.info(`LinkedIn scraping completed: ${jobs.length} jobs found (descriptions enriched)`);
-    } catch (error) {
-      logger.error('LinkedIn scraping failed:', error);
-    } finally {
-      await page.close();
-    }
+      for (const query of queries) {
+        if (jobs.length >= maxJobs || this.cancelled) break;
 
-    return jobs;
-  }
+        // Page through results until a page is empty or only repeats jobs we already
+        // have, or the page or job budget runs out. Pages have their own cap, so paging
+        // never eats into the queries planned after this one.
+        for (let pageIndex = 0; pageIndex < maxPages; pageIndex++) {
+          if (jobs.length >= maxJobs || this.cancelled) break;
 
-  async scrapeIndeed() {
-    if (!config.sites.indeed.enabled) return [];
-    
-    const page = await this.context.newPage();
-    const jobs = [];
+          const searchUrl = adapter.buildSearchUrl(query, pageIndex);
+          if (requests > 0) await page.waitForTimeout(delay);
+          requests++;
 
-    try {
-      logger.info('Starting Indeed scraping...');
-      
-      // Try multiple Indeed search approaches
-      const searchUrls = [
-        `https://in.indeed.com/jobs?q=${encodeURIComponent(config.user.preferred_roles[0])}&l=Delhi%2C+Delhi&fromage=7&sort=date`,
-        `https://in.indeed.com/jobs?q=software+engineer&l=Delhi%2C+Delhi&fromage=7&sort=date`,
-        `https://in.indeed.com/jobs?q=developer&l=Delhi%2C+Delhi&fromage=7&sort=date`,
-        `https://in.indeed.com/jobs?q=full+stack+developer&l=Delhi%2C+Delhi&fromage=7&sort=date`,
-        `https://in.indeed.com/jobs?q=software+engineer&l=India&fromage=7&sort=date`
-      ];
-      
-      let jobsFound = false;
-      
-      for (const searchUrl of searchUrls) {
-        try {
-          await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: config.scraping.timeout });
-          await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
-
-          // Handle various popups
-          try {
-            const popups = ['[data-testid="popup-close-button"]', '.popover-x-button-close', '.icl-CloseButton', '.pn', '.np:last-child'];
-            for (const popup of popups) {
-              const element = page.locator(popup).first();
-              if (await element.isVisible({ timeout: 2000 })) {
-                await element.click();
-                await page.waitForTimeout(1000);
-              }
+          if (!await this.openResultsPage(page, searchUrl, adapter, pack)) {
+            if (pageIndex === 0) {
+              logger.warn(`${label} showed no listings for "${describeQuery(query)}": ${searchUrl}`);
             }
-          } catch (e) {
-            // Ignore popup errors
-          }
-
-          // Wait for job listings to load with multiple selectors
-          try {
-            await page.waitForSelector('.job_seen_beacon, .slider_container, [data-jk], .jobsearch-SerpJobCard, .result', { timeout: 8000 });
-            jobsFound = true;
             break;
-          } catch (e) {
-            logger.warn(`Indeed URL failed: ${searchUrl}`);
-            continue;
           }
-        } catch (e) {
-          logger.warn(`Indeed URL error: ${searchUrl}`);
-          continue;
+          pagesWithResults++;
+
+          const { jobs: found } = await this.extractJobs(page, adapter, pack, {
+            query,
+            baseUrl,
+            seenLinks,
+            limit: maxJobs - jobs.length
+          });
+          jobs.push(...found);
+          logger.info(`${label}: ${found.length} new jobs for "${describeQuery(query)}" page ${pageIndex + 1}`);
+
+          // A page that adds nothing (no cards, or only repeats, untitled cards and jobs
+          // the site rejects) means the results have run out or are looping
+          if (found.length === 0) break;
         }
       }
-      
-      if (!jobsFound) {
-        logger.warn('No job listings found on Indeed');
+
+      if (pagesWithResults === 0) {
+        logger.warn(adapter.notFoundMessage || `No job listings found on ${label}`);
         return jobs;
       }
-      
-      // Scrape job listings with multiple selector strategies
-      let jobCards = await page.locator('.jobsearch-SerpJobCard, [data-testid="job-tile"], .job_seen_beacon, .slider_container .slider_item').all();
-      
-      logger.info(`Found ${jobCards.length} job cards on Indeed`);
-      
-      for (let i = 0; i < Math.min(jobCards.length, config.scraping.max_jobs_per_site); i++) {
-        try {
-          const card = jobCards[i];
-          
-          // Multiple selector strategies for title
-          let title = await card.locator('h2 a span, .jobTitle a span, [data-testid="job-title"], h2 a, .jobTitle a').first().textContent().catch(() => null);
-          if (!title) {
-            title = await card.locator('a[data-jk]').first().getAttribute('aria-label').catch(() => 'N/A');
-          }
-          
-          const company = await card.locator('[data-testid="company-name"], .companyName, span[title]').first().textContent().catch(() => 'N/A');
-          const location = await card.locator('[data-testid="job-location"], .companyLocation, .locationsContainer').first().textContent().catch(() => 'N/A');
-          const link = await card.locator('h2 a, .jobTitle a, a[data-jk]').first().getAttribute('href').catch(() => '#');
-          
-          if (title && title !== 'N/A' && title.trim() !== '') {
-            const finalLink = link && link.startsWith('http') ? link : `https://in.indeed.com${link}`;
-            jobs.push({
-              title: title.trim(),
-              company: company.trim(),
-              location: location.trim(),
-              link: finalLink,
-              source: 'Indeed',
-              scraped_at: new Date().toISOString(),
-              description: ''
-            });
-          }
-          
-          await page.waitForTimeout(config.scraping.delay_between_requests);
-        } catch (error) {
-          logger.warn(`Error scraping Indeed job ${i}:`, error.message);
-        }
-      }
 
-      await this.enrichJobsWithDescriptions(jobs, 'indeed');
-      logger.info(`Indeed scraping completed: ${jobs.length} jobs found (descriptions enriched)`);
+      // Enrich with descriptions (limited concurrency), then parse structured fields
+      // from the card text and description
+      await this.enrichJobsWithDescriptions(jobs, adapter.name, pack);
+      jobs.forEach(job => Object.assign(job, parseJobFields(job)));
+      logger.info(`${label} scraping completed: ${jobs.length} jobs found from ${pagesWithResults} result pages (descriptions enriched)`);
     } catch (error) {
-      logger.error('Indeed scraping failed:', error);
+      logger.error(`${label} scraping failed:`, error);
+      failure = error.message;
     } finally {
-      await page.close();
+      // The page is already gone when a cancel closed the browser
+      await page.close().catch(() => {});
+      await pack.saveStats();
+      let status = 'ok';
+      if (failure) status = 'failed';
+      else if (pagesWithResults === 0) status = 'no_results';
+      this.siteStats[adapter.name] = {
+        site: adapter.name,
+        label,
+        status,
+        jobs: jobs.length,
+        requests,
+        pages: pagesWithResults,
+        error: failure,
+        duration_ms: Date.now() - started,
+        finished_at: new Date().toISOString()
+      };
     }
 
     return jobs;
   }
 
-  async scrapeNaukri() {
-    if (!config.sites.naukri.enabled) return [];
-    
-    const page = await this.context.newPage();
-    const jobs = [];
-
+  // Load a search results page and report whether any job listings rendered
+  async openResultsPage(page, url, adapter, pack) {
     try {
-      logger.info('Starting Naukri scraping...');
-      
-      // Try multiple Naukri search approaches
-      const searchUrls = [
-        `https://www.naukri.com/jobs-in-delhi-ncr?k=${encodeURIComponent(config.user.preferred_roles[0])}`,
-        `https://www.naukri.com/software-engineer-jobs-in-delhi-ncr`,
-        `https://www.naukri.com/developer-jobs-in-delhi-ncr`,
-        `https://www.naukri.com/full-stack-developer-jobs-in-delhi-ncr`,
-        `https://www.naukri.com/jobs-in-delhi-ncr?k=software%20engineer&experience=2&salary=3,00,000,15,00,000`
-      ];
-      
-      let jobsFound = false;
-      
-      for (const searchUrl of searchUrls) {
-        try {
-          await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: config.scraping.timeout });
-          await page.waitForLoadState('networkidle', { timeout: 12000 }).catch(() => {});
-          await this.autoScroll(page);
-
-          // Handle various popups
-          try {
-            const popups = ['.crossIcon', '.close', '[data-test="modal-close"]', '.popupCloseIcon', '.closeIcon'];
-            for (const popup of popups) {
-              const element = page.locator(popup).first();
-              if (await element.isVisible({ timeout: 2000 })) {
-                await element.click();
-                await page.waitForTimeout(1000);
-              }
-            }
-          } catch (e) {
-            // Ignore popup errors
-          }
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: config.scraping.timeout });
+      await page.waitForLoadState('networkidle', { timeout: adapter.networkIdleTimeout || 10000 }).catch(() => {});
+      if (adapter.autoScroll) {
+        await this.autoScroll(page);
+      }
+      await this.dismissPopups(page, pack.chain('popups').map(entry => entry.selector));
+
+      return await page.locator(pack.anyOf('results')).first()
+        .waitFor({ state: 'visible', timeout: adapter.resultsTimeout || 5000 })
+        .then(() => true)
+        .catch(() => false);
+    } catch (e) {
+      logger.warn(`${adapter.label} URL failed: ${url}`);
+      return false;
+    }
+  }
 
-          // Check for job listings with multiple selectors
-          const jobsVisible = await page.locator('.jobTuple, .srp-jobtuple-wrapper, [data-job-id], .jobTupleHeader, .job-tuple').first().isVisible({ timeout: 5000 }).catch(() => false);
-          
-          if (jobsVisible) {
-            jobsFound = true;
-            break;
-          }
-        } catch (e) {
-          logger.warn(`Naukri URL failed: ${searchUrl}`);
-          continue;
+  // Read job cards off the current results page, skipping links already collected.
+  // Returns the new jobs and the number of cards on the page.
+  async extractJobs(page, adapter, pack, { query, baseUrl, seenLinks, limit }) {
+    const jobs = [];
+    const jobCards = await this.locateCards(page, pack);
+    logger.info(`Found ${jobCards.length} job cards on ${adapter.label}`);
+
+    for (let i = 0; i < jobCards.length && jobs.length < limit; i++) {
+      try {
+        const card = jobCards[i];
+
+        const title = await this.extractField(card, pack, 'title');
+        const company = await this.extractField(card, pack, 'company');
+        const location = await this.extractField(card, pack, 'location');
+        const link = await this.extractField(card, pack, 'link');
+
+        if (!title) continue;
+
+        const job = {
+          title,
+          company: company || 'N/A',
+          location: location || 'N/A',
+          link: link && link.startsWith('http') ? link : `${baseUrl}${link || '#'}`,
+          source: adapter.label,
+          search_query: query,
+          scraped_at: new Date().toISOString(),
+          description: ''
+        };
+
+        for (const name of OPTIONAL_FIELDS) {
+          if (pack.fieldChain(name).length === 0) continue;
+          const value = await this.extractField(card, pack, name);
+          if (value) job[`${name}_text`] = value;
         }
+
+        job.id = canonicalJobId(job);
+
+        if (seenLinks.has(job.link)) continue;
+        if (adapter.acceptJob && !adapter.acceptJob(job, this)) continue;
+
+        seenLinks.add(job.link);
+        jobs.push(job);
+      } catch (error) {
+        logger.warn(`Error scraping ${adapter.label} job ${i}:`, error.message);
       }
-      
-      if (!jobsFound) {
-        logger.warn('No job listings found on Naukri');
-        return jobs;
-      }
+    }
 
-      // Scrape job listings with enhanced selectors
-      const jobCards = await page.locator('.jobTuple, .srp-jobtuple-wrapper, [data-job-id], .jobTupleHeader, .job-tuple').all();
-      
-      for (let i = 0; i < Math.min(jobCards.length, config.scraping.max_jobs_per_site); i++) {
-        try {
-          const card = jobCards[i];
-          
-          const title = await card.locator('.title, .jobTupleHeader .ellipsis, [data-test="job-title"]').first().textContent().catch(() => 'N/A');
-          const company = await card.locator('.subTitle, .companyInfo .ellipsis, [data-test="company-name"]').first().textContent().catch(() => 'N/A');
-          const location = await card.locator('.location, .locationsContainer, [data-test="job-location"]').first().textContent().catch(() => 'N/A');
-          const link = await card.locator('.title a, .jobTupleHeader a').first().getAttribute('href').catch(() => '#');
-          
-          if (title && title !== 'N/A' && this.isRelevantLocation(location)) {
-            const finalLink = link && link.startsWith('http') ? link : `https://www.naukri.com${link}`;
-            jobs.push({
-              title: title.trim(),
-              company: company.trim(),
-              location: location.trim(),
-              link: finalLink,
-              source: 'Naukri',
-              scraped_at: new Date().toISOString(),
-              description: ''
-            });
-          }
-          
-          await page.waitForTimeout(config.scraping.delay_between_requests);
-        } catch (error) {
-          logger.warn(`Error scraping Naukri job ${i}:`, error.message);
-        }
+    return { jobs, cards: jobCards.length };
+  }
+
+  // Walk the pack's card chain; the first selector that matches anything wins
+  async locateCards(page, pack) {
+    for (const entry of pack.chain('card')) {
+      const cards = await page.locator(entry.selector).all().catch(() => []);
+      if (cards.length > 0) {
+        pack.recordMatch('card', entry);
+        return cards;
       }
+    }
+    pack.recordMiss('card');
+    return [];
+  }
 
-      await this.enrichJobsWithDescriptions(jobs, 'naukri');
-      logger.info(`Naukri scraping completed: ${jobs.length} jobs found (descriptions enriched)`);
-    } catch (error) {
-      logger.error('Naukri scraping failed:', error);
-    } finally {
-      await page.close();
+  // Walk a field's fallback chain; the first non-empty value wins
+  async extractField(card, pack, name) {
+    for (const entry of pack.fieldChain(name)) {
+      const el = card.locator(entry.selector).first();
+      if (await el.count().catch(() => 0) === 0) continue;
+      const value = await (entry.attribute ? el.getAttribute(entry.attribute) : el.textContent()).catch(() => null);
+      if (value && value.trim() !== '') {
+        pack.recordMatch(name, entry);
+        return value.trim();
+      }
     }
+    pack.recordMiss(name);
+    return null;
+  }
 
-    return jobs;
+  async dismissPopups(page, selectors = []) {
+    for (const selector of selectors) {
+      try {
+        const element = page.locator(selector).first();
+        if (await element.isVisible()) {
+          await element.click();
+          await page.waitForTimeout(1000);
+        }
+      } catch (e) {
+        // Ignore popup errors
+      }
+    }
   }
 
   isRelevantLocation(location) {
     if (!location || location === 'N/A') return true; // Include jobs with unknown location
     const locationLower = location.toLowerCase();
-    return config.locations.primary.some(loc => 
+    const { primary_locations: primary, secondary_locations: secondary } = this.criteria;
+    const wanted = [...primary, ...secondary];
+    return wanted.some(loc => 
       locationLower.includes(loc.toLowerCase())
     ) || locationLower.includes('remote') || locationLower.includes('work from home');
   }
@@ -383,31 +314,27 @@ class JobScraper {
 
   async scrapeAllSites() {
     await this.initialize();
+    this.siteStats = {};
     
     try {
-      const [linkedinJobs, indeedJobs, naukriJobs] = await Promise.allSettled([
-        this.scrapeLinkedIn(),
-        this.scrapeIndeed(),
-        this.scrapeNaukri()
-      ]);
-
-      const allJobs = [
-        ...(linkedinJobs.status === 'fulfilled' ? linkedinJobs.value : []),
-        ...(indeedJobs.status === 'fulfilled' ? indeedJobs.value : []),
-        ...(naukriJobs.status === 'fulfilled' ? naukriJobs.value : [])
-      ];
-
-      // Remove duplicates based on title and company
-      const uniqueJobs = allJobs.filter((job, index, self) => 
-        index === self.findIndex(j => 
-          j.title.toLowerCase() === job.title.toLowerCase() && 
-          j.company.toLowerCase() === job.company.toLowerCase()
-        )
+      if (this.cancelled) return [];
+      const sites = getEnabledSites(config.sites).filter(({ key, adapter }) => {
+        if (!adapter) logger.warn(`No site adapter registered for "${key}" - skipping`);
+        return !!adapter;
+      });
+
+      const results = await Promise.allSettled(
+        sites.map(({ adapter, siteConfig }) => this.scrapeSite(adapter, siteConfig))
       );
 
+      const allJobs = results.flatMap(result => result.status === 'fulfilled' ? result.value : []);
+
+      // Merge the same job posted on several boards (or under slightly different titles)
+      const uniqueJobs = dedupeJobs(allJobs);
+
       await this.saveCookies();
       
-      logger.info(`Total unique jobs scraped: ${uniqueJobs.length}`);
+      logger.info(`Total unique jobs scraped: ${uniqueJobs.length} (${allJobs.length - uniqueJobs.length} duplicates merged)`);
       return uniqueJobs;
     } catch (error) {
       logger.error('Error during scraping:', error);
@@ -417,6 +344,13 @@ class JobScraper {
     }
   }
 
+  // Stop a scrape in progress. Closing the browser makes every open page fail fast, so
+  // scrapeAllSites returns with whatever the sites had collected.
+  async cancel() {
+    this.cancelled = true;
+    await this.cleanup();
+  }
+
   async cleanup() {
     try {
       if (this.browser) {
@@ -448,32 +382,28 @@ class JobScraper {
     } catch (_) {}
   }
 
-  async fetchJobDescription(url, site) {
+  async fetchJobDescription(url, site, pack = loadSelectorPack(site)) {
     try {
       const page = await this.context.newPage();
       await page.goto(url, { waitUntil: 'domcontentloaded', timeout: config.scraping.timeout || 30000 });
       await page.waitForTimeout(1500);
 
-      let selector = '';
-      if (site === 'indeed') {
-        selector = '#jobDescriptionText, .jobsearch-jobDescriptionText, [id="jobDescriptionText"]';
-      } else if (site === 'linkedin') {
-        selector = '.show-more-less-html__markup, .jobs-description__content, [data-test-job-description-text], [class*="description"]';
-      } else if (site === 'naukri') {
-        selector = '.dang-inner-html, .job-description, .jd-description, [class*="job-desc"]';
-      }
-
       let text = '';
-      if (selector) {
+      for (const entry of pack.chain('description')) {
         try {
-          const el = page.locator(selector).first();
-          if (await el.isVisible({ timeout: 5000 }).catch(() => false)) {
+          const el = page.locator(entry.selector).first();
+          if (await el.isVisible().catch(() => false)) {
             text = await el.innerText();
           }
         } catch (_) {}
+        if (text && text.trim() !== '') {
+          pack.recordMatch('description', entry);
+          break;
+        }
       }
 
       if (!text || text.trim() === '') {
+        pack.recordMiss('description');
         // Fallback: get all text from main/content area
         try {
           const bodyText = await page.evaluate(() => document.body ? document.body.innerText : '');
@@ -500,10 +430,11 @@ class JobScraper {
       .trim();
   }
 
-  async enrichJobsWithDescriptions(jobs, site) {
+  async enrichJobsWithDescriptions(jobs, site, pack) {
     const limit = (config.scraping && config.scraping.max_detail_fetch) || 20;
     const concurrency = (config.scraping && config.scraping.detail_concurrency) || 3;
     const targets = jobs.slice(0, Math.min(limit, jobs.length));
+    if (targets.length === 0) return;
     let active = 0;
     let index = 0;
     let completed = 0;
@@ -514,7 +445,7 @@ class JobScraper {
         while (active < concurrency && index < targets.length) {
           const job = targets[index++];
           active++;
-          this.fetchJobDescription(job.link, site)
+          this.fetchJobDescription(job.link, site, pack)
             .then(desc => { job.description = desc; })
             .catch(() => { job.description = job.description || ''; })
             .finally(() => {
@@ -0,0 +1,142 @@
+const config = require('../config/config.json');
+
+const JOB_TYPE_PATTERNS = [
+  { type: 'Internship', pattern: /\bintern(?:s|ship|ships)?\b/i },
+  { type: 'Part-time', pattern: /\bpart[\s-]?time\b/i },
+  { type: 'Freelance', pattern: /\bfreelance(?:r)?\b/i },
+  { type: 'Contract', pattern: /\b(?:contract(?:ual)?|c2h|contract[\s-]to[\s-]hire)\b/i },
+  { type: 'Temporary', pattern: /\btemporary\b/i },
+  { type: 'Full-time', pattern: /\bfull[\s-]?time\b|\bpermanent\b/i }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function canonicalType(value) {
+  const match = JOB_TYPE_PATTERNS.find(({ pattern }) => pattern.test(value));
+  return match ? match.type : String(value).trim();
+}
+
+// Use the scraped job type when there is one; otherwise look for a type in the title,
+// then for an explicit "Job type:" / "Employment type:" line in the description
+function detectJobType(job) {
+  if (job.job_type) return canonicalType(job.job_type);
+
+  const fromTitle = JOB_TYPE_PATTERNS.find(({ pattern }) => pattern.test(job.title || ''));
+  if (fromTitle) return fromTitle.type;
+
+  const labelled = String(job.description || '').match(/(?:job|employment)\s+type\s*[:-]\s*([^\n.,;|]+)/i);
+  return labelled ? canonicalType(labelled[1]) : null;
+}
+
+// Salary limits are amounts in `filters.salary_currency` (INR by default). A salary in
+// another currency cannot be compared against them, so it counts as unknown.
+function comparableSalary(job, filters) {
+  const currency = filters.salary_currency || 'INR';
+  return job.salary && (job.salary.currency || 'INR') === currency ? job.salary : null;
+}
+
+// Each check returns a rejection reason, or null to keep the job. Jobs missing the
+// field a check needs are kept: an unknown salary is not a low salary.
+const CHECKS = [
+  {
+    name: 'exclude_keywords',
+    check(job, filters) {
+      const keyword = (filters.exclude_keywords || []).find(kw =>
+        kw && new RegExp(`\\b${escapeRegExp(kw)}(?:s|ship|ships)?\\b`, 'i').test(job.title || ''));
+      return keyword ? `title contains excluded keyword "${keyword}"` : null;
+    }
+  },
+  {
+    name: 'job_types',
+    check(job, filters) {
+      const allowed = (filters.job_types || []).map(canonicalType);
+      if (allowed.length === 0) return null;
+      const type = detectJobType(job);
+      return type && !allowed.includes(type) ? `job type "${type}" not in ${allowed.join(', ')}` : null;
+    }
+  },
+  {
+    name: 'min_salary',
+    check(job, filters) {
+      const salary = comparableSalary(job, filters);
+      const top = salary && (salary.max || salary.min);
+      return filters.min_salary && top && top < filters.min_salary
+        ? `salary up to ${top} below minimum ${filters.min_salary}`
+        : null;
+    }
+  },
+  {
+    name: 'max_salary',
+    check(job, filters) {
+      const salary = comparableSalary(job, filters);
+      const bottom = salary && (salary.min || salary.max);
+      return filters.max_salary && bottom && bottom > filters.max_salary
+        ? `salary from ${bottom} above maximum ${filters.max_salary}`
+        : null;
+    }
+  },
+  {
+    name: 'company_size',
+    // Postings rarely state a company size; those are kept and counted in summary.no_data
+    missing: job => !job.company_size,
+    check(job, filters) {
+      const allowed = (filters.company_size || []).map(size => size.toLowerCase());
+      return allowed.length > 0 && job.company_size && !allowed.includes(job.company_size.toLowerCase())
+        ? `company size "${job.company_size}" not in ${allowed.join(', ')}`
+        : null;
+    }
+  },
+  {
+    name: 'posted_within_days',
+    check(job, filters) {
+      if (!filters.posted_within_days || !job.posted_at) return null;
+      const ageDays = (Date.now() - new Date(job.posted_at).getTime()) / 86400000;
+      return ageDays > filters.posted_within_days
+        ? `posted ${Math.floor(ageDays)} days ago, limit ${filters.posted_within_days}`
+        : null;
+    }
+  }
+];
+
+// Split jobs into those worth sending to the LLM and those a filter removed. Each rejected
+// job carries `filter_reason` (first failing filter); `summary.by_filter` counts removals
+// and `summary.no_data` counts kept jobs a configured filter had no data to judge.
+function filterJobs(jobs, filters = config.filters || {}) {
+  const accepted = [];
+  const rejected = [];
+  const byFilter = Object.fromEntries(CHECKS.map(({ name }) => [name, 0]));
+  const noData = {};
+
+  jobs.forEach(job => {
+    for (const { name, check } of CHECKS) {
+      const reason = check(job, filters);
+      if (reason) {
+        byFilter[name]++;
+        rejected.push({ ...job, filter_reason: `${name}: ${reason}` });
+        return;
+      }
+    }
+    accepted.push(job);
+    CHECKS.filter(({ name, missing }) => missing && [].concat(filters[name] || []).length > 0 && missing(job))
+      .forEach(({ name }) => { noData[name] = (noData[name] || 0) + 1; });
+  });
+
+  return {
+    accepted,
+    rejected,
+    summary: {
+      total: jobs.length,
+      passed: accepted.length,
+      removed: rejected.length,
+      by_filter: byFilter,
+      no_data: noData
+    }
+  };
+}
+
+module.exports = {
+  filterJobs,
+  detectJobType
+};
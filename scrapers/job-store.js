@@ -0,0 +1,299 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const winston = require('winston');
+const config = require('../config/config.json');
+const { getSite } = require('./sites');
+
+// Setup logging
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'data/job-store.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+const storageConfig = config.storage || {};
+const DEFAULT_STORE_PATH = path.join(__dirname, '..', storageConfig.jobs_file || 'data/jobs.jsonl');
+
+// Stable per-source key: the board's own job ID when the adapter can read it from the
+// link, otherwise a hash of the link (or title + company when there is no link)
+function canonicalJobId(job) {
+  if (job.id) return job.id;
+
+  const adapter = getSite(String(job.source || '').toLowerCase());
+  const siteKey = adapter ? adapter.name : String(job.source || 'unknown').toLowerCase();
+  const nativeId = adapter && adapter.jobId ? adapter.jobId(job.link || '') : null;
+  if (nativeId) return `${siteKey}:${nativeId}`;
+
+  const basis = job.link && job.link !== '#'
+    ? job.link.split(/[?#]/)[0]
+    : `${job.title}|${job.company}`.toLowerCase();
+  return `${siteKey}:${crypto.createHash('sha1').update(basis).digest('hex').slice(0, 16)}`;
+}
+
+// Record fields owned by analysis, reporting and the user rather than by the listing
+const KEPT_FIELDS = [
+  'ai_analysis', 'is_relevant', 'analyzed_at', 'filter_reason', 'filtered_at', 'rank_reason', 'ranked_out_at', 'reported_at',
+  'embedding', 'semantic_similarity', 'feedback', 'application', 'alert'
+];
+
+// Record fields the user sets through the API. A workflow run holds its store for
+// minutes, so before each save these are taken from the file unless this store
+// changed them itself; otherwise a label made during the run would be overwritten.
+const USER_FIELDS = ['feedback', 'application'];
+
+// Saves in progress per file, so saves from this process never interleave
+const pendingSaves = new Map();
+
+async function readRecords(filePath) {
+  if (!await fs.pathExists(filePath)) return [];
+  const records = [];
+  (await fs.readFile(filePath, 'utf8')).split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      logger.warn(`Skipping malformed job store line ${index + 1}: ${error.message}`);
+    }
+  });
+  return records;
+}
+
+class JobStore {
+  constructor(filePath = DEFAULT_STORE_PATH) {
+    this.filePath = filePath;
+    this.jobs = new Map();
+    this.closeAfterMissedRuns = storageConfig.close_after_missed_runs || 2;
+    // "<id>\n<field>" for each user field changed since the last save
+    this.changedUserFields = new Set();
+  }
+
+  async load() {
+    this.jobs.clear();
+    this.changedUserFields.clear();
+    (await readRecords(this.filePath)).forEach(record => this.jobs.set(record.id, record));
+    logger.info(`Job store loaded: ${this.jobs.size} jobs`);
+    return this;
+  }
+
+  // Rewrite the whole file through a temp file so a crash never leaves half a store
+  save() {
+    const previous = pendingSaves.get(this.filePath) || Promise.resolve();
+    const saving = previous.catch(() => {}).then(() => this.write());
+    pendingSaves.set(this.filePath, saving);
+    return saving.finally(() => {
+      if (pendingSaves.get(this.filePath) === saving) pendingSaves.delete(this.filePath);
+    });
+  }
+
+  async write() {
+    const changed = Array.from(this.changedUserFields);
+    await this.mergeUserFields();
+    await fs.ensureDir(path.dirname(this.filePath));
+    const tmpPath = `${this.filePath}.tmp`;
+    const body = Array.from(this.jobs.values()).map(record => JSON.stringify(record)).join('\n');
+    await fs.writeFile(tmpPath, body ? `${body}\n` : '');
+    await fs.move(tmpPath, this.filePath, { overwrite: true });
+    changed.forEach(key => this.changedUserFields.delete(key));
+  }
+
+  // Take the user fields this store has not changed from the file as it is now
+  async mergeUserFields() {
+    (await readRecords(this.filePath)).forEach(saved => {
+      const record = this.jobs.get(saved.id);
+      if (!record) return;
+      USER_FIELDS.forEach(field => {
+        if (this.changedUserFields.has(`${saved.id}\n${field}`)) return;
+        if (saved[field] === undefined) delete record[field];
+        else record[field] = saved[field];
+      });
+    });
+  }
+
+  touchUserField(id, field) {
+    this.changedUserFields.add(`${id}\n${field}`);
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  all() {
+    return Array.from(this.jobs.values());
+  }
+
+  // A merged job may have been stored under another board's ID in an earlier run
+  findExisting(job, id) {
+    if (this.jobs.has(id)) return this.jobs.get(id);
+    const aliases = (job.sources || []).map(entry => entry.id).filter(Boolean);
+    for (const record of this.jobs.values()) {
+      const known = [record.id, ...(record.sources || []).map(entry => entry.id)];
+      if (aliases.some(alias => known.includes(alias))) return record;
+    }
+    return null;
+  }
+
+  // Merge a scrape into the store. Returns the jobs that still need analysis (never seen
+  // before, or seen but never analyzed or filtered because an earlier run stopped short),
+  // the relevant jobs analyzed earlier whose report never went out (delivery failed; they
+  // carry their stored analysis so they are not analyzed again) and the jobs that were closed. A job closes once a source that returned results this run has
+  // missed it `close_after_missed_runs` times in a row.
+  recordScrape(jobs) {
+    const now = new Date().toISOString();
+    const seenIds = new Set();
+    const scrapedSources = new Set(jobs.map(job => job.source));
+    const pending = [];
+    const rankedOut = [];
+    const unreported = [];
+
+    jobs.forEach(job => {
+      const existing = this.findExisting(job, canonicalJobId(job));
+      const id = existing ? existing.id : canonicalJobId(job);
+      job.id = id;
+      seenIds.add(id);
+
+      const record = {
+        ...(existing || {}),
+        ...job,
+        id,
+        first_seen: existing ? existing.first_seen : now,
+        last_seen: now,
+        missed_runs: 0,
+        status: 'open',
+        closed_at: null
+      };
+      // Keep earlier analysis and report state; the scrape only refreshes listing fields
+      if (existing) {
+        KEPT_FIELDS.forEach(key => {
+          if (existing[key] !== undefined) record[key] = existing[key];
+        });
+      }
+      this.jobs.set(id, record);
+
+      job.first_seen = record.first_seen;
+      // Jobs the semantic pre-rank left out passed the filters already; they are ranked
+      // again each run but are not new
+      if (!record.analyzed_at && !record.filtered_at) {
+        (record.ranked_out_at ? rankedOut : pending).push(job);
+      } else if (record.analyzed_at && record.is_relevant && !record.reported_at && !record.feedback) {
+        unreported.push({ ...job, ai_analysis: record.ai_analysis, is_relevant: true });
+      }
+    });
+
+    const closed = [];
+    this.jobs.forEach(record => {
+      if (record.status !== 'open' || seenIds.has(record.id) || !scrapedSources.has(record.source)) return;
+      record.missed_runs = (record.missed_runs || 0) + 1;
+      if (record.missed_runs >= this.closeAfterMissedRuns) {
+        record.status = 'closed';
+        record.closed_at = now;
+        closed.push(record);
+      }
+    });
+
+    logger.info(`Job store: ${jobs.length} scraped, ${pending.length} new, ${rankedOut.length} ranked out before, ${unreported.length} unreported, ${closed.length} closed`);
+    return { newJobs: pending, rankedOutJobs: rankedOut, unreportedJobs: unreported, closedJobs: closed };
+  }
+
+  recordAnalysis(analyzedJobs) {
+    analyzedJobs.forEach(job => {
+      const record = this.jobs.get(canonicalJobId(job));
+      if (!record) return;
+      record.ai_analysis = job.ai_analysis;
+      record.is_relevant = job.is_relevant;
+      record.analyzed_at = (job.ai_analysis && job.ai_analysis.analyzed_at) || new Date().toISOString();
+    });
+  }
+
+  // Stored embedding vector for a job, if it was computed by this model from the same text
+  getEmbedding(id, model, textHash) {
+    const record = this.jobs.get(id);
+    const embedding = record && record.embedding;
+    return embedding && embedding.model === model && embedding.text_hash === textHash ? embedding.vector : null;
+  }
+
+  recordEmbedding(id, { model, text_hash, vector }) {
+    const record = this.jobs.get(id);
+    if (!record) return;
+    // Six decimals is plenty for cosine similarity and keeps the store file small
+    record.embedding = { model, text_hash, vector: vector.map(value => Math.round(value * 1e6) / 1e6) };
+  }
+
+  recordSimilarity(id, similarity) {
+    const record = this.jobs.get(id);
+    if (record) record.semantic_similarity = similarity;
+  }
+
+  recordFiltered(rejectedJobs) {
+    const now = new Date().toISOString();
+    rejectedJobs.forEach(job => {
+      const record = this.jobs.get(canonicalJobId(job));
+      if (!record) return;
+      record.filter_reason = job.filter_reason;
+      record.filtered_at = now;
+    });
+  }
+
+  // Jobs the semantic pre-rank left out of this run. Unlike filtered jobs they stay
+  // pending: with fewer new jobs competing, the next run may rank them in.
+  recordRankedOut(rankedOutJobs) {
+    const now = new Date().toISOString();
+    rankedOutJobs.forEach(job => {
+      const record = this.jobs.get(canonicalJobId(job));
+      if (!record) return;
+      record.rank_reason = job.filter_reason;
+      record.ranked_out_at = now;
+    });
+  }
+
+  // Label a job applied / interested / not_interested / spam; null label clears it.
+  // Returns the updated record, or null for an unknown job.
+  recordFeedback(id, label, { source = 'api', note = null } = {}) {
+    const record = this.jobs.get(id);
+    if (!record) return null;
+    if (label === null) {
+      delete record.feedback;
+    } else {
+      record.feedback = { label, source, note, labeled_at: new Date().toISOString() };
+    }
+    this.touchUserField(id, 'feedback');
+    return record;
+  }
+
+  // Store a job's application (see application-tracker.js); null removes it.
+  // Returns the updated record, or null for an unknown job.
+  recordApplication(id, application) {
+    const record = this.jobs.get(id);
+    if (!record) return null;
+    if (application === null) {
+      delete record.application;
+    } else {
+      record.application = application;
+    }
+    this.touchUserField(id, 'application');
+    return record;
+  }
+
+  // Note that an instant alert went out for a job (see alerts.js), so it alerts only once
+  recordAlert(id, alert) {
+    const record = this.jobs.get(id);
+    if (record) record.alert = alert;
+  }
+
+  markReported(jobs) {
+    const now = new Date().toISOString();
+    jobs.forEach(job => {
+      const record = this.jobs.get(canonicalJobId(job));
+      if (record) record.reported_at = now;
+    });
+  }
+}
+
+module.exports = JobStore;
+module.exports.canonicalJobId = canonicalJobId;
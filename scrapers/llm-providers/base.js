@@ -0,0 +1,85 @@
+const axios = require('axios');
+
+// Shared plumbing for LLM providers. A provider turns a prompt into text and can
+// report which models its server has:
+//   generate(prompt, { schema })
+//                      completion text for a single-turn prompt; with a JSON schema the
+//                      server is asked to constrain output to it (structuredOutput
+//                      "schema"), to any JSON ("json") or not at all ("off")
+//   embed(text)        embedding vector for the text, where the server supports it
+//   listModels()       model names the server offers
+//   healthCheck()      { ok, models, error } - reachable and serving this.model
+class LLMProvider {
+  constructor({ baseUrl, model, apiKey, temperature = 0.3, maxTokens = 1500, timeout = 30000, structuredOutput = 'schema' }) {
+    this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+    this.model = model;
+    this.apiKey = apiKey;
+    this.temperature = temperature;
+    this.maxTokens = maxTokens;
+    this.timeout = timeout;
+    this.structuredOutput = structuredOutput;
+  }
+
+  // The structured output mode for a request: null when no schema was asked for
+  outputMode(schema) {
+    if (!schema || this.structuredOutput === 'off') return null;
+    return this.structuredOutput === 'json' ? 'json' : 'schema';
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  async post(route, body) {
+    try {
+      const response = await axios.post(`${this.baseUrl}${route}`, body, {
+        timeout: this.timeout,
+        headers: this.headers()
+      });
+      return response.data;
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+  }
+
+  async get(route, timeout = 5000) {
+    try {
+      const response = await axios.get(`${this.baseUrl}${route}`, { timeout, headers: this.headers() });
+      return response.data;
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+  }
+
+  wrapError(error) {
+    if (error.code === 'ECONNREFUSED') {
+      return new Error(`${this.label} is not running at ${this.baseUrl}. Please start it first.`);
+    }
+    const status = error.response ? ` (HTTP ${error.response.status})` : '';
+    return new Error(`${this.label} API error${status}: ${error.message}`);
+  }
+
+  async embed() {
+    throw new Error(`${this.label} provider does not support embeddings`);
+  }
+
+  async listModels() {
+    return [];
+  }
+
+  // Reachable and, when the server lists models, serving this.model
+  async healthCheck() {
+    try {
+      const models = await this.listModels();
+      const target = (this.model || '').trim();
+      const ok = !target || models.length === 0 || models.some(name => name.includes(target));
+      return { ok, models, error: ok ? null : `Model ${this.model} not found` };
+    } catch (error) {
+      return { ok: false, models: [], error: error.message };
+    }
+  }
+}
+
+module.exports = LLMProvider;
@@ -0,0 +1,66 @@
+const OllamaProvider = require('./ollama');
+const OpenAICompatibleProvider = require('./openai');
+const LlamaCppProvider = require('./llamacpp');
+
+// LLM provider registry. config.ai_analysis.provider (env LLM_PROVIDER) picks one:
+//   ollama        Ollama /api/generate (default)
+//   ollama-chat   Ollama /api/chat
+//   openai        OpenAI-compatible /chat/completions (vLLM, LM Studio, gateways)
+//   llamacpp      llama.cpp server /completion
+const providers = new Map();
+
+const DEFAULT_URLS = {
+  ollama: 'http://localhost:11434',
+  'ollama-chat': 'http://localhost:11434',
+  openai: 'http://localhost:8000/v1',
+  llamacpp: 'http://localhost:8080'
+};
+
+function registerProvider(name, create) {
+  if (!name || typeof create !== 'function') {
+    throw new Error('LLM provider needs a name and a factory');
+  }
+  providers.set(name, create);
+}
+
+function listProviders() {
+  return Array.from(providers.keys());
+}
+
+// Build the configured provider. base_url (env LLM_BASE_URL) applies to every provider;
+// the Ollama providers also honour OLLAMA_HOST and the older ollama_url setting.
+function createProvider(aiConfig = {}, env = process.env) {
+  const name = env.LLM_PROVIDER || aiConfig.provider || 'ollama';
+  const create = providers.get(name);
+  if (!create) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${listProviders().join(', ')}`);
+  }
+
+  const isOllama = name.startsWith('ollama');
+  const baseUrl = env.LLM_BASE_URL
+    || (isOllama && env.OLLAMA_HOST)
+    || aiConfig.base_url
+    || (isOllama && aiConfig.ollama_url)
+    || DEFAULT_URLS[name];
+
+  return create({
+    baseUrl,
+    model: env.LLM_MODEL || env.OLLAMA_MODEL || aiConfig.model,
+    apiKey: env.LLM_API_KEY || aiConfig.api_key,
+    temperature: parseFloat(env.OLLAMA_TEMPERATURE || `${aiConfig.temperature || 0.3}`),
+    maxTokens: parseInt(env.OLLAMA_MAX_TOKENS || `${aiConfig.max_tokens || 1500}`, 10),
+    timeout: parseInt(`${aiConfig.request_timeout_ms || 30000}`, 10),
+    structuredOutput: aiConfig.structured_output || 'schema'
+  });
+}
+
+registerProvider('ollama', options => new OllamaProvider({ ...options, api: 'generate' }));
+registerProvider('ollama-chat', options => new OllamaProvider({ ...options, api: 'chat' }));
+registerProvider('openai', options => new OpenAICompatibleProvider(options));
+registerProvider('llamacpp', options => new LlamaCppProvider(options));
+
+module.exports = {
+  registerProvider,
+  listProviders,
+  createProvider
+};
@@ -0,0 +1,55 @@
+const LLMProvider = require('./base');
+
+// llama.cpp's bundled server (llama-server). It serves the single model it was started
+// with, so the configured model name is informational only.
+class LlamaCppProvider extends LLMProvider {
+  constructor(options) {
+    super(options);
+    this.name = 'llamacpp';
+    this.label = 'llama.cpp server';
+  }
+
+  async generate(prompt, { schema } = {}) {
+    // json_schema is compiled to a grammar; an empty schema allows any JSON
+    const mode = this.outputMode(schema);
+    const data = await this.post('/completion', {
+      prompt,
+      temperature: this.temperature,
+      n_predict: this.maxTokens,
+      stream: false,
+      json_schema: mode === 'schema' ? schema : mode === 'json' ? {} : undefined
+    });
+    return data.content || '';
+  }
+
+  // Needs the server started with --embedding
+  async embed(text) {
+    const data = await this.post('/embedding', { content: text });
+    // Older builds return { embedding: [...] }, newer ones [{ index, embedding: [[...]] }]
+    const entry = Array.isArray(data) ? data[0] : data;
+    const vector = entry && (Array.isArray(entry.embedding[0]) ? entry.embedding[0] : entry.embedding);
+    if (!Array.isArray(vector)) throw new Error('No embedding in response');
+    return vector;
+  }
+
+  async listModels() {
+    const data = await this.get('/v1/models');
+    return (data.data || []).map(model => model.id);
+  }
+
+  // /health answers 503 while the model is still loading
+  async healthCheck() {
+    try {
+      const health = await this.get('/health');
+      if (health.status && health.status !== 'ok') {
+        return { ok: false, models: [], error: `llama.cpp server status: ${health.status}` };
+      }
+      const models = await this.listModels().catch(() => []);
+      return { ok: true, models, error: null };
+    } catch (error) {
+      return { ok: false, models: [], error: error.message };
+    }
+  }
+}
+
+module.exports = LlamaCppProvider;
@@ -0,0 +1,54 @@
+const LLMProvider = require('./base');
+
+// Ollama's native API: /api/generate for a bare prompt, or /api/chat with the prompt
+// as a single user message (better for chat-tuned models)
+class OllamaProvider extends LLMProvider {
+  constructor(options) {
+    super(options);
+    this.api = options.api === 'chat' ? 'chat' : 'generate';
+    this.name = this.api === 'chat' ? 'ollama-chat' : 'ollama';
+    this.label = 'Ollama';
+  }
+
+  async generate(prompt, { schema } = {}) {
+    const options = { temperature: this.temperature, num_predict: this.maxTokens };
+    // format takes "json" or, since Ollama 0.5, a JSON schema
+    const mode = this.outputMode(schema);
+    const format = mode === 'schema' ? schema : mode === 'json' ? 'json' : undefined;
+
+    if (this.api === 'chat') {
+      const data = await this.post('/api/chat', {
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: false,
+        format,
+        options
+      });
+      return (data.message && data.message.content) || '';
+    }
+
+    const data = await this.post('/api/generate', {
+      model: this.model,
+      prompt,
+      stream: false,
+      format,
+      options
+    });
+    return data.response || '';
+  }
+
+  async embed(text) {
+    const data = await this.post('/api/embeddings', { model: this.model, prompt: text });
+    if (!Array.isArray(data.embedding) || data.embedding.length === 0) {
+      throw new Error(`Ollama returned no embedding; is ${this.model} an embedding model?`);
+    }
+    return data.embedding;
+  }
+
+  async listModels() {
+    const data = await this.get('/api/tags');
+    return (data.models || []).map(model => model.name);
+  }
+}
+
+module.exports = OllamaProvider;
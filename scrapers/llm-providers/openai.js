@@ -0,0 +1,41 @@
+const LLMProvider = require('./base');
+
+// Any server speaking the OpenAI chat completions API: vLLM, LM Studio, LiteLLM and
+// other gateways. baseUrl includes the version prefix, e.g. http://localhost:8000/v1
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(options) {
+    super(options);
+    this.name = 'openai';
+    this.label = 'OpenAI-compatible server';
+  }
+
+  async generate(prompt, { schema } = {}) {
+    const mode = this.outputMode(schema);
+    const data = await this.post('/chat/completions', {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: this.temperature,
+      max_tokens: this.maxTokens,
+      stream: false,
+      response_format: mode === 'schema'
+        ? { type: 'json_schema', json_schema: { name: 'response', schema } }
+        : mode === 'json' ? { type: 'json_object' } : undefined
+    });
+    const choice = (data.choices || [])[0];
+    return (choice && choice.message && choice.message.content) || '';
+  }
+
+  async embed(text) {
+    const data = await this.post('/embeddings', { model: this.model, input: text });
+    const entry = (data.data || [])[0];
+    if (!entry || !Array.isArray(entry.embedding)) throw new Error('No embedding in response');
+    return entry.embedding;
+  }
+
+  async listModels() {
+    const data = await this.get('/models');
+    return (data.data || []).map(model => model.id);
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
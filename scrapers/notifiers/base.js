@@ -0,0 +1,104 @@
+const axios = require('axios');
+const { formatSalary } = require('../field-parser');
+
+// Shared plumbing for notification channels. A channel delivers one profile's job
+// report, and instant alerts, in its own format:
+//   send(report)       deliver the report; resolves to { jobCount, ... } and throws on failure
+//   sendAlert(alert)   deliver a short alert for one job; resolves to {} or throws
+//   configured()       null when the channel has what it needs to send, otherwise why not
+// `report` is { profile, jobs, analysisResult } where `jobs` are the jobs at or above
+// the channel's min_score, best first. `alert` is { profile, job, rules } with the
+// names of the alert rules the job matched.
+class Notifier {
+  constructor({ name, type, minScore = null, maxJobs = 10, sendEmpty = false, timeout = 10000, settings = {} }) {
+    this.name = name;
+    this.type = type;
+    this.minScore = minScore;
+    this.maxJobs = maxJobs;
+    this.sendEmpty = sendEmpty;
+    this.timeout = timeout;
+    this.settings = settings;
+  }
+
+  configured() {
+    return null;
+  }
+
+  // The jobs this channel reports: the profile's relevant jobs, or with min_score every
+  // analyzed job scoring at least that
+  selectJobs(analysisResult) {
+    const jobs = this.minScore === null
+      ? analysisResult.relevant_jobs || []
+      : (analysisResult.all_jobs || []).filter(job => jobScore(job) >= this.minScore);
+    return [...jobs].sort((a, b) => jobScore(b) - jobScore(a));
+  }
+
+  // Whether a report with these jobs should go out at all
+  wants(jobs) {
+    return jobs.length > 0 || this.sendEmpty;
+  }
+
+  async post(url, body, headers = {}) {
+    try {
+      const response = await axios.post(url, body, {
+        timeout: this.timeout,
+        headers: { 'Content-Type': 'application/json', ...headers }
+      });
+      return response.data;
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+  }
+
+  wrapError(error) {
+    const status = error.response ? ` (HTTP ${error.response.status})` : '';
+    const detail = error.response && typeof error.response.data === 'string' && error.response.data
+      ? `: ${error.response.data.slice(0, 200)}`
+      : '';
+    return new Error(`${this.label} delivery failed${status}: ${error.message}${detail}`);
+  }
+
+  // "3 relevant jobs for Aman Behl"
+  heading(report) {
+    const count = report.jobs.length;
+    return `${count} relevant job${count === 1 ? '' : 's'} for ${report.profile.label}`;
+  }
+
+  // Title, details and reason lines of an alert
+  alertLines({ job, rules }) {
+    return {
+      title: `🚨 ${job.title} · ${jobScore(job)}/10`,
+      details: jobDetails(job),
+      reason: `Matched ${rules.join(', ')}`
+    };
+  }
+
+  // The jobs that fit in one message and how many were left out
+  visibleJobs(report) {
+    const shown = report.jobs.slice(0, this.maxJobs);
+    return { shown, hidden: report.jobs.length - shown.length };
+  }
+}
+
+function jobScore(job) {
+  return job.ai_analysis ? job.ai_analysis.relevance_score || 0 : 0;
+}
+
+// "Acme · Noida · 12-18 LPA"
+function jobDetails(job) {
+  return [job.company, job.location, job.salary ? formatSalary(job.salary) : null]
+    .filter(value => value && value !== 'N/A')
+    .join(' · ');
+}
+
+function truncate(text, length) {
+  const value = String(text || '');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+module.exports = {
+  Notifier,
+  jobScore,
+  jobDetails,
+  truncate
+};
@@ -0,0 +1,51 @@
+const { Notifier, jobScore, jobDetails, truncate } = require('./base');
+
+// Discord allows at most 10 embeds per message
+const MAX_EMBEDS = 10;
+
+// Discord webhook: the heading as message content and one embed per job, coloured by score
+class DiscordNotifier extends Notifier {
+  constructor(options) {
+    super(options);
+    this.label = 'Discord';
+  }
+
+  configured() {
+    return this.settings.webhookUrl ? null : 'webhook_url is not set';
+  }
+
+  format(report) {
+    const jobs = report.jobs.slice(0, Math.min(this.maxJobs, MAX_EMBEDS));
+    const hidden = report.jobs.length - jobs.length;
+    return {
+      username: this.settings.username || 'Job Scraper',
+      content: `🎯 **${this.heading(report)}**${hidden > 0 ? ` (top ${jobs.length} shown)` : ''}`,
+      embeds: jobs.map(job => ({
+        title: truncate(job.title, 256),
+        url: job.link,
+        description: truncate(job.ai_analysis && job.ai_analysis.summary, 2048),
+        color: jobScore(job) >= 8 ? 0x28a745 : jobScore(job) >= 7 ? 0xffc107 : 0xdc3545,
+        fields: [
+          { name: 'Score', value: `${jobScore(job)}/10`, inline: true },
+          { name: 'Details', value: truncate(jobDetails(job) || '-', 1024), inline: true }
+        ]
+      }))
+    };
+  }
+
+  async sendAlert(alert) {
+    const { title, details, reason } = this.alertLines(alert);
+    await this.post(this.settings.webhookUrl, {
+      username: this.settings.username || 'Job Scraper',
+      content: truncate(`**${title}**\n${details}\n*${reason}*\n${alert.job.link}`, 2000)
+    });
+    return {};
+  }
+
+  async send(report) {
+    await this.post(this.settings.webhookUrl, this.format(report));
+    return { jobCount: report.jobs.length };
+  }
+}
+
+module.exports = DiscordNotifier;
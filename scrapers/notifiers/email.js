@@ -0,0 +1,39 @@
+const { Notifier } = require('./base');
+const EmailService = require('../email-service');
+
+// The HTML email report through EmailService, to the profile's recipients. The email
+// also carries the follow-up digest, so EmailService decides whether a report with no
+// jobs goes out (email.send_empty_reports).
+class EmailNotifier extends Notifier {
+  constructor(options) {
+    super(options);
+    this.label = 'Email';
+    this.profile = options.profile;
+  }
+
+  configured() {
+    return this.profile.email_to.length > 0 ? null : 'no recipients (set email_to or user.email)';
+  }
+
+  wants() {
+    return true;
+  }
+
+  async sendAlert(alert) {
+    const result = await new EmailService(this.profile).sendAlert(alert.job, alert.rules);
+    if (!result.success) throw new Error(`${this.label} delivery failed: ${result.error}`);
+    return { messageId: result.messageId };
+  }
+
+  async send(report) {
+    const service = new EmailService(this.profile);
+    const result = await service.sendJobReport({ ...report.analysisResult, relevant_jobs: report.jobs });
+    if (!result.success) throw new Error(`${this.label} delivery failed: ${result.error}`);
+    // EmailService skips a report with nothing in it
+    return result.messageId
+      ? { jobCount: result.jobCount, messageId: result.messageId, followUpCount: result.followUpCount }
+      : { jobCount: 0, skipped: result.message };
+  }
+}
+
+module.exports = EmailNotifier;
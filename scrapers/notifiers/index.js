@@ -0,0 +1,166 @@
+const { canonicalJobId } = require('../job-store');
+const EmailNotifier = require('./email');
+const SlackNotifier = require('./slack');
+const DiscordNotifier = require('./discord');
+const TeamsNotifier = require('./teams');
+const TelegramNotifier = require('./telegram');
+const WebhookNotifier = require('./webhook');
+
+// Notification channel registry. Each entry in a profile's notifications.channels names
+// a channel; its `type` (the entry's name when left out) picks the implementation:
+//   email      HTML email report through SMTP (EmailService)
+//   slack      Slack incoming webhook
+//   discord    Discord webhook
+//   teams      Microsoft Teams incoming webhook (Adaptive Card)
+//   telegram   Telegram bot sendMessage
+//   webhook    generic JSON POST signed with HMAC-SHA256
+const notifiers = new Map();
+
+// Secrets can come from the environment instead of config.json, for the type's settings
+const ENV_SETTINGS = {
+  slack: { webhookUrl: 'SLACK_WEBHOOK_URL' },
+  discord: { webhookUrl: 'DISCORD_WEBHOOK_URL' },
+  teams: { webhookUrl: 'TEAMS_WEBHOOK_URL' },
+  telegram: { botToken: 'TELEGRAM_BOT_TOKEN', chatId: 'TELEGRAM_CHAT_ID' },
+  webhook: { url: 'WEBHOOK_URL', secret: 'WEBHOOK_SECRET' }
+};
+
+function registerNotifier(type, create) {
+  if (!type || typeof create !== 'function') {
+    throw new Error('Notifier needs a type and a factory');
+  }
+  notifiers.set(type, create);
+}
+
+function listNotifiers() {
+  return Array.from(notifiers.keys());
+}
+
+// Build one channel from its config entry
+function createNotifier(name, channel = {}, profile, env = process.env) {
+  const type = channel.type || name;
+  const create = notifiers.get(type);
+  if (!create) {
+    throw new Error(`Unknown notification channel type "${type}" for channel "${name}". Available: ${listNotifiers().join(', ')}`);
+  }
+
+  const settings = {
+    webhookUrl: channel.webhook_url,
+    url: channel.url,
+    secret: channel.secret,
+    botToken: channel.bot_token,
+    chatId: channel.chat_id !== undefined && channel.chat_id !== null ? String(channel.chat_id) : undefined,
+    apiUrl: channel.api_url,
+    username: channel.username
+  };
+  Object.entries(ENV_SETTINGS[type] || {}).forEach(([setting, variable]) => {
+    if (!settings[setting] && env[variable]) settings[setting] = env[variable];
+  });
+
+  return create({
+    name,
+    type,
+    minScore: channel.min_score !== undefined && channel.min_score !== null ? Number(channel.min_score) : null,
+    maxJobs: parseInt(`${channel.max_jobs || 10}`, 10),
+    sendEmpty: channel.send_empty === true,
+    timeout: parseInt(`${channel.timeout_ms || 10000}`, 10),
+    settings,
+    profile
+  });
+}
+
+// The profile's enabled channels
+function createNotifiers(profile, env = process.env) {
+  return Object.entries(profile.notifications)
+    .filter(([, channel]) => channel && channel.enabled)
+    .map(([name, channel]) => createNotifier(name, channel, profile, env));
+}
+
+// Send the profile's report through each enabled channel (or only those named in
+// `channels`). One channel failing does not stop the others. Resolves to the outcome
+// per channel, the jobs that reached at least one of them and the jobs that count as
+// reported: every relevant job when no channel failed (jobs under a chat channel's
+// threshold are not meant to reach it), else only those delivered, so the next run
+// sends the rest.
+async function notify(profile, analysisResult, { channels = null, env = process.env } = {}) {
+  const results = [];
+  const delivered = new Map();
+
+  for (const notifier of createNotifiers(profile, env)) {
+    if (channels && !channels.includes(notifier.name)) continue;
+    const entry = { channel: notifier.name, type: notifier.type, min_score: notifier.minScore };
+
+    const problem = notifier.configured();
+    if (problem) {
+      results.push({ ...entry, status: 'skipped', reason: problem });
+      continue;
+    }
+    const jobs = notifier.selectJobs(analysisResult);
+    if (!notifier.wants(jobs)) {
+      results.push({ ...entry, status: 'skipped', reason: 'no jobs at or above the threshold' });
+      continue;
+    }
+
+    try {
+      const sent = await notifier.send({ profile, jobs, analysisResult });
+      if (sent.skipped) {
+        results.push({ ...entry, status: 'skipped', reason: sent.skipped });
+        continue;
+      }
+      results.push({ ...entry, status: 'sent', job_count: sent.jobCount, message_id: sent.messageId || undefined });
+      jobs.forEach(job => delivered.set(canonicalJobId(job), job));
+    } catch (error) {
+      results.push({ ...entry, status: 'failed', error: error.message });
+    }
+  }
+
+  const deliveredJobs = Array.from(delivered.values());
+  const failed = results.some(result => result.status === 'failed');
+  return {
+    channels: results,
+    delivered_jobs: deliveredJobs,
+    reported_jobs: failed ? deliveredJobs : [...analysisResult.relevant_jobs, ...deliveredJobs]
+  };
+}
+
+// Send an instant alert about one job ({ job, rules }) through each enabled channel, or
+// only those named in `channels`. Channel thresholds do not apply: the alert rules
+// already decided the job is worth it.
+async function notifyAlert(profile, alert, { channels = null, env = process.env } = {}) {
+  const results = [];
+
+  for (const notifier of createNotifiers(profile, env)) {
+    if (channels && !channels.includes(notifier.name)) continue;
+    const entry = { channel: notifier.name, type: notifier.type };
+
+    const problem = notifier.configured();
+    if (problem) {
+      results.push({ ...entry, status: 'skipped', reason: problem });
+      continue;
+    }
+
+    try {
+      const sent = await notifier.sendAlert({ profile, ...alert });
+      results.push({ ...entry, status: 'sent', message_id: sent.messageId || undefined });
+    } catch (error) {
+      results.push({ ...entry, status: 'failed', error: error.message });
+    }
+  }
+
+  return { channels: results };
+}
+
+registerNotifier('email', options => new EmailNotifier(options));
+registerNotifier('slack', options => new SlackNotifier(options));
+registerNotifier('discord', options => new DiscordNotifier(options));
+registerNotifier('teams', options => new TeamsNotifier(options));
+registerNotifier('telegram', options => new TelegramNotifier(options));
+registerNotifier('webhook', options => new WebhookNotifier(options));
+
+module.exports = {
+  registerNotifier,
+  listNotifiers,
+  createNotifiers,
+  notify,
+  notifyAlert
+};
@@ -0,0 +1,55 @@
+const { Notifier, jobScore, jobDetails, truncate } = require('./base');
+
+// Slack incoming webhook: a header block and one mrkdwn section per job
+class SlackNotifier extends Notifier {
+  constructor(options) {
+    super(options);
+    this.label = 'Slack';
+  }
+
+  configured() {
+    return this.settings.webhookUrl ? null : 'webhook_url is not set';
+  }
+
+  format(report) {
+    const { shown, hidden } = this.visibleJobs(report);
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: truncate(`🎯 ${this.heading(report)}`, 150) } },
+      ...shown.map(job => ({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: truncate([
+            `*<${job.link}|${escape(job.title)}>* · ${jobScore(job)}/10`,
+            escape(jobDetails(job)),
+            job.ai_analysis && job.ai_analysis.summary ? `_${escape(job.ai_analysis.summary)}_` : null
+          ].filter(Boolean).join('\n'), 3000)
+        }
+      }))
+    ];
+    if (hidden > 0) {
+      blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${hidden} more in the email report` }] });
+    }
+    return { text: this.heading(report), blocks };
+  }
+
+  async sendAlert(alert) {
+    const { title, details, reason } = this.alertLines(alert);
+    await this.post(this.settings.webhookUrl, {
+      text: `${escape(title)}\n<${alert.job.link}|${escape(details || 'View job')}>\n_${escape(reason)}_`
+    });
+    return {};
+  }
+
+  async send(report) {
+    await this.post(this.settings.webhookUrl, this.format(report));
+    return { jobCount: report.jobs.length };
+  }
+}
+
+// Slack mrkdwn treats these three as control characters
+function escape(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = SlackNotifier;
@@ -0,0 +1,67 @@
+const { Notifier, jobScore, jobDetails } = require('./base');
+
+// Microsoft Teams incoming webhook (or a Workflows "post to a channel" webhook): an
+// Adaptive Card with one container per job
+class TeamsNotifier extends Notifier {
+  constructor(options) {
+    super(options);
+    this.label = 'Microsoft Teams';
+  }
+
+  configured() {
+    return this.settings.webhookUrl ? null : 'webhook_url is not set';
+  }
+
+  card(body) {
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body
+        }
+      }]
+    };
+  }
+
+  format(report) {
+    const { shown, hidden } = this.visibleJobs(report);
+    const body = [
+      { type: 'TextBlock', size: 'Large', weight: 'Bolder', wrap: true, text: `🎯 ${this.heading(report)}` },
+      ...shown.map(job => ({
+        type: 'Container',
+        separator: true,
+        items: [
+          { type: 'TextBlock', weight: 'Bolder', wrap: true, text: `[${job.title}](${job.link}) · ${jobScore(job)}/10` },
+          { type: 'TextBlock', isSubtle: true, spacing: 'None', wrap: true, text: jobDetails(job) },
+          job.ai_analysis && job.ai_analysis.summary
+            ? { type: 'TextBlock', wrap: true, text: job.ai_analysis.summary }
+            : null
+        ].filter(Boolean)
+      }))
+    ];
+    if (hidden > 0) body.push({ type: 'TextBlock', isSubtle: true, wrap: true, text: `…and ${hidden} more in the email report` });
+    return this.card(body);
+  }
+
+  async sendAlert(alert) {
+    const { title, details, reason } = this.alertLines(alert);
+    await this.post(this.settings.webhookUrl, this.card([
+      { type: 'TextBlock', weight: 'Bolder', wrap: true, text: `[${title}](${alert.job.link})` },
+      { type: 'TextBlock', isSubtle: true, spacing: 'None', wrap: true, text: details },
+      { type: 'TextBlock', wrap: true, text: reason }
+    ]));
+    return {};
+  }
+
+  async send(report) {
+    await this.post(this.settings.webhookUrl, this.format(report));
+    return { jobCount: report.jobs.length };
+  }
+}
+
+module.exports = TeamsNotifier;
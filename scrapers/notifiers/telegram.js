@@ -0,0 +1,84 @@
+const { Notifier, jobScore, jobDetails, truncate } = require('./base');
+
+// Telegram rejects messages longer than this
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Telegram bot: one HTML-formatted sendMessage to a chat. apiUrl only changes for a
+// local Bot API server.
+class TelegramNotifier extends Notifier {
+  constructor(options) {
+    super(options);
+    this.label = 'Telegram';
+  }
+
+  configured() {
+    if (!this.settings.botToken) return 'bot_token is not set';
+    if (!this.settings.chatId) return 'chat_id is not set';
+    return null;
+  }
+
+  format(report) {
+    const { shown, hidden } = this.visibleJobs(report);
+    let text = `🎯 <b>${escape(this.heading(report))}</b>`;
+    let omitted = hidden;
+    for (const [index, job] of shown.entries()) {
+      const entry = [
+        `\n\n<b>${jobScore(job)}/10</b> <a href="${escape(job.link)}">${escape(job.title)}</a>`,
+        `\n${escape(jobDetails(job))}`,
+        job.ai_analysis && job.ai_analysis.summary ? `\n<i>${escape(truncate(job.ai_analysis.summary, 300))}</i>` : ''
+      ].join('');
+      // Leave room for the "and N more" line
+      if (text.length + entry.length > MAX_MESSAGE_LENGTH - 60) {
+        omitted += shown.length - index;
+        break;
+      }
+      text += entry;
+    }
+    if (omitted > 0) text += `\n\n…and ${omitted} more in the email report`;
+
+    return {
+      chat_id: this.settings.chatId,
+      text,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    };
+  }
+
+  async sendMessage(message) {
+    const apiUrl = (this.settings.apiUrl || 'https://api.telegram.org').replace(/\/+$/, '');
+    const data = await this.post(`${apiUrl}/bot${this.settings.botToken}/sendMessage`, message);
+    if (!data || data.ok !== true) {
+      throw new Error(`${this.label} delivery failed: ${(data && data.description) || 'unexpected response'}`);
+    }
+    return data.result ? data.result.message_id : null;
+  }
+
+  async sendAlert(alert) {
+    const { title, details, reason } = this.alertLines(alert);
+    const messageId = await this.sendMessage({
+      chat_id: this.settings.chatId,
+      text: `<b>${escape(title)}</b>\n${escape(details)}\n<i>${escape(reason)}</i>\n<a href="${escape(alert.job.link)}">View job</a>`,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    });
+    return { messageId };
+  }
+
+  async send(report) {
+    const messageId = await this.sendMessage(this.format(report));
+    return { jobCount: report.jobs.length, messageId };
+  }
+
+  // The bot token is part of the URL; keep it out of error messages
+  wrapError(error) {
+    const wrapped = super.wrapError(error);
+    wrapped.message = wrapped.message.split(this.settings.botToken).join('<token>');
+    return wrapped;
+  }
+}
+
+function escape(text) {
+  return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = TelegramNotifier;
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { Notifier, jobScore, truncate } = require('./base');
+
+// Generic JSON webhook for anything else (Zapier, Home Assistant, your own service).
+// Each request is signed: X-Job-Scraper-Signature is "sha256=" and the hex HMAC-SHA256
+// of "<X-Job-Scraper-Timestamp>.<raw body>" with the channel's secret, so the receiver
+// can check the sender and reject replays.
+class WebhookNotifier extends Notifier {
+  constructor(options) {
+    super(options);
+    this.label = 'Webhook';
+  }
+
+  configured() {
+    if (!this.settings.url) return 'url is not set';
+    if (!this.settings.secret) return 'secret is not set';
+    return null;
+  }
+
+  format(report) {
+    return {
+      event: 'job_report',
+      profile: { name: report.profile.name, label: report.profile.label },
+      generated_at: new Date().toISOString(),
+      job_count: report.jobs.length,
+      jobs: report.jobs.slice(0, this.maxJobs).map(jobPayload),
+      analysis_summary: report.analysisResult.analysis_summary || null
+    };
+  }
+
+  async postSigned(payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    await this.post(this.settings.url, body, signatureHeaders(this.settings.secret, timestamp, body));
+  }
+
+  async sendAlert(alert) {
+    await this.postSigned({
+      event: 'job_alert',
+      profile: { name: alert.profile.name, label: alert.profile.label },
+      generated_at: new Date().toISOString(),
+      rules: alert.rules,
+      job: jobPayload(alert.job)
+    });
+    return {};
+  }
+
+  async send(report) {
+    await this.postSigned(this.format(report));
+    return { jobCount: report.jobs.length };
+  }
+}
+
+function jobPayload(job) {
+  return {
+    id: job.id || null,
+    title: job.title,
+    company: job.company,
+    location: job.location,
+    source: job.source,
+    link: job.link,
+    salary: job.salary || null,
+    score: jobScore(job),
+    summary: job.ai_analysis ? truncate(job.ai_analysis.summary, 1000) : null,
+    key_skills: job.ai_analysis ? job.ai_analysis.key_skills || [] : []
+  };
+}
+
+function signatureHeaders(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return {
+    'X-Job-Scraper-Timestamp': timestamp,
+    'X-Job-Scraper-Signature': `sha256=${digest}`
+  };
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,128 @@
+// Named profiles: several candidates or search personas served by one deployment.
+// Each entry in config.profiles overrides the top-level user, locations and filters
+// sections (field by field) and can set its own threshold, recipients, notification
+// channels, alert settings and schedule.
+// One scrape covers every profile; analysis, the job store and the email report are
+// per profile. Without config.profiles there is a single "default" profile.
+
+const path = require('path');
+const config = require('../config/config.json');
+
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const ROOT = path.join(__dirname, '..');
+
+function definitions() {
+  const profiles = config.profiles && Object.keys(config.profiles).length > 0 ? config.profiles : { [DEFAULT_PROFILE]: {} };
+  Object.keys(profiles).forEach(name => {
+    if (!PROFILE_NAME_PATTERN.test(name)) throw new Error(`Invalid profile name "${name}" (letters, digits, - and _ only)`);
+  });
+  return profiles;
+}
+
+function profileNames() {
+  return Object.keys(definitions());
+}
+
+// The profile used when a request or command names none
+function defaultProfileName() {
+  const names = profileNames();
+  return names.includes(DEFAULT_PROFILE) ? DEFAULT_PROFILE : names[0];
+}
+
+// The default profile keeps the file locations from before profiles existed; every
+// other profile gets its own directory under data/profiles/
+function dataFile(name, defaultPath, fileName) {
+  return name === DEFAULT_PROFILE
+    ? path.join(ROOT, defaultPath)
+    : path.join(ROOT, 'data', 'profiles', name, fileName);
+}
+
+function recipients(value) {
+  return [].concat(value || [])
+    .flatMap(entry => String(entry).split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+// config.notifications.channels with the profile's changes applied channel by channel
+function notificationChannels(overrides = {}) {
+  const channels = { ...((config.notifications || {}).channels || { email: { enabled: true } }) };
+  Object.entries(overrides).forEach(([channel, settings]) => {
+    channels[channel] = { ...channels[channel], ...settings };
+  });
+  return channels;
+}
+
+function resolveProfile(name, definition = {}) {
+  const user = { ...config.user, ...(definition.user || {}) };
+  const storageConfig = config.storage || {};
+  const cacheConfig = (config.ai_analysis && config.ai_analysis.cache) || {};
+  // EMAIL_TO only ever addressed the one person config.user describes
+  const defaultTo = name === DEFAULT_PROFILE ? process.env.EMAIL_TO || user.email : user.email;
+
+  return {
+    name,
+    label: definition.label || (name === DEFAULT_PROFILE ? user.name || name : name),
+    user,
+    locations: { ...config.locations, ...(definition.locations || {}) },
+    filters: { ...config.filters, ...(definition.filters || {}) },
+    min_relevance_score: definition.min_relevance_score !== undefined
+      ? definition.min_relevance_score
+      : config.ai_analysis.min_relevance_score,
+    email_to: recipients(definition.email_to || defaultTo),
+    notifications: notificationChannels(definition.notifications),
+    alerts: { ...config.alerts, ...(definition.alerts || {}) },
+    schedule: definition.schedule || {},
+    jobs_file: dataFile(name, storageConfig.jobs_file || 'data/jobs.jsonl', 'jobs.jsonl'),
+    analysis_cache_file: dataFile(name, cacheConfig.file || 'data/analysis-cache.json', 'analysis-cache.json'),
+    resume_profile_file: definition.user && definition.user.profile_file
+      ? path.join(ROOT, definition.user.profile_file)
+      : dataFile(name, config.user.profile_file || 'data/profile.json', 'profile.json'),
+    workflow_result_file: dataFile(name, 'data/workflow-result.json', 'workflow-result.json'),
+    analysis_result_file: dataFile(name, 'data/analyzed-jobs.json', 'analyzed-jobs.json')
+  };
+}
+
+// A resolved profile by name (the default profile when none is given), or null
+function getProfile(name = defaultProfileName()) {
+  const all = definitions();
+  return Object.prototype.hasOwnProperty.call(all, name) ? resolveProfile(name, all[name]) : null;
+}
+
+function listProfiles() {
+  return Object.entries(definitions()).map(([name, definition]) => resolveProfile(name, definition));
+}
+
+function unique(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = String(value).trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// What one scrape has to cover so that every profile gets its jobs: all preferred
+// roles, all locations (primary ones first) and every posted-within window
+function searchCriteria(profiles = listProfiles()) {
+  const windows = profiles.flatMap(profile => [].concat(profile.filters.posted_within_days || []))
+    .map(days => parseInt(days, 10))
+    .filter((days, index, all) => days > 0 && all.indexOf(days) === index);
+  return {
+    roles: unique(profiles.flatMap(profile => profile.user.preferred_roles || [])),
+    primary_locations: unique(profiles.flatMap(profile => profile.locations.primary || [])),
+    secondary_locations: unique(profiles.flatMap(profile => profile.locations.secondary || [])),
+    posted_within_days: windows
+  };
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  profileNames,
+  defaultProfileName,
+  getProfile,
+  listProfiles,
+  searchCriteria
+};
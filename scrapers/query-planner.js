@@ -0,0 +1,87 @@
+const config = require('../config/config.json');
+const { searchCriteria } = require('./profiles');
+
+const DEFAULT_REQUEST_BUDGET = 12;
+
+// Search queries allowed per site per run (per-site override beats the global default).
+// Each query pages through up to max_pages result pages on top of this.
+function requestBudget(siteConfig = {}) {
+  const budget = siteConfig.max_search_requests
+    || (config.scraping && config.scraping.max_search_requests_per_site)
+    || DEFAULT_REQUEST_BUDGET;
+  return Math.max(1, parseInt(budget, 10) || DEFAULT_REQUEST_BUDGET);
+}
+
+// Alternate spellings of the same city; sites return the same results for either, so
+// only the first spelling listed is searched
+const LOCATION_ALIASES = {
+  gurugram: 'gurgaon',
+  bengaluru: 'bangalore',
+  bombay: 'mumbai',
+  madras: 'chennai',
+  calcutta: 'kolkata'
+};
+
+function normalize(value) {
+  return String(value).trim().toLowerCase();
+}
+
+function locationKey(location) {
+  const key = normalize(location);
+  return LOCATION_ALIASES[key] || key;
+}
+
+function unique(values, keyFor = normalize) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = keyFor(value);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Build role × location × recency search queries for one site. Locations are searched
+// round-robin, primary ones first within each round, and each round shifts which role a
+// location gets, so every role × location pair comes up once before any pair repeats with
+// the next recency window. Roles and locations cover every profile.
+function allQueries(siteConfig = {}, criteria = searchCriteria()) {
+  const roles = unique(siteConfig.roles || criteria.roles);
+  const locations = unique(
+    siteConfig.locations || [...criteria.primary_locations, ...criteria.secondary_locations],
+    locationKey
+  );
+  const recency = criteria.posted_within_days;
+  const places = locations.length > 0 ? locations : [null];
+
+  const queries = [];
+  for (const days of recency.length > 0 ? recency : [null]) {
+    for (let round = 0; round < roles.length; round++) {
+      places.forEach((location, index) => {
+        const role = roles[(index + round) % roles.length];
+        queries.push({ role, location, posted_within_days: days });
+      });
+    }
+  }
+
+  return queries;
+}
+
+// The queries one site runs: the plan above, capped at the site's request budget
+function planQueries(siteConfig = {}, criteria = searchCriteria()) {
+  return allQueries(siteConfig, criteria).slice(0, requestBudget(siteConfig));
+}
+
+function describeQuery(query) {
+  let text = query.role;
+  if (query.location) text += ` in ${query.location}`;
+  if (query.posted_within_days) text += ` (last ${query.posted_within_days} days)`;
+  return text;
+}
+
+module.exports = {
+  allQueries,
+  planQueries,
+  requestBudget,
+  describeQuery
+};
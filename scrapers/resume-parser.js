@@ -0,0 +1,329 @@
+// Turn a resume (PDF, DOCX, Markdown or plain text) into a candidate profile: skills
+// with proficiency, years of experience, past titles, domains and education. The
+// extraction is heuristic; the profile file it feeds is meant to be reviewed by hand.
+
+const fs = require('fs-extra');
+const path = require('path');
+const { skillPatterns, canonicalSkill, skillCategory, extractSkills: findKnownSkills } = require('./skill-taxonomy');
+
+const SECTION_HEADINGS = {
+  summary: /^(professional\s+)?(summary|profile|objective|about(\s+me)?)$/i,
+  skills: /^(technical\s+|key\s+|core\s+)?(skills|competencies|technologies|tech(nical)?\s+stack|tools)(\s*(&|and)\s*\w+)?$/i,
+  experience: /^(professional\s+|work\s+)?(experience|employment(\s+history)?|work\s+history|career\s+history)$/i,
+  projects: /^(key\s+|personal\s+|academic\s+)?projects$/i,
+  education: /^(education|academic\s+(background|qualifications)|qualifications)$/i,
+  certifications: /^(certifications?|courses|training)$/i
+};
+
+const PROFICIENCY_WORDS = [
+  { level: 'expert', pattern: /\b(expert|expertise|mastery)\b/i },
+  { level: 'advanced', pattern: /\b(advanced|proficient|strong|extensive)\b/i },
+  { level: 'intermediate', pattern: /\b(intermediate|working knowledge|experienced)\b/i },
+  // Not the "learning" of Machine Learning or the "basic" of Visual Basic
+  { level: 'beginner', pattern: /\b(beginner|(?<!visual\s)basic|familiar|exposure|(?<!(?:machine|deep|reinforcement)\s)learning)\b/i }
+];
+
+// What is left around a skill once its proficiency word is gone: "in", "with", "knowledge of"
+const PROFICIENCY_FILLER = /^(?:(?:in|with|of|to|at|on|knowledge|understanding|experience|skills?|level|hands-on)\b\s*)+|\s*(?:[-–:]\s*)?(?:level|knowledge|skills?)?\s*$/gi;
+
+const TITLE_WORDS = /\b(engineer|developer|programmer|architect|lead|manager|analyst|consultant|scientist|designer|administrator|devops|sre|intern|specialist|head|director|cto)\b/i;
+
+const DOMAINS = {
+  fintech: /\b(fintech|banking|payments?|lending|trading|insurance|wealth)\b/gi,
+  'e-commerce': /\b(e-?commerce|retail|marketplace|checkout)\b/gi,
+  healthcare: /\b(healthcare|health ?tech|medical|clinical|hospital|pharma)\b/gi,
+  edtech: /\b(ed-?tech|education(al)? technology|e-?learning|lms)\b/gi,
+  saas: /\b(saas|b2b software|multi-?tenant)\b/gi,
+  logistics: /\b(logistics|supply chain|shipping|fleet)\b/gi,
+  gaming: /\b(gaming|game development|games?)\b/gi,
+  media: /\b(media|streaming|ott|publishing)\b/gi,
+  telecom: /\b(telecom|telecommunications|5g|networking)\b/gi,
+  'ai/ml': /\b(machine learning|artificial intelligence|llm|nlp|computer vision)\b/gi,
+  cybersecurity: /\b(cyber ?security|infosec|security operations)\b/gi,
+  'travel & hospitality': /\b(travel|hospitality|booking|airline)\b/gi
+};
+
+const DEGREE_PATTERN = /\b(b\.?\s?tech|b\.?\s?e\b|bachelor'?s?|b\.?\s?sc|bca|m\.?\s?tech|m\.?\s?e\b|master'?s?|m\.?\s?sc|m\.?\s?s\b|mca|mba|ph\.?\s?d|diploma)/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE = '(?:(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?\\s*|(\\d{1,2})\\s*[/.-]\\s*)?((?:19|20)\\d{2})';
+const DATE_RANGE = new RegExp(`${DATE}\\s*(?:-|–|—|to|till|until)\\s*(?:(present|current|now|till date|today)|${DATE})`, 'gi');
+
+async function readResumeText(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.pdf') {
+    // The package index runs a self-test when required without a parent module
+    const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+    const data = await pdfParse(await fs.readFile(filePath));
+    return data.text;
+  }
+  if (ext === '.docx') {
+    const mammoth = require('mammoth');
+    const result = await mammoth.extractRawText({ path: filePath });
+    return result.value;
+  }
+  if (['.md', '.markdown', '.txt', '.text', ''].includes(ext)) {
+    return fs.readFile(filePath, 'utf8');
+  }
+  throw new Error(`Unsupported resume format "${ext}". Use PDF, DOCX, Markdown or plain text.`);
+}
+
+// Plain lines, with Markdown heading, emphasis and bullet markers removed
+function cleanLines(text) {
+  return String(text)
+    .replace(/\r/g, '')
+    .split('\n')
+    .map(line => line
+      .replace(/^\s*#{1,6}\s*/, '')
+      .replace(/^\s*[-*•▪●◦]\s+/, '')
+      .replace(/\*\*|__|`/g, '')
+      .trim())
+    .filter(Boolean);
+}
+
+function headingFor(line) {
+  const candidate = line.replace(/[:\s]+$/, '');
+  if (candidate.length > 40) return null;
+  return Object.keys(SECTION_HEADINGS).find(name => SECTION_HEADINGS[name].test(candidate)) || null;
+}
+
+// { summary: [...lines], skills: [...], experience: [...], ..., other: [...] }
+function splitSections(lines) {
+  const sections = { other: [] };
+  let current = 'other';
+  lines.forEach(line => {
+    const heading = headingFor(line);
+    if (heading) {
+      current = heading;
+      sections[current] = sections[current] || [];
+    } else {
+      (sections[current] = sections[current] || []).push(line);
+    }
+  });
+  return sections;
+}
+
+// The proficiency stated in `text`, if any
+function proficiencyIn(text) {
+  const word = PROFICIENCY_WORDS.find(entry => entry.pattern.test(text));
+  return word ? word.level : null;
+}
+
+// "Expert in Node.js", "strong JavaScript", "React (advanced)" → the skill name and its level
+function withoutProficiency(item) {
+  const level = proficiencyIn(item);
+  let name = item.replace(/\(.*?\)/g, '');
+  PROFICIENCY_WORDS.forEach(({ pattern }) => { name = name.replace(new RegExp(pattern.source, 'gi'), ' '); });
+  name = name.replace(/\s+/g, ' ').trim().replace(PROFICIENCY_FILLER, '').replace(/\.$/, '').trim();
+  return { name, level };
+}
+
+// Items listed in the skills section: "Languages: JavaScript, Python" → both. A level
+// next to an item ("Familiar with Go") applies to that item; a level in the line's label
+// ("Expert: React, Vue") to every item on the line.
+function listedSkills(skillLines) {
+  const items = [];
+  skillLines.forEach(line => {
+    const body = line.includes(':') ? line.slice(line.indexOf(':') + 1) : line;
+    const labelLevel = line.includes(':') ? proficiencyIn(line.split(':')[0]) : null;
+    body.split(/[,;|•]|\s\/\s|\s(?:and|&)\s/i).forEach(raw => {
+      const { name, level } = withoutProficiency(raw);
+      if (name && name.length <= 30 && name.split(/\s+/).length <= 3 && /[a-z]/i.test(name)) {
+        items.push({ name, line, qualifier: level || labelLevel });
+      }
+    });
+  });
+  return items;
+}
+
+// The level stated in the same clause as a skill mention, so in "Expert in Node.js and
+// familiar with Go" Node.js is expert and Go beginner
+function inlineProficiency(text, mentioned) {
+  for (const line of text.split('\n')) {
+    const clause = line.split(/[,;|•]|\.\s|\s\/\s|\s(?:and|&|but)\s/i).find(part => mentioned(part) && proficiencyIn(part));
+    if (clause) return proficiencyIn(clause);
+  }
+  return null;
+}
+
+function levelForYears(years) {
+  if (years >= 5) return 'expert';
+  if (years >= 3) return 'advanced';
+  if (years >= 1) return 'intermediate';
+  return 'beginner';
+}
+
+// "5+ years of React", "React (4 years)"
+function yearsWithSkill(text, name) {
+  for (const pattern of skillPatterns(name)) {
+    const skill = pattern.source;
+    const flags = pattern.flags;
+    const before = new RegExp(`(\\d+(?:\\.\\d+)?)\\+?\\s*(?:years?|yrs?)(?:\\s+of)?(?:\\s+\\w+){0,3}?\\s+${skill}`, flags);
+    const after = new RegExp(`${skill}\\s*\\(?\\s*(\\d+(?:\\.\\d+)?)\\+?\\s*(?:years?|yrs?)`, flags);
+    const match = text.match(before) || text.match(after);
+    if (match) return parseFloat(match[1]);
+  }
+  return null;
+}
+
+// Skills listed in the skills section, plus taxonomy skills mentioned anywhere else.
+// Names come out canonical; skills the taxonomy does not know keep the resume's spelling.
+// Names that are also everyday words (Go, REST) only count in prose as written.
+function extractSkills(text, sections) {
+  const skills = new Map();
+  const usage = [...(sections.experience || []), ...(sections.projects || []), ...(sections.summary || [])].join('\n');
+
+  const add = (name, qualifier) => {
+    const key = name.toLowerCase();
+    if (!skills.has(key)) skills.set(key, { name, listed: false, qualifier: null });
+    const skill = skills.get(key);
+    if (qualifier) skill.qualifier = qualifier;
+    return skill;
+  };
+
+  listedSkills(sections.skills || []).forEach(item => {
+    const entry = canonicalSkill(item.name);
+    add(entry ? entry.name : item.name, item.qualifier).listed = true;
+  });
+  findKnownSkills(text).forEach(({ name }) => add(name));
+
+  return Array.from(skills.values()).map(skill => {
+    const patterns = skillPatterns(skill.name);
+    const mentioned = line => patterns.some(pattern => pattern.test(line));
+    const uses = patterns.reduce((count, pattern) => count + (usage.match(new RegExp(pattern.source, `g${pattern.flags}`)) || []).length, 0);
+    const years = yearsWithSkill(text, skill.name);
+    const inlineLevel = inlineProficiency(text, mentioned);
+
+    let proficiency;
+    if (skill.qualifier) proficiency = skill.qualifier;
+    else if (years !== null) proficiency = levelForYears(years);
+    else if (uses + (skill.listed ? 1 : 0) >= 4) proficiency = 'advanced';
+    else if (uses + (skill.listed ? 1 : 0) >= 2) proficiency = 'intermediate';
+    else if (inlineLevel) proficiency = inlineLevel;
+    else proficiency = skill.listed ? 'intermediate' : 'beginner';
+
+    return { name: skill.name, category: skillCategory(skill.name), proficiency, years, mentions: uses };
+  }).sort((a, b) => b.mentions - a.mentions || a.name.localeCompare(b.name));
+}
+
+function monthIndex(month, number) {
+  if (month) return MONTHS.indexOf(month.toLowerCase().slice(0, 3));
+  if (number) return Math.min(11, Math.max(0, parseInt(number, 10) - 1));
+  return 0;
+}
+
+// Months covered by the date ranges in the experience section, overlaps counted once
+function experienceYears(lines, now = new Date()) {
+  const intervals = [];
+  lines.join('\n').replace(DATE_RANGE, (...m) => {
+    const start = parseInt(m[3], 10) * 12 + monthIndex(m[1], m[2]);
+    const end = m[4]
+      ? now.getFullYear() * 12 + now.getMonth()
+      : parseInt(m[7], 10) * 12 + (m[5] || m[6] ? monthIndex(m[5], m[6]) : 11);
+    if (end >= start) intervals.push([start, end + 1]);
+    return m[0];
+  });
+  if (intervals.length === 0) return null;
+
+  intervals.sort((a, b) => a[0] - b[0]);
+  let months = 0;
+  let [curStart, curEnd] = intervals[0];
+  intervals.slice(1).forEach(([start, end]) => {
+    if (start <= curEnd) {
+      curEnd = Math.max(curEnd, end);
+    } else {
+      months += curEnd - curStart;
+      [curStart, curEnd] = [start, end];
+    }
+  });
+  months += curEnd - curStart;
+  return Math.round((months / 12) * 10) / 10;
+}
+
+function statedYears(text) {
+  const match = text.match(/(\d+(?:\.\d+)?)\+?\s*(?:years?|yrs?)(?:\s+of)?\s+(?:professional\s+|industry\s+|total\s+)?experience/i);
+  return match ? parseFloat(match[1]) : null;
+}
+
+// "Senior Software Engineer | Acme Corp | Jan 2020 - Present" → "Senior Software Engineer"
+function extractTitles(lines) {
+  const titles = [];
+  lines.forEach(line => {
+    if (line.length > 100 || /[.!?]$/.test(line)) return;
+    const first = line.replace(DATE_RANGE, '').split(/\s+(?:\||@|at|-|–|—)\s+|,\s+/i)[0].trim();
+    if (first && first.length <= 60 && TITLE_WORDS.test(first) && first.split(/\s+/).length <= 6) {
+      if (!titles.some(title => title.toLowerCase() === first.toLowerCase())) titles.push(first);
+    }
+  });
+  return titles.slice(0, 10);
+}
+
+function extractDomains(text) {
+  return Object.entries(DOMAINS)
+    .map(([domain, pattern]) => ({ domain, hits: (text.match(pattern) || []).length }))
+    .filter(({ hits }) => hits > 0)
+    .sort((a, b) => b.hits - a.hits)
+    .map(({ domain }) => domain);
+}
+
+function extractEducation(lines) {
+  const education = [];
+  lines.forEach((line, i) => {
+    if (!DEGREE_PATTERN.test(line)) return;
+    const years = (line.match(/(?:19|20)\d{2}/g) || []);
+    const next = lines[i + 1] || '';
+    const institution = /universit|institute|college|school|iit|nit|bits/i.test(line)
+      ? null
+      : (/universit|institute|college|school|iit|nit|bits/i.test(next) ? next : null);
+    education.push({
+      degree: line.replace(DATE_RANGE, '').replace(/(?:19|20)\d{2}/g, '').replace(/[\s|,()–—-]+$/, '').trim(),
+      institution,
+      year: years.length > 0 ? parseInt(years[years.length - 1], 10) : null
+    });
+  });
+  return education.slice(0, 5);
+}
+
+function experienceLevelFor(years) {
+  if (years === null) return null;
+  if (years < 1) return 'fresher';
+  if (years < 3) return 'junior';
+  if (years < 7) return 'mid-level';
+  return 'senior';
+}
+
+function buildProfile(text, { source = null, now = new Date() } = {}) {
+  const lines = cleanLines(text);
+  const sections = splitSections(lines);
+  const plain = lines.join('\n');
+
+  const yearsExperience = experienceYears(sections.experience || [], now) || statedYears(plain);
+
+  return {
+    source,
+    ingested_at: now.toISOString(),
+    skills: extractSkills(plain, sections),
+    years_experience: yearsExperience,
+    experience_level: experienceLevelFor(yearsExperience),
+    past_titles: extractTitles(sections.experience || []),
+    domains: extractDomains(plain),
+    education: extractEducation(sections.education || lines)
+  };
+}
+
+async function parseResume(filePath, options = {}) {
+  const text = await readResumeText(filePath);
+  if (!text || text.trim().length < 50) {
+    throw new Error(`No readable text in ${filePath}. Scanned PDFs need OCR first.`);
+  }
+  return buildProfile(text, { source: path.basename(filePath), ...options });
+}
+
+module.exports = {
+  parseResume,
+  readResumeText,
+  buildProfile,
+  splitSections,
+  experienceYears
+};
@@ -0,0 +1,97 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/config.json');
+
+const storageConfig = config.storage || {};
+const DEFAULT_HISTORY_PATH = path.join(__dirname, '..', storageConfig.run_history_file || 'data/run-history.jsonl');
+
+// One JSON line per scrape, analysis or workflow run: when it ran, how it ended, its
+// summary and the per-site scrape outcome. Only the newest `max_entries` are kept.
+class RunHistory {
+  constructor(filePath = DEFAULT_HISTORY_PATH) {
+    this.filePath = filePath;
+    this.maxEntries = storageConfig.run_history_max_entries || 200;
+  }
+
+  async readAll() {
+    if (!await fs.pathExists(this.filePath)) return [];
+    return (await fs.readFile(this.filePath, 'utf8'))
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (_) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // run: { id?, type, status: success|partial|failed|cancelled, started_at, summary?, steps?, sites?, error? }
+  async record(run) {
+    const entry = {
+      id: run.id || crypto.randomBytes(6).toString('hex'),
+      ...run,
+      finished_at: run.finished_at || new Date().toISOString()
+    };
+    if (entry.started_at) {
+      entry.duration_ms = new Date(entry.finished_at) - new Date(entry.started_at);
+    }
+
+    await fs.ensureDir(path.dirname(this.filePath));
+    await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+
+    // Trim now and then rather than rewriting the file on every run
+    const runs = await this.readAll();
+    if (runs.length > this.maxEntries * 1.5) {
+      const kept = runs.slice(-this.maxEntries).map(item => JSON.stringify(item)).join('\n');
+      await fs.writeFile(this.filePath, `${kept}\n`);
+    }
+    return entry;
+  }
+
+  // Newest first
+  async list({ limit = 50, type = null } = {}) {
+    return (await this.readAll())
+      .filter(run => !type || run.type === type)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  // Per site: the latest scrape outcome, when it last returned jobs and how many of
+  // its recent scrapes failed or came back empty
+  async siteHealth(recentRuns = 10) {
+    const runs = (await this.readAll()).filter(run => run.sites && Object.keys(run.sites).length > 0);
+    const health = {};
+    runs.slice(-recentRuns).forEach(run => {
+      Object.values(run.sites).forEach(stats => {
+        const site = health[stats.site] || (health[stats.site] = {
+          site: stats.site,
+          label: stats.label,
+          last: null,
+          last_success_at: null,
+          recent_runs: 0,
+          recent_failures: 0,
+          recent_empty: 0
+        });
+        site.last = stats;
+        site.recent_runs++;
+        if (stats.status === 'failed') site.recent_failures++;
+        if (stats.status === 'no_results' || (stats.status === 'ok' && stats.jobs === 0)) site.recent_empty++;
+      });
+    });
+    // The last good run may be older than the recent window
+    runs.forEach(run => {
+      Object.values(run.sites).forEach(stats => {
+        if (health[stats.site] && stats.status === 'ok' && stats.jobs > 0) {
+          health[stats.site].last_success_at = stats.finished_at;
+        }
+      });
+    });
+    return Object.values(health);
+  }
+}
+
+module.exports = RunHistory;
@@ -0,0 +1,326 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const winston = require('winston');
+const RunHistory = require('./run-history');
+
+// Setup logging
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'data/runs.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Held while a scrape or workflow runs, by the server or scripts/run-workflow.js, so
+// the two never drive the browser profile and job store at the same time
+const LOCK_PATH = path.join(__dirname, '..', 'data', 'run.lock');
+// The holder of the lock touches it this often. Process IDs mean nothing across hosts
+// (each container runs node as PID 1), so a lock taken on another host is only stale
+// once it has gone LOCK_STALE_MS without a touch.
+const LOCK_HEARTBEAT_MS = 30 * 1000;
+const LOCK_STALE_MS = 3 * LOCK_HEARTBEAT_MS;
+
+// Heartbeat timers of the locks this process holds, by run id
+const heldLocks = new Map();
+
+const ACTIVE_STATUSES = ['running', 'cancelling'];
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// The lock left by a run still in progress, or null. `ownRunIds` are the runs this
+// process is running: a lock from this host with our pid but none of those ids is left
+// over from an earlier process that had the same pid (PID 1 in a restarted container).
+function readRunLock(ownRunIds = []) {
+  let lock;
+  let touchedAt;
+  try {
+    lock = fs.readJsonSync(LOCK_PATH);
+    touchedAt = fs.statSync(LOCK_PATH).mtimeMs;
+  } catch (_) {
+    return null;
+  }
+  let stale;
+  if (lock.host === os.hostname()) {
+    stale = lock.pid === process.pid ? !ownRunIds.includes(lock.run_id) : !processAlive(lock.pid);
+  } else {
+    stale = Date.now() - touchedAt > LOCK_STALE_MS;
+  }
+  if (stale) {
+    fs.removeSync(LOCK_PATH);
+    return null;
+  }
+  return lock;
+}
+
+// true when the lock was taken for this run, false when another run holds it
+function acquireRunLock(run, ownRunIds = []) {
+  if (readRunLock(ownRunIds)) return false;
+  fs.ensureDirSync(path.dirname(LOCK_PATH));
+  try {
+    fs.writeFileSync(LOCK_PATH, JSON.stringify({
+      host: os.hostname(),
+      pid: process.pid,
+      run_id: run.id,
+      type: run.type,
+      started_at: run.started_at
+    }), { flag: 'wx' });
+    const heartbeat = setInterval(() => {
+      try {
+        if (fs.readJsonSync(LOCK_PATH).run_id !== run.id) return;
+        const now = new Date();
+        fs.utimesSync(LOCK_PATH, now, now);
+      } catch (_) {}
+    }, LOCK_HEARTBEAT_MS);
+    heartbeat.unref();
+    heldLocks.set(run.id, heartbeat);
+    return true;
+  } catch (error) {
+    if (error.code === 'EEXIST') return false;
+    throw error;
+  }
+}
+
+function releaseRunLock(runId) {
+  clearInterval(heldLocks.get(runId));
+  heldLocks.delete(runId);
+  try {
+    if (fs.readJsonSync(LOCK_PATH).run_id === runId) fs.removeSync(LOCK_PATH);
+  } catch (_) {}
+}
+
+// Release every lock this process holds, for shutdown
+function releaseRunLocks() {
+  Array.from(heldLocks.keys()).forEach(releaseRunLock);
+}
+
+function newRunId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// What a run's result says about the run, for the run history
+function runSummary(type, body) {
+  if (!body) return {};
+  if (body.summary) return { message: body.message, ...body.summary };
+  if (type === 'scrape') return { jobs_scraped: body.count };
+  if (type === 'analyze') {
+    return {
+      jobs_analyzed: (body.all_jobs || []).length,
+      relevant_jobs: (body.relevant_jobs || []).length,
+      average_score: body.analysis_summary ? body.analysis_summary.average_score : null
+    };
+  }
+  return body.message ? { message: body.message } : {};
+}
+
+// Runs scrapes and workflows in the background, one at a time. A run moves through
+// named steps that callers can poll, and can be cancelled: its signal aborts, its
+// cancel hooks run (closing the browser) and the next step() throws.
+class RunManager {
+  constructor({ history = new RunHistory(), keepFinished = 20 } = {}) {
+    this.history = history;
+    this.keepFinished = keepFinished;
+    this.runs = new Map();
+  }
+
+  activeRun() {
+    const state = [...this.runs.values()].find(item => ACTIVE_STATUSES.includes(item.run.status));
+    return state ? this.view(state) : null;
+  }
+
+  // The run in the way of starting another: ours, or one held by another process
+  busy() {
+    const active = this.activeRun();
+    if (active) return { run_id: active.id, type: active.type, started_at: active.started_at };
+    const lock = readRunLock(this.ownRunIds());
+    return lock ? { run_id: lock.run_id, type: lock.type, started_at: lock.started_at, pid: lock.pid } : null;
+  }
+
+  // Start `task(context)` and return the new run at once, or null when another run is
+  // in progress. The task resolves to the run's result (the body the endpoint used to
+  // answer with) and reports progress through the context. `trigger` says what started
+  // the run (api, schedule, catch_up); `profiles` names the profiles a workflow run is for.
+  start(type, task, { trigger = 'api', profiles } = {}) {
+    const run = {
+      id: newRunId(),
+      type,
+      trigger,
+      ...(profiles ? { profiles } : {}),
+      status: 'running',
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      steps: [],
+      result: null,
+      error: null
+    };
+    if (this.activeRun() || !acquireRunLock(run, this.ownRunIds())) return null;
+
+    const controller = new AbortController();
+    const state = { run, controller, cancelHooks: [], scraper: null };
+    this.runs.set(run.id, state);
+    logger.info(`Started ${type} run ${run.id}`);
+
+    const context = {
+      runId: run.id,
+      signal: controller.signal,
+      // Begin the next step (`fields` such as the profile it is for are kept on it);
+      // throws once the run has been cancelled
+      step: (name, fields = {}) => {
+        controller.signal.throwIfAborted();
+        this.endStep(run, 'done');
+        run.steps.push({ name, ...fields, status: 'running', started_at: new Date().toISOString(), finished_at: null });
+      },
+      // Merge progress details (counts, the site being scraped) into the current step
+      progress: details => {
+        const step = run.steps[run.steps.length - 1];
+        if (step) step.progress = { ...step.progress, ...details };
+      },
+      onCancel: hook => state.cancelHooks.push(hook),
+      // Show the scraper's per-site outcome on the run and close its browser on cancel
+      attachScraper: scraper => {
+        state.scraper = scraper;
+        state.cancelHooks.push(() => scraper.cancel());
+      }
+    };
+
+    state.promise = Promise.resolve()
+      .then(() => task(context))
+      .then(
+        // A result with an error (a workflow where some profiles failed) is partial
+        result => this.finish(state, result && result.error ? 'partial' : 'success', result, (result && result.error) || null),
+        error => controller.signal.aborted
+          ? this.finish(state, 'cancelled', null, 'Run cancelled')
+          : this.finish(state, 'failed', null, error.message)
+      );
+    return this.view(state);
+  }
+
+  endStep(run, status) {
+    const step = run.steps[run.steps.length - 1];
+    if (step && step.status === 'running') {
+      step.status = status;
+      step.finished_at = new Date().toISOString();
+    }
+  }
+
+  async finish(state, status, result, error = null) {
+    const { run } = state;
+    run.status = status;
+    run.result = result;
+    run.error = error;
+    run.finished_at = new Date().toISOString();
+    this.endStep(run, ['success', 'partial'].includes(status) ? 'done' : status);
+    releaseRunLock(run.id);
+    logger.info(`${run.type} run ${run.id} ${status}${error ? `: ${error}` : ''}`);
+
+    const entry = this.historyEntry(state);
+    await this.history.record(entry)
+      .catch(recordError => logger.warn(`Could not record ${run.type} run: ${recordError.message}`));
+    this.prune();
+    return this.view(state);
+  }
+
+  historyEntry(state) {
+    const { run } = state;
+    return {
+      id: run.id,
+      type: run.type,
+      trigger: run.trigger,
+      profiles: run.profiles,
+      status: run.status,
+      started_at: run.started_at,
+      finished_at: run.finished_at,
+      summary: runSummary(run.type, run.result),
+      steps: run.steps,
+      sites: state.scraper ? state.scraper.siteStats : undefined,
+      error: run.error || undefined
+    };
+  }
+
+  // Finished runs stay in memory (with their full result) until newer ones push them out
+  prune() {
+    const finished = [...this.runs.values()].filter(item => !ACTIVE_STATUSES.includes(item.run.status));
+    finished.slice(0, Math.max(0, finished.length - this.keepFinished))
+      .forEach(item => this.runs.delete(item.run.id));
+  }
+
+  ownRunIds() {
+    return [...this.runs.values()]
+      .filter(item => ACTIVE_STATUSES.includes(item.run.status))
+      .map(item => item.run.id);
+  }
+
+  view(state) {
+    const { run } = state;
+    const current = run.steps.find(step => step.status === 'running');
+    return {
+      ...run,
+      steps: run.steps.map(step => ({ ...step })),
+      current_step: current ? current.name : null,
+      current_profile: current && current.profile ? current.profile : null,
+      duration_ms: (run.finished_at ? new Date(run.finished_at) : new Date()) - new Date(run.started_at),
+      sites: state.scraper ? state.scraper.siteStats : undefined,
+      summary: runSummary(run.type, run.result)
+    };
+  }
+
+  // A run by id: from memory while it runs and shortly after, then from the history
+  // (without its full result)
+  async get(id) {
+    const state = this.runs.get(id);
+    if (state) return this.view(state);
+    const recorded = (await this.history.readAll()).find(run => run.id === id);
+    return recorded ? { steps: [], current_step: null, result: null, ...recorded } : null;
+  }
+
+  // Resolves with the run once it has finished
+  async wait(id) {
+    const state = this.runs.get(id);
+    if (!state) return this.get(id);
+    await state.promise;
+    return this.view(state);
+  }
+
+  // Ask a run to stop. Resolves once its cancel hooks have run; the run itself becomes
+  // `cancelled` when its task unwinds. Returns null when the run is not in progress here.
+  async cancel(id) {
+    const state = this.runs.get(id);
+    if (!state || !ACTIVE_STATUSES.includes(state.run.status)) return null;
+    if (state.run.status === 'cancelling') return this.view(state);
+
+    logger.info(`Cancelling ${state.run.type} run ${id}`);
+    state.run.status = 'cancelling';
+    state.controller.abort(new Error('Run cancelled'));
+    for (const hook of state.cancelHooks) {
+      try {
+        await hook();
+      } catch (error) {
+        logger.warn(`Cancel hook failed for run ${id}: ${error.message}`);
+      }
+    }
+    return this.view(state);
+  }
+}
+
+module.exports = {
+  RunManager,
+  runSummary,
+  newRunId,
+  readRunLock,
+  acquireRunLock,
+  releaseRunLock,
+  releaseRunLocks
+};
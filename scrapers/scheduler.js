@@ -0,0 +1,341 @@
+const fs = require('fs-extra');
+const path = require('path');
+const cron = require('node-cron');
+// node-cron has no "previous / next run" API; its matcher does the timezone handling
+const TimeMatcher = require('node-cron/src/time-matcher');
+const winston = require('winston');
+const RunHistory = require('./run-history');
+const { listProfiles } = require('./profiles');
+const config = require('../config/config.json');
+
+// Setup logging
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'data/scheduler.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Changes made through PUT /api/schedule, kept over config.schedule across restarts
+const SETTINGS_PATH = path.join(__dirname, '..', 'data', 'schedule.json');
+
+const MINUTE = 60 * 1000;
+// How far ahead to look for the next run (covers monthly schedules)
+const NEXT_RUN_WINDOW_MINUTES = 32 * 24 * 60;
+// Profiles whose slots come up within this long of each other share one workflow run
+// (and so one scrape)
+const BATCH_DELAY_MS = 2000;
+
+// config.schedule and each profile's `schedule`, with SCHEDULE_ENABLED overriding `enabled`
+function configuredSettings() {
+  const scheduleConfig = config.schedule || {};
+  const enabled = process.env.SCHEDULE_ENABLED !== undefined
+    ? process.env.SCHEDULE_ENABLED === 'true'
+    : scheduleConfig.enabled !== false;
+  return {
+    enabled,
+    timezone: scheduleConfig.timezone || process.env.TZ || 'Asia/Kolkata',
+    catch_up: scheduleConfig.catch_up !== false,
+    catch_up_hours: scheduleConfig.catch_up_hours || 12,
+    profiles: Object.fromEntries(listProfiles().map(profile => [profile.name, { ...profile.schedule }]))
+  };
+}
+
+function mergeSettings(base, overrides) {
+  const profiles = { ...base.profiles };
+  Object.entries(overrides.profiles || {}).forEach(([name, entry]) => {
+    profiles[name] = { ...profiles[name], ...entry };
+  });
+  return { ...base, ...overrides, profiles };
+}
+
+// The configured settings with the PUT /api/schedule overrides applied. Overrides for a
+// profile no longer in the config are kept but not scheduled.
+function effectiveSettings(overrides) {
+  const base = configuredSettings();
+  const settings = mergeSettings(base, overrides);
+  settings.profiles = Object.fromEntries(Object.entries(settings.profiles).filter(([name]) => base.profiles[name]));
+  return settings;
+}
+
+// "09:30" → "30 9 * * *"
+function sendTimeCron(sendTime = '09:30') {
+  const [hours, minutes] = String(sendTime).split(':').map(Number);
+  return `${minutes || 0} ${hours || 0} * * *`;
+}
+
+// A profile's own cron, or one built from email.send_time
+function profileCron(entry) {
+  return entry.cron || sendTimeCron(config.email.send_time);
+}
+
+function validTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Five fields (minute hour day month weekday); node-cron would also take seconds
+function validCron(expression) {
+  return typeof expression === 'string' && expression.trim().split(/\s+/).length === 5 && cron.validate(expression);
+}
+
+// null when the change can be applied to the schedule, otherwise the reason it cannot
+function validateScheduleChange(settings, changes = {}) {
+  const { enabled, timezone, catch_up: catchUp, catch_up_hours: catchUpHours, profiles } = changes;
+  if (enabled !== undefined && typeof enabled !== 'boolean') return '"enabled" must be true or false';
+  if (catchUp !== undefined && typeof catchUp !== 'boolean') return '"catch_up" must be true or false';
+  if (timezone !== undefined && (typeof timezone !== 'string' || !validTimezone(timezone))) {
+    return '"timezone" must be an IANA timezone such as Asia/Kolkata';
+  }
+  if (catchUpHours !== undefined && !(typeof catchUpHours === 'number' && catchUpHours >= 0 && catchUpHours <= 168)) {
+    return '"catch_up_hours" must be a number from 0 to 168';
+  }
+  if (profiles !== undefined) {
+    if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) return '"profiles" must be an object keyed by profile';
+    for (const [name, entry] of Object.entries(profiles)) {
+      if (!settings.profiles[name]) return `unknown profile "${name}"`;
+      if (!entry || typeof entry !== 'object') return `profile "${name}" must be an object`;
+      if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') return `profile "${name}": "enabled" must be true or false`;
+      for (const field of ['cron', 'scan_cron']) {
+        if (entry[field] !== undefined && entry[field] !== null && !validCron(entry[field])) {
+          return `profile "${name}": "${field}" must be a five-field cron expression or null`;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function describe(profiles) {
+  return `profile${profiles.length > 1 ? 's' : ''} ${profiles.map(name => `"${name}"`).join(', ')}`;
+}
+
+// Whether a recorded workflow run covered the profile
+function ranFor(run, profile) {
+  return !run.profiles || run.profiles.includes(profile);
+}
+
+// The same comma-list match node-cron does once an expression is converted
+function fieldMatches(pattern, value) {
+  return pattern.indexOf(',') !== -1 ? pattern.split(',').includes(String(value)) : pattern === String(value);
+}
+
+// The nearest minute matching `expression` in `timezone` after `from` (direction 1) or
+// before it (direction -1), at most `withinMinutes` away; null when there is none
+function findOccurrence(expression, timezone, from, direction, withinMinutes) {
+  const matcher = new TimeMatcher(expression, timezone);
+  const [, , hours, days, months, weekdays] = matcher.expressions;
+  const start = Math.floor(from.getTime() / MINUTE) * MINUTE + direction * MINUTE;
+
+  for (let offset = 0; offset <= withinMinutes;) {
+    const date = new Date(start + direction * offset * MINUTE);
+    const local = matcher.apply(date);
+    // Skip the rest of the hour when its hour, day, month or weekday cannot match
+    const hourMatches = fieldMatches(hours, local.getHours()) && fieldMatches(days, local.getDate())
+      && fieldMatches(months, local.getMonth() + 1) && fieldMatches(weekdays, local.getDay());
+    if (!hourMatches) {
+      offset += direction > 0 ? 60 - local.getMinutes() : local.getMinutes() + 1;
+      continue;
+    }
+    if (matcher.match(date)) return date;
+    offset++;
+  }
+  return null;
+}
+
+// Runs the workflow for each profile on its cron in the configured timezone, and an
+// alert scan on its scan_cron when it has one. A workflow slot missed while the server
+// was down is run at startup when it is recent enough and no workflow has run for the
+// profile since; missed scans are not made up. Scheduled runs go through the run
+// manager one at a time: a slot that comes up during another run waits for it, profiles
+// due together share a run, and a profile already waiting or running is not queued twice.
+class Scheduler {
+  constructor({ runManager, task, history = new RunHistory(), settingsPath = SETTINGS_PATH }) {
+    this.runManager = runManager;
+    this.task = task;
+    this.history = history;
+    this.settingsPath = settingsPath;
+    this.overrides = {};
+    this.settings = configuredSettings();
+    this.cronTasks = [];
+    this.queue = Promise.resolve();
+    this.pending = new Set();
+    this.batches = {};
+    this.lastSkipped = {};
+  }
+
+  async load() {
+    this.overrides = (await fs.pathExists(this.settingsPath))
+      ? await fs.readJson(this.settingsPath).catch(() => ({}))
+      : {};
+    this.settings = effectiveSettings(this.overrides);
+    return this;
+  }
+
+  async start() {
+    await this.load();
+    this.schedule();
+    if (this.settings.enabled && this.settings.catch_up) {
+      this.catchUp().catch(error => logger.error(`Schedule catch-up failed: ${error.message}`));
+    }
+  }
+
+  stop() {
+    this.cronTasks.forEach(task => task.stop());
+    this.cronTasks = [];
+  }
+
+  enabledProfiles() {
+    if (!this.settings.enabled) return [];
+    return Object.entries(this.settings.profiles).filter(([, entry]) => entry.enabled !== false);
+  }
+
+  schedule() {
+    this.stop();
+    this.enabledProfiles().forEach(([name, entry]) => {
+      const expression = profileCron(entry);
+      this.cronTasks.push(cron.schedule(expression, () => this.fire(name, 'schedule'), {
+        timezone: this.settings.timezone
+      }));
+      logger.info(`Scheduled workflow for profile "${name}": ${expression} (${this.settings.timezone})`);
+      if (entry.scan_cron) {
+        this.cronTasks.push(cron.schedule(entry.scan_cron, () => this.fire(name, 'schedule', 'scan'), {
+          timezone: this.settings.timezone
+        }));
+        logger.info(`Scheduled alert scan for profile "${name}": ${entry.scan_cron} (${this.settings.timezone})`);
+      }
+    });
+    if (this.cronTasks.length === 0) logger.info('No scheduled workflow runs');
+  }
+
+  // Queue a workflow (or scan) run for a profile. It joins the batch of that type not yet
+  // started, if there is one, so profiles due at the same time are scraped for once.
+  fire(profile, trigger, type = 'workflow') {
+    const key = `${type}:${profile}`;
+    if (this.pending.has(key)) {
+      logger.warn(`Skipping ${trigger} ${type} run for profile "${profile}": one is already waiting or running`);
+      this.lastSkipped[profile] = { at: new Date().toISOString(), trigger, type, reason: 'already waiting or running' };
+      return this.queue;
+    }
+    this.pending.add(key);
+    if (this.batches[type]) {
+      this.batches[type].profiles.push(profile);
+      return this.queue;
+    }
+
+    const batch = { profiles: [profile], trigger };
+    this.batches[type] = batch;
+    this.queue = this.queue
+      .then(() => new Promise(resolve => setTimeout(resolve, BATCH_DELAY_MS)))
+      .then(() => {
+        delete this.batches[type];
+        return this.runNow(batch.profiles, batch.trigger, type);
+      })
+      .catch(error => logger.error(`Scheduled ${type} run for ${describe(batch.profiles)} failed to start: ${error.message}`))
+      .finally(() => batch.profiles.forEach(name => this.pending.delete(`${type}:${name}`)));
+    return this.queue;
+  }
+
+  async runNow(profiles, trigger, type = 'workflow') {
+    // Wait out a run started by hand; one held by another process cannot be waited on
+    let busy = this.runManager.busy();
+    while (busy && !busy.pid) {
+      logger.info(`${trigger} run for ${describe(profiles)} waiting for ${busy.type} run ${busy.run_id}`);
+      await this.runManager.wait(busy.run_id);
+      busy = this.runManager.busy();
+    }
+
+    const run = this.runManager.start(type, this.task(profiles, type), { trigger, profiles });
+    if (!run) {
+      logger.warn(`Skipping ${trigger} ${type} run for ${describe(profiles)}: ${busy ? `${busy.type} run ${busy.run_id} holds the run lock` : 'another run is in progress'}`);
+      profiles.forEach(name => {
+        this.lastSkipped[name] = { at: new Date().toISOString(), trigger, type, reason: 'another run is in progress' };
+      });
+      return null;
+    }
+    logger.info(`Started ${trigger} ${type} run ${run.id} for ${describe(profiles)}`);
+    return this.runManager.wait(run.id);
+  }
+
+  // Run each profile whose latest slot within catch_up_hours passed without a workflow
+  // run for it starting after it (runs from before profiles existed were for all of them)
+  async catchUp(now = new Date()) {
+    const runs = (await this.history.readAll()).filter(run => run.type === 'workflow');
+    for (const [name, entry] of this.enabledProfiles()) {
+      const missed = findOccurrence(profileCron(entry), this.settings.timezone, now, -1, this.settings.catch_up_hours * 60);
+      if (!missed) continue;
+      if (runs.some(run => ranFor(run, name) && new Date(run.started_at) >= missed)) continue;
+      logger.info(`Catching up the ${missed.toISOString()} run for profile "${name}"`);
+      this.fire(name, 'catch_up');
+    }
+    return this.queue;
+  }
+
+  // Apply a validated change and keep it across restarts
+  async update(changes) {
+    const overrides = mergeSettings({ profiles: {} }, this.overrides);
+    ['enabled', 'timezone', 'catch_up', 'catch_up_hours'].forEach(field => {
+      if (changes[field] !== undefined) overrides[field] = changes[field];
+    });
+    Object.entries(changes.profiles || {}).forEach(([name, entry]) => {
+      overrides.profiles[name] = { ...overrides.profiles[name], ...entry };
+    });
+
+    await fs.ensureDir(path.dirname(this.settingsPath));
+    await fs.writeJson(this.settingsPath, overrides, { spaces: 2 });
+    this.overrides = overrides;
+    this.settings = effectiveSettings(overrides);
+    this.schedule();
+    return this.status();
+  }
+
+  async status(now = new Date()) {
+    const runs = (await this.history.readAll())
+      .filter(run => run.type === 'workflow' && ['schedule', 'catch_up'].includes(run.trigger));
+    const { enabled, timezone } = this.settings;
+
+    return {
+      enabled,
+      timezone,
+      catch_up: this.settings.catch_up,
+      catch_up_hours: this.settings.catch_up_hours,
+      profiles: Object.entries(this.settings.profiles).map(([name, entry]) => {
+        const active = enabled && entry.enabled !== false;
+        const next = active ? findOccurrence(profileCron(entry), timezone, now, 1, NEXT_RUN_WINDOW_MINUTES) : null;
+        const nextScan = active && entry.scan_cron
+          ? findOccurrence(entry.scan_cron, timezone, now, 1, NEXT_RUN_WINDOW_MINUTES)
+          : null;
+        const lastRun = runs.filter(run => ranFor(run, name)).pop();
+        return {
+          profile: name,
+          enabled: entry.enabled !== false,
+          cron: profileCron(entry),
+          cron_source: entry.cron ? 'schedule' : 'email.send_time',
+          next_run_at: next ? next.toISOString() : null,
+          scan_cron: entry.scan_cron || null,
+          next_scan_at: nextScan ? nextScan.toISOString() : null,
+          last_run: lastRun
+            ? { id: lastRun.id, trigger: lastRun.trigger, status: lastRun.status, started_at: lastRun.started_at }
+            : null,
+          last_skipped: this.lastSkipped[name] || null
+        };
+      })
+    };
+  }
+}
+
+module.exports = {
+  Scheduler,
+  validateScheduleChange,
+  findOccurrence,
+  sendTimeCron
+};
@@ -0,0 +1,74 @@
+// Relevance is scored per factor (1-10, each with a one-line reason) and combined with
+// the weights in config.ai_analysis.weights. A factor weighted 0 is ignored, and a
+// factor with no score (null) drops out with its weight redistributed.
+
+const SCORING_FACTORS = [
+  { key: 'skill_match', label: 'Skills', prompt: 'How well the candidate\'s skills cover the required skills' },
+  { key: 'role_alignment', label: 'Role', prompt: 'How closely the role matches the candidate\'s preferred roles and past titles' },
+  { key: 'experience_fit', label: 'Experience', prompt: 'How well the required experience and seniority fit the candidate' },
+  { key: 'location', label: 'Location', prompt: 'How well the location or work mode suits the candidate\'s location preference' },
+  { key: 'growth', label: 'Growth', prompt: 'Learning and career growth potential' },
+  { key: 'company_reputation', label: 'Company', prompt: 'Company reputation and stability, as far as you can tell' }
+];
+
+const DEFAULT_WEIGHTS = {
+  skill_match: 0.3,
+  role_alignment: 0.2,
+  experience_fit: 0.15,
+  location: 0.15,
+  growth: 0.1,
+  company_reputation: 0.1
+};
+
+// Configured weights, with unknown keys and negative values dropped
+function resolveWeights(configured = {}) {
+  const weights = {};
+  SCORING_FACTORS.forEach(({ key }) => {
+    const value = configured[key] === undefined ? DEFAULT_WEIGHTS[key] : parseFloat(configured[key]);
+    weights[key] = isNaN(value) || value < 0 ? 0 : value;
+  });
+  if (Object.values(weights).every(weight => weight === 0)) {
+    throw new Error('ai_analysis.weights must give at least one factor a positive weight');
+  }
+  return weights;
+}
+
+// factors: { skill_match: { score, reason }, ... } → { score, breakdown }
+// score is the weighted mean to one decimal (null when no weighted factor was scored);
+// breakdown lists every factor with its score, weight and reason.
+function combineFactors(factors, weights) {
+  const breakdown = {};
+  let total = 0;
+  let weightSum = 0;
+
+  SCORING_FACTORS.forEach(({ key }) => {
+    const factor = (factors && factors[key]) || {};
+    const score = typeof factor.score === 'number' ? Math.max(1, Math.min(10, factor.score)) : null;
+    breakdown[key] = { score, weight: weights[key], reason: factor.reason || '' };
+    if (score !== null && weights[key] > 0) {
+      total += score * weights[key];
+      weightSum += weights[key];
+    }
+  });
+
+  return {
+    score: weightSum > 0 ? Math.round((total / weightSum) * 10) / 10 : null,
+    breakdown
+  };
+}
+
+// "Skills 8 · Role 6 · Experience 3 · ..." for logs and plain text
+function formatBreakdown(breakdown) {
+  return SCORING_FACTORS
+    .filter(({ key }) => breakdown[key] && breakdown[key].score !== null && breakdown[key].weight > 0)
+    .map(({ key, label }) => `${label} ${breakdown[key].score}`)
+    .join(' · ');
+}
+
+module.exports = {
+  SCORING_FACTORS,
+  DEFAULT_WEIGHTS,
+  resolveWeights,
+  combineFactors,
+  formatBreakdown
+};
@@ -0,0 +1,128 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config/config.json');
+
+const PACKS_DIR = path.join(__dirname, '..', (config.scraping && config.scraping.selector_packs_dir) || 'config/selectors');
+const STATS_PATH = path.join(__dirname, '../data/selector-stats.json');
+
+const REQUIRED_CHAINS = ['results', 'card', 'description'];
+const REQUIRED_FIELDS = ['title', 'company', 'location', 'link'];
+// Optional card fields, kept as raw text (job.<field>_text) for the field parser
+const OPTIONAL_FIELDS = ['salary', 'experience', 'posted', 'work_mode'];
+
+// Sites scrape in parallel and share one stats file, so their writes queue up here
+let statsWrite = Promise.resolve();
+
+// A chain entry is either a CSS selector string (read text) or { selector, attribute }
+function normalizeChain(chain) {
+  return [].concat(chain || [])
+    .map(entry => typeof entry === 'string' ? { selector: entry } : entry)
+    .filter(entry => entry && entry.selector);
+}
+
+function validatePackShape(pack, site) {
+  const errors = [];
+  if (!pack || typeof pack !== 'object') {
+    return [`${site}: selector pack is not an object`];
+  }
+  if (!pack.version) errors.push(`${site}: missing "version"`);
+  REQUIRED_CHAINS.forEach(name => {
+    if (normalizeChain(pack[name]).length === 0) errors.push(`${site}: "${name}" needs at least one selector`);
+  });
+  REQUIRED_FIELDS.forEach(name => {
+    if (normalizeChain(pack.fields && pack.fields[name]).length === 0) {
+      errors.push(`${site}: "fields.${name}" needs at least one selector`);
+    }
+  });
+  return errors;
+}
+
+class SelectorPack {
+  constructor(site, data) {
+    this.site = site;
+    this.version = data.version;
+    this.data = data;
+    this.matches = {};
+  }
+
+  chain(name) {
+    return normalizeChain(this.data[name]);
+  }
+
+  fieldChain(name) {
+    return normalizeChain(this.data.fields && this.data.fields[name]);
+  }
+
+  fieldNames() {
+    return Object.keys(this.data.fields || {});
+  }
+
+  // Comma-joined form of a chain, for "any of these" waits
+  anyOf(name) {
+    return this.chain(name).map(entry => entry.selector).join(', ');
+  }
+
+  recordMatch(name, entry) {
+    const record = this.matches[name] || (this.matches[name] = { hits: 0, misses: 0 });
+    record.hits++;
+    record.selector = entry.attribute ? `${entry.selector} @${entry.attribute}` : entry.selector;
+    record.matched_at = new Date().toISOString();
+  }
+
+  recordMiss(name) {
+    const record = this.matches[name] || (this.matches[name] = { hits: 0, misses: 0 });
+    record.misses++;
+  }
+
+  // Merge this run's matches into data/selector-stats.json so a broken field shows up
+  // as a stale matched_at or a growing miss count
+  saveStats() {
+    statsWrite = statsWrite.then(() => this.writeStats());
+    return statsWrite;
+  }
+
+  async writeStats() {
+    try {
+      const stats = (await fs.pathExists(STATS_PATH)) ? await fs.readJson(STATS_PATH) : {};
+      const previous = stats[this.site] && stats[this.site].version === this.version ? stats[this.site].fields : {};
+      const fields = { ...previous };
+
+      Object.entries(this.matches).forEach(([name, record]) => {
+        fields[name] = {
+          selector: record.selector || (previous[name] && previous[name].selector) || null,
+          matched_at: record.matched_at || (previous[name] && previous[name].matched_at) || null,
+          last_run: { hits: record.hits, misses: record.misses }
+        };
+      });
+
+      stats[this.site] = { version: this.version, updated_at: new Date().toISOString(), fields };
+      await fs.ensureDir(path.dirname(STATS_PATH));
+      await fs.writeJson(STATS_PATH, stats, { spaces: 2 });
+    } catch (_) {}
+  }
+}
+
+// Read the pack from disk on every call so edits apply to the next run without a restart
+function loadSelectorPack(site) {
+  const packPath = path.join(PACKS_DIR, `${site}.json`);
+  if (!fs.pathExistsSync(packPath)) {
+    throw new Error(`Selector pack not found for ${site}: ${packPath}`);
+  }
+  const data = fs.readJsonSync(packPath);
+  const errors = validatePackShape(data, site);
+  if (errors.length > 0) {
+    throw new Error(`Invalid selector pack ${packPath}: ${errors.join('; ')}`);
+  }
+  return new SelectorPack(site, data);
+}
+
+module.exports = {
+  SelectorPack,
+  loadSelectorPack,
+  normalizeChain,
+  validatePackShape,
+  REQUIRED_FIELDS,
+  OPTIONAL_FIELDS,
+  PACKS_DIR,
+  STATS_PATH
+};
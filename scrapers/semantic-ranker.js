@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const winston = require('winston');
+require('dotenv').config();
+const config = require('../config/config.json');
+const { createProvider } = require('./llm-providers');
+const { loadCandidateProfile } = require('./candidate-profile');
+
+// Setup logging
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'data/semantic-ranker.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+const embeddingConfig = (config.ai_analysis && config.ai_analysis.embeddings) || {};
+
+// Characters of description embedded per job; enough for the requirements section
+const MAX_JOB_TEXT = 2000;
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return null;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : null;
+}
+
+function profileText(profile) {
+  return [
+    `Roles: ${profile.preferred_roles.join(', ')}`,
+    profile.past_titles.length > 0 ? `Past titles: ${profile.past_titles.join(', ')}` : '',
+    `Skills: ${profile.skills.join(', ')}`,
+    profile.domains.length > 0 ? `Domains: ${profile.domains.join(', ')}` : '',
+    `Experience level: ${profile.experience_level}`
+  ].filter(Boolean).join('\n');
+}
+
+function jobText(job) {
+  return [
+    job.title,
+    job.company,
+    job.location,
+    String(job.description || '').replace(/\s+/g, ' ').slice(0, MAX_JOB_TEXT)
+  ].filter(Boolean).join('\n');
+}
+
+function textHash(text) {
+  return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+// Cheap first pass before generative analysis: embed the candidate profile and every
+// job, rank jobs by cosine similarity and pass only the top N on to the LLM. Vectors are
+// kept in the job store so a job is embedded once per model.
+class SemanticRanker {
+  constructor() {
+    this.enabled = (process.env.EMBEDDINGS_ENABLED || `${embeddingConfig.enabled !== false}`) === 'true';
+    this.topN = Math.max(1, parseInt(process.env.EMBEDDINGS_TOP_N || `${embeddingConfig.top_n || 25}`, 10));
+    this.minSimilarity = parseFloat(`${embeddingConfig.min_similarity || 0}`);
+
+    // Same server as the analyzer unless embeddings.provider / base_url say otherwise.
+    // EMBEDDING_MODEL, not LLM_MODEL / OLLAMA_MODEL, overrides the model here.
+    this.provider = createProvider({
+      ...config.ai_analysis,
+      provider: embeddingConfig.provider || config.ai_analysis.provider,
+      base_url: embeddingConfig.base_url || config.ai_analysis.base_url,
+      model: embeddingConfig.model || 'nomic-embed-text'
+    }, { ...process.env, LLM_MODEL: process.env.EMBEDDING_MODEL, OLLAMA_MODEL: undefined });
+    this.model = `${this.provider.name}/${this.provider.model}`;
+  }
+
+  async embedJob(job, store) {
+    const text = jobText(job);
+    const hash = textHash(text);
+    const cached = store && job.id ? store.getEmbedding(job.id, this.model, hash) : null;
+    if (cached) return cached;
+
+    const vector = await this.provider.embed(text);
+    if (store && job.id) store.recordEmbedding(job.id, { model: this.model, text_hash: hash, vector });
+    return vector;
+  }
+
+  // → { accepted, rejected, summary }, like filterJobs. Accepted jobs come back best
+  // match first, each tagged with semantic_similarity; rejected ones carry filter_reason.
+  // Any embedding failure for the profile keeps every job, since ranking is only an
+  // optimisation.
+  async preRank(jobs, store = null, profile = loadCandidateProfile()) {
+    const summary = { enabled: this.enabled, model: this.model, top_n: this.topN, ranked: 0, kept: jobs.length, removed: 0 };
+    if (!this.enabled || jobs.length === 0) {
+      return { accepted: jobs, rejected: [], summary };
+    }
+
+    let profileVector;
+    try {
+      profileVector = await this.provider.embed(profileText(profile));
+    } catch (error) {
+      logger.warn(`Embeddings unavailable (${this.model}), skipping semantic pre-rank: ${error.message}`);
+      return { accepted: jobs, rejected: [], summary: { ...summary, error: error.message } };
+    }
+
+    const unranked = [];
+    const ranked = [];
+    for (const job of jobs) {
+      try {
+        const similarity = cosineSimilarity(profileVector, await this.embedJob(job, store));
+        if (similarity === null) throw new Error('vector size mismatch');
+        job.semantic_similarity = Math.round(similarity * 1000) / 1000;
+        if (store && job.id) store.recordSimilarity(job.id, job.semantic_similarity);
+        ranked.push(job);
+      } catch (error) {
+        logger.warn(`Could not embed: ${job.title}. Keeping it unranked. Reason: ${error.message}`);
+        unranked.push(job);
+      }
+    }
+
+    ranked.sort((a, b) => b.semantic_similarity - a.semantic_similarity);
+    const slots = Math.max(0, this.topN - unranked.length);
+    const accepted = [];
+    const rejected = [];
+    ranked.forEach((job, index) => {
+      if (job.semantic_similarity < this.minSimilarity) {
+        rejected.push({ ...job, filter_reason: `semantic_rank: similarity ${job.semantic_similarity} below ${this.minSimilarity}` });
+      } else if (index >= slots) {
+        rejected.push({ ...job, filter_reason: `semantic_rank: similarity ${job.semantic_similarity}, outside the top ${this.topN}` });
+      } else {
+        accepted.push(job);
+      }
+    });
+    accepted.push(...unranked);
+
+    logger.info(`Semantic pre-rank: kept ${accepted.length}/${jobs.length} jobs (top ${this.topN}, ${this.model})`);
+    return {
+      accepted,
+      rejected,
+      summary: { ...summary, ranked: ranked.length, kept: accepted.length, removed: rejected.length }
+    };
+  }
+}
+
+module.exports = SemanticRanker;
+module.exports.cosineSimilarity = cosineSimilarity;
@@ -5,6 +5,27 @@ const path = require('path');
 const JobScraper = require('./index');
 const AIJobAnalyzer = require('./ai-analyzer');
 const EmailService = require('./email-service');
+const JobStore = require('./job-store');
+const SemanticRanker = require('./semantic-ranker');
+const RunHistory = require('./run-history');
+const { RunManager, runSummary, newRunId, releaseRunLocks } = require('./run-manager');
+const { Scheduler, validateScheduleChange } = require('./scheduler');
+const { getSite } = require('./sites');
+const { STATS_PATH } = require('./selector-packs');
+const { filterJobs } = require('./job-filter');
+const { DEFAULT_PROFILE, getProfile, listProfiles, profileNames, defaultProfileName, searchCriteria } = require('./profiles');
+const { loadCandidateProfile } = require('./candidate-profile');
+const { notify } = require('./notifiers');
+const { sendAlerts } = require('./alerts');
+const { FEEDBACK_LABELS, verifyFeedbackLink, buildFeedbackModel } = require('./feedback');
+const {
+  APPLICATION_STATUSES,
+  validateApplicationChange,
+  createApplication,
+  updateApplication,
+  applicationView,
+  followUpsDue
+} = require('./application-tracker');
 const config = require('../config/config.json');
 
 // Setup logging
@@ -20,8 +41,18 @@ const logger = winston.createLogger({
   ]
 });
 
+const escapeHtml = text => String(text || '').replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+
 const app = express();
 const PORT = process.env.PORT || 3000;
+const runManager = new RunManager();
+const scheduler = new Scheduler({
+  runManager,
+  task: (names, type) => run => runWorkflow(run, {
+    profiles: names.map(name => getProfile(name)),
+    digest: type === 'workflow'
+  })
+});
 
 // Middleware
 app.use(express.json({ limit: '10mb' }));
@@ -49,6 +80,97 @@ app.use((req, res, next) => {
   next();
 });
 
+// Dashboard (static files in scrapers/dashboard)
+app.use('/dashboard', express.static(path.join(__dirname, 'dashboard')));
+app.get('/', (req, res) => res.redirect('/dashboard/'));
+
+// Wrap an endpoint that runs synchronously so every run it answers is added to the run
+// history. Rejected requests (4xx) are not runs and are not recorded.
+function recordsRun(type, handler) {
+  return async (req, res) => {
+    const startedAt = new Date().toISOString();
+    const json = res.json.bind(res);
+    res.json = body => {
+      if (res.statusCode < 400 || res.statusCode >= 500) {
+        new RunHistory().record({
+          id: newRunId(),
+          type,
+          status: body.success ? 'success' : 'failed',
+          started_at: startedAt,
+          summary: runSummary(type, body),
+          error: body.error
+        }).catch(error => logger.warn(`Could not record ${type} run: ${error.message}`));
+      }
+      return json(body);
+    };
+    return handler(req, res);
+  };
+}
+
+// The profile named by ?profile= (the default profile without one). Answers 404 and
+// returns null when there is no such profile.
+function requestProfile(req, res) {
+  const name = req.query.profile || defaultProfileName();
+  const profile = getProfile(name);
+  if (!profile) {
+    res.status(404).json({
+      success: false,
+      error: `Unknown profile "${name}"`
+    });
+  }
+  return profile;
+}
+
+// Start `task` as a background run: 202 with the run id to poll at /api/runs/:id, or
+// 409 while another scrape or workflow is in progress. With ?wait=true the request is
+// held until the run finishes and answered with its result (success false when the run
+// was partial). `runOptions(req, res)`
+// returns what the run is for (passed to the task and kept on the run), or null once it
+// has rejected the request.
+function startsRun(type, task, runOptions = () => ({})) {
+  return async (req, res) => {
+    const options = runOptions(req, res);
+    if (!options) return;
+    
+    const run = runManager.start(type, context => task(context, options), options);
+    if (!run) {
+      const busy = runManager.busy();
+      return res.status(409).json({
+        success: false,
+        error: busy ? `A ${busy.type} run is already in progress` : 'Another run is already in progress',
+        run_id: busy ? busy.run_id : null,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (req.query.wait === 'true') {
+      const finished = await runManager.wait(run.id);
+      if (!['success', 'partial'].includes(finished.status)) {
+        return res.status(500).json({
+          success: false,
+          run_id: run.id,
+          error: finished.error,
+          timestamp: new Date().toISOString()
+        });
+      }
+      return res.json({
+        success: finished.status === 'success',
+        run_id: run.id,
+        ...finished.result,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      run_id: run.id,
+      status: run.status,
+      status_url: `/api/runs/${run.id}`,
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -59,6 +181,16 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Channel settings that hold credentials, shown only as set or not
+const CHANNEL_SECRETS = ['webhook_url', 'url', 'secret', 'bot_token'];
+
+function maskChannels(channels) {
+  return Object.fromEntries(Object.entries(channels).map(([name, channel]) => [name, {
+    ...channel,
+    ...Object.fromEntries(CHANNEL_SECRETS.filter(key => channel[key]).map(key => [key, '***']))
+  }]));
+}
+
 // Get configuration
 app.get('/api/config', (req, res) => {
   try {
@@ -69,7 +201,19 @@ app.get('/api/config', (req, res) => {
         ...config.email,
         smtp_user: config.email.smtp_user ? '***@***' : '',
         smtp_password: '***'
-      }
+      },
+      ai_analysis: {
+        ...config.ai_analysis,
+        api_key: config.ai_analysis.api_key ? '***' : ''
+      },
+      notifications: {
+        ...config.notifications,
+        channels: maskChannels((config.notifications || {}).channels || {})
+      },
+      profiles: Object.fromEntries(Object.entries(config.profiles || {}).map(([name, definition]) => [name, {
+        ...definition,
+        ...(definition.notifications ? { notifications: maskChannels(definition.notifications) } : {})
+      }]))
     };
     res.json(safeConfig);
   } catch (error) {
@@ -78,38 +222,59 @@ app.get('/api/config', (req, res) => {
   }
 });
 
-// Scrape jobs endpoint
-app.post('/api/scrape', async (req, res) => {
+// Configured profiles; any of them can be picked with ?profile= on the job, feedback,
+// application, analyze, email and workflow endpoints
+app.get('/api/profiles', (req, res) => {
   try {
-    logger.info('Starting job scraping...');
-    
-    const scraper = new JobScraper();
-    const jobs = await scraper.scrapeAllSites();
-    
-    // Save raw jobs data
-    await fs.ensureDir('data');
-    await fs.writeJson('data/raw-jobs.json', jobs, { spaces: 2 });
-    
-    logger.info(`Scraping completed: ${jobs.length} jobs found`);
+    const profiles = listProfiles().map(profile => ({
+      name: profile.name,
+      label: profile.label,
+      default: profile.name === defaultProfileName(),
+      preferred_roles: profile.user.preferred_roles || [],
+      locations: profile.locations,
+      min_relevance_score: profile.min_relevance_score,
+      recipients: profile.email_to.length
+    }));
     
     res.json({
       success: true,
-      jobs: jobs,
-      count: jobs.length,
+      profiles,
+      count: profiles.length,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Scraping failed:', error);
+    logger.error('Error listing profiles:', error);
     res.status(500).json({
       success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
+      error: error.message
     });
   }
 });
 
+// Scrape jobs endpoint (background run)
+app.post('/api/scrape', startsRun('scrape', async run => {
+  run.step('scrape');
+  logger.info('Starting job scraping...');
+  
+  const scraper = new JobScraper();
+  run.attachScraper(scraper);
+  const jobs = await scraper.scrapeAllSites();
+  
+  // Save raw jobs data
+  run.step('save');
+  await fs.ensureDir('data');
+  await fs.writeJson('data/raw-jobs.json', jobs, { spaces: 2 });
+  
+  logger.info(`Scraping completed: ${jobs.length} jobs found`);
+  
+  return {
+    jobs: jobs,
+    count: jobs.length
+  };
+}));
+
 // Analyze jobs with AI endpoint
-app.post('/api/analyze', async (req, res) => {
+app.post('/api/analyze', recordsRun('analyze', async (req, res) => {
   try {
     const { jobs } = req.body;
     
@@ -120,29 +285,54 @@ app.post('/api/analyze', async (req, res) => {
       });
     }
     
-    logger.info(`Starting AI analysis for ${jobs.length} jobs...`);
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    const filterResult = filterJobs(jobs, profile.filters);
+    logger.info(`Filters removed ${filterResult.summary.removed}/${jobs.length} jobs before analysis`);
+    
+    if (filterResult.accepted.length === 0) {
+      return res.json({
+        success: true,
+        all_jobs: [],
+        relevant_jobs: [],
+        filtered_jobs: filterResult.rejected,
+        filter_summary: filterResult.summary,
+        profile: profile.name,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const rankResult = await new SemanticRanker().preRank(filterResult.accepted, null, loadCandidateProfile(profile));
+    
+    logger.info(`Starting AI analysis for ${rankResult.accepted.length} jobs (profile ${profile.name})...`);
     
-    const analyzer = new AIJobAnalyzer();
+    const analyzer = new AIJobAnalyzer(profile);
     
-    // Test Ollama connection first
+    // Test LLM provider connection first
     const connected = await analyzer.testConnection();
     if (!connected) {
       return res.status(503).json({
         success: false,
-        error: 'AI service (Ollama) is not available'
+        error: `AI service (${analyzer.provider.label}) is not available`
       });
     }
     
-    const analysisResult = await analyzer.analyzeBatch(jobs);
+    const analysisResult = await analyzer.analyzeBatch(rankResult.accepted);
+    analysisResult.analysis_summary.filters = filterResult.summary;
+    analysisResult.analysis_summary.semantic_rank = rankResult.summary;
     
     // Save analysis results
-    await fs.writeJson('data/analyzed-jobs.json', analysisResult, { spaces: 2 });
+    await fs.ensureDir(path.dirname(profile.analysis_result_file));
+    await fs.writeJson(profile.analysis_result_file, analysisResult, { spaces: 2 });
     
     logger.info(`AI analysis completed: ${analysisResult.relevant_jobs.length} relevant jobs`);
     
     res.json({
       success: true,
       ...analysisResult,
+      filtered_jobs: [...filterResult.rejected, ...rankResult.rejected],
+      profile: profile.name,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -153,7 +343,7 @@ app.post('/api/analyze', async (req, res) => {
       timestamp: new Date().toISOString()
     });
   }
-});
+}));
 
 // Send email report endpoint
 app.post('/api/email', async (req, res) => {
@@ -167,9 +357,12 @@ app.post('/api/email', async (req, res) => {
       });
     }
     
-    logger.info('Sending email report...');
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    logger.info(`Sending email report for profile ${profile.name}...`);
     
-    const emailService = new EmailService();
+    const emailService = new EmailService(profile);
     
     // Test email connection first
     const connected = await emailService.testConnection();
@@ -202,79 +395,95 @@ app.post('/api/email', async (req, res) => {
   }
 });
 
-// Complete workflow endpoint (scrape + analyze + email)
-app.post('/api/workflow', async (req, res) => {
+// Render the report email for the profile's latest workflow result without sending it:
+// the HTML part in the browser, or the plain-text part with ?format=text
+app.get('/api/email/preview', async (req, res) => {
   try {
-    logger.info('Starting complete job workflow...');
+    const profile = requestProfile(req, res);
+    if (!profile) return;
     
-    // Step 1: Scrape jobs
-    logger.info('Step 1: Scraping jobs...');
-    const scraper = new JobScraper();
-    const jobs = await scraper.scrapeAllSites();
-    
-    if (jobs.length === 0) {
-      logger.warn('No jobs found during scraping');
-      return res.json({
-        success: true,
-        message: 'No jobs found to analyze',
-        jobs: [],
-        timestamp: new Date().toISOString()
+    const format = req.query.format || 'html';
+    if (!['html', 'text'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be html or text'
       });
     }
     
-    // Step 2: Analyze with AI
-    logger.info(`Step 2: Analyzing ${jobs.length} jobs with AI...`);
-    const analyzer = new AIJobAnalyzer();
-    
-    const connected = await analyzer.testConnection();
-    if (!connected) {
-      throw new Error('AI service (Ollama) is not available');
-    }
-    
-    const analysisResult = await analyzer.analyzeBatch(jobs);
-    
-    // Step 3: Send email if relevant jobs found
-    if (analysisResult.relevant_jobs.length > 0 || config.email.send_empty_reports) {
-      logger.info(`Step 3: Sending email report for ${analysisResult.relevant_jobs.length} relevant jobs...`);
-      
-      const emailService = new EmailService();
-      const emailConnected = await emailService.testConnection();
-      
-      if (emailConnected) {
-        const emailResult = await emailService.sendJobReport(analysisResult);
-        
-        if (!emailResult.success) {
-          logger.error(`Email sending failed: ${emailResult.error}`);
-        }
-      } else {
-        logger.warn('Email service not available, skipping email step');
+    // The workflow and POST /api/analyze each leave their result in their own file;
+    // preview whichever was written last
+    let resultFile = null;
+    let newest = 0;
+    for (const file of [profile.workflow_result_file, profile.analysis_result_file]) {
+      const stats = await fs.stat(file).catch(() => null);
+      if (stats && stats.mtimeMs > newest) {
+        resultFile = file;
+        newest = stats.mtimeMs;
       }
+    }
+    if (!resultFile) {
+      return res.status(404).json({
+        success: false,
+        error: `No results to preview for profile "${profile.name}"; run the workflow first`
+      });
+    }
+    
+    const email = await new EmailService(profile).renderReport(await fs.readJson(resultFile));
+    res.set('X-Email-Subject', encodeURIComponent(email.subject));
+    if (format === 'text') {
+      res.type('text/plain').send(email.text);
     } else {
-      logger.info('No relevant jobs found and empty reports disabled, skipping email');
+      res.type('html').send(email.html);
+    }
+  } catch (error) {
+    logger.error('Email preview failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Send a report through the profile's notification channels: { analysisResult,
+// channels: ["slack", ...] } (every enabled channel when left out)
+app.post('/api/notify', async (req, res) => {
+  try {
+    const { analysisResult, channels } = req.body || {};
+    
+    if (!analysisResult) {
+      return res.status(400).json({
+        success: false,
+        error: 'Analysis result is required in request body'
+      });
     }
     
-    // Save final results
-    await fs.ensureDir('data');
-    await fs.writeJson('data/workflow-result.json', {
-      ...analysisResult,
-      workflow_completed_at: new Date().toISOString()
-    }, { spaces: 2 });
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    const unknown = [].concat(channels || []).filter(name => !profile.notifications[name]);
+    if (channels !== undefined && (!Array.isArray(channels) || unknown.length > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: `channels must be a list of: ${Object.keys(profile.notifications).join(', ')}`
+      });
+    }
     
-    logger.info('Complete workflow finished successfully');
+    logger.info(`Sending notifications for profile ${profile.name}...`);
+    const delivery = await notify(profile, {
+      all_jobs: analysisResult.relevant_jobs || [],
+      ...analysisResult
+    }, { channels: channels || null });
+    logDelivery(`[${profile.name}]`, delivery);
     
     res.json({
-      success: true,
-      message: 'Workflow completed successfully',
-      summary: {
-        jobs_scraped: jobs.length,
-        jobs_analyzed: analysisResult.all_jobs.length,
-        relevant_jobs: analysisResult.relevant_jobs.length,
-        average_score: analysisResult.analysis_summary.average_score
-      },
+      success: !delivery.channels.some(channel => channel.status === 'failed'),
+      channels: delivery.channels,
+      delivered: delivery.delivered_jobs.length,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Workflow failed:', error);
+    logger.error('Sending notifications failed:', error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -283,12 +492,260 @@ app.post('/api/workflow', async (req, res) => {
   }
 });
 
+// Complete workflow (scrape + analyze + alert + notify) as a background run, started by
+// POST /api/workflow and by the scheduler. One scrape covers every profile in
+// `profiles`; each profile then gets its own store, filter, rank, analysis, alert and
+// notify steps. With `digest: false` it is an alert scan (POST /api/scan): see
+// runProfileWorkflow.
+async function runWorkflow(run, { profiles = listProfiles(), digest = true } = {}) {
+  logger.info(`Starting complete job workflow for ${profiles.map(profile => profile.name).join(', ')}...`);
+  
+  // Step 1: Scrape jobs
+  run.step('scrape');
+  logger.info('Step 1: Scraping jobs...');
+  const scraper = new JobScraper(searchCriteria(profiles));
+  run.attachScraper(scraper);
+  const jobs = await scraper.scrapeAllSites();
+  // A cancel closes the browser, so the scrape returns whatever it had; that is not a
+  // finished run with no jobs
+  run.signal.throwIfAborted();
+  
+  if (jobs.length === 0) {
+    logger.warn('No jobs found during scraping');
+    return {
+      message: 'No jobs found to analyze',
+      jobs: []
+    };
+  }
+  
+  // One profile failing (every channel failed, a step threw) does not stop
+  // the others; the run is partial when some profiles failed and failed when all did
+  const results = [];
+  const failures = [];
+  for (const profile of profiles) {
+    try {
+      results.push({ profile: profile.name, status: 'success', ...await runProfileWorkflow(run, profile, jobs, { digest }) });
+    } catch (error) {
+      if (run.signal.aborted) throw error;
+      logger.error(`[${profile.name}] Workflow failed: ${error.message}`);
+      run.progress({ error: error.message });
+      failures.push({ profile: profile.name, error });
+      results.push({ profile: profile.name, status: 'failed', message: error.message, summary: {} });
+    }
+  }
+  
+  if (failures.length === results.length) {
+    throw failures.length === 1
+      ? failures[0].error
+      : new Error(failures.map(failure => `${failure.profile}: ${failure.error.message}`).join('; '));
+  }
+  const error = failures.length > 0
+    ? `Workflow failed for ${failures.map(failure => `${failure.profile} (${failure.error.message})`).join(', ')}`
+    : undefined;
+  logger.info(error ? `Workflow finished with errors: ${error}` : 'Complete workflow finished successfully');
+  
+  const profileSummaries = results.map(({ profile, status, message, summary }) => ({ profile, status, message, ...summary }));
+  if (results.length === 1) {
+    return {
+      message: results[0].message,
+      summary: { jobs_scraped: jobs.length, ...results[0].summary, profiles: profileSummaries }
+    };
+  }
+  
+  const total = field => results.reduce((sum, result) => sum + (result.summary[field] || 0), 0);
+  return {
+    message: `Workflow completed for ${results.length - failures.length}/${results.length} profiles`,
+    error,
+    summary: {
+      jobs_scraped: jobs.length,
+      jobs_new: total('jobs_new'),
+      jobs_filtered: total('jobs_filtered'),
+      jobs_analyzed: total('jobs_analyzed'),
+      relevant_jobs: total('relevant_jobs'),
+      alerts_sent: results.reduce((sum, result) => sum + (result.summary.alerts ? result.summary.alerts.sent : 0), 0),
+      profiles: profileSummaries
+    }
+  };
+}
+
+// Steps 2-8 of the workflow for one profile, over the jobs scraped in step 1. An alert
+// scan (`digest: false`) stops after the alert step and leaves the jobs unanalyzed in
+// the store, so the next digest run still reports them (its analysis comes from the cache).
+async function runProfileWorkflow(run, profile, jobs, { digest = true } = {}) {
+  const step = name => run.step(name, { profile: profile.name });
+  const prefix = `[${profile.name}]`;
+  
+  // Step 2: Record in the profile's job store; only jobs not seen before go on
+  step('store');
+  logger.info(`${prefix} Step 2: Checking job store for new jobs...`);
+  const store = await new JobStore(profile.jobs_file).load();
+  const { newJobs, rankedOutJobs, unreportedJobs, closedJobs } = store.recordScrape(jobs);
+  await store.save();
+  // Relevant jobs from an earlier run whose report failed go out with this digest
+  const carriedJobs = digest ? unreportedJobs : [];
+  
+  if (newJobs.length === 0 && rankedOutJobs.length === 0 && carriedJobs.length === 0) {
+    logger.info(`${prefix} No new jobs since the last run`);
+    return {
+      message: 'No new jobs since the last run',
+      summary: {
+        jobs_new: 0,
+        jobs_closed: closedJobs.length
+      }
+    };
+  }
+  
+  // Step 3: Apply the profile's filters so excluded jobs never reach the LLM
+  step('filter');
+  const filterResult = filterJobs(newJobs, profile.filters);
+  if (digest) store.recordFiltered(filterResult.rejected);
+  await store.save();
+  logger.info(`${prefix} Step 3: Filters removed ${filterResult.summary.removed}/${newJobs.length} new jobs`, filterResult.summary.by_filter);
+  
+  // Jobs an earlier pre-rank left out passed the filters then and compete for a place again
+  const candidates = [...filterResult.accepted, ...rankedOutJobs];
+  if (candidates.length === 0 && carriedJobs.length === 0) {
+    return {
+      message: 'All new jobs were removed by filters',
+      summary: {
+        jobs_new: newJobs.length,
+        jobs_closed: closedJobs.length,
+        jobs_filtered: filterResult.summary.removed,
+        filters: filterResult.summary.by_filter,
+        filters_no_data: filterResult.summary.no_data
+      }
+    };
+  }
+  
+  // Step 4: Rank by embedding similarity; only the top N reach the LLM
+  step('rank');
+  const rankResult = await new SemanticRanker().preRank(candidates, store, loadCandidateProfile(profile));
+  if (digest) store.recordRankedOut(rankResult.rejected);
+  await store.save();
+  logger.info(`${prefix} Step 4: Semantic pre-rank kept ${rankResult.accepted.length}/${candidates.length} jobs (${rankedOutJobs.length} left out by an earlier run)`);
+  
+  // Step 5: Analyze with AI
+  step('analyze');
+  logger.info(`${prefix} Step 5: Analyzing ${rankResult.accepted.length} new jobs with AI...`);
+  const analyzer = new AIJobAnalyzer(profile);
+  
+  if (rankResult.accepted.length > 0) {
+    const connected = await analyzer.testConnection();
+    if (!connected) {
+      logger.warn(`${prefix} AI service (${analyzer.provider.label}) is not available. Using fallback scoring.`);
+      analyzer.forceFallback = true;
+    }
+  }
+  
+  const analysisResult = await analyzer.analyzeBatch(rankResult.accepted, {
+    signal: run.signal,
+    onProgress: (completed, total) => run.progress({ completed, total }),
+    unreported: carriedJobs
+  });
+  analysisResult.analysis_summary.filters = filterResult.summary;
+  analysisResult.analysis_summary.semantic_rank = rankResult.summary;
+  if (digest) store.recordAnalysis(analysisResult.all_jobs);
+  await store.save();
+  
+  // Step 6: Instant alerts for jobs matching the profile's alert rules
+  step('alert');
+  const alerts = await sendAlerts(profile, store, analysisResult.all_jobs);
+  await store.save();
+  logger.info(`${prefix} Step 6: ${alerts.sent} alerts sent, ${alerts.held} held for quiet hours, ${alerts.capped} over the daily cap`);
+  
+  if (!digest) {
+    return {
+      message: 'Alert scan completed',
+      summary: {
+        jobs_new: newJobs.length,
+        jobs_closed: closedJobs.length,
+        jobs_analyzed: analysisResult.all_jobs.length,
+        relevant_jobs: analysisResult.relevant_jobs.length,
+        alerts
+      }
+    };
+  }
+  
+  // Step 7: Send the report through each notification channel; a channel that fails
+  // does not hold back the others
+  step('notify');
+  logger.info(`${prefix} Step 7: Sending notifications for ${analysisResult.relevant_jobs.length} relevant jobs...`);
+  const delivery = await notify(profile, analysisResult);
+  logDelivery(prefix, delivery);
+  store.markReported(delivery.reported_jobs);
+  await store.save();
+  
+  // Save final results
+  step('save');
+  await fs.ensureDir(path.dirname(profile.workflow_result_file));
+  await fs.writeJson(profile.workflow_result_file, {
+    profile: profile.name,
+    ...analysisResult,
+    workflow_completed_at: new Date().toISOString()
+  }, { spaces: 2 });
+  
+  return {
+    message: 'Workflow completed successfully',
+    summary: {
+      jobs_new: newJobs.length,
+      jobs_closed: closedJobs.length,
+      jobs_filtered: filterResult.summary.removed,
+      filters: filterResult.summary.by_filter,
+      filters_no_data: filterResult.summary.no_data,
+      jobs_ranked_out: rankResult.summary.removed,
+      jobs_analyzed: analysisResult.analysis_summary.total_analyzed,
+      jobs_unreported: carriedJobs.length,
+      relevant_jobs: analysisResult.relevant_jobs.length,
+      average_score: analysisResult.analysis_summary.average_score,
+      cache: analysisResult.analysis_summary.cache,
+      alerts,
+      notifications: deliverySummary(delivery)
+    }
+  };
+}
+
+function logDelivery(prefix, delivery) {
+  delivery.channels.forEach(channel => {
+    if (channel.status === 'failed') logger.error(`${prefix} ${channel.channel}: ${channel.error}`);
+    else logger.info(`${prefix} ${channel.channel}: ${channel.status}${channel.reason ? ` (${channel.reason})` : ''}`);
+  });
+}
+
+// { email: 'sent', slack: 'failed', ... } for run summaries
+function deliverySummary(delivery) {
+  return Object.fromEntries(delivery.channels.map(channel => [channel.channel, channel.status]));
+}
+
+// The profiles a workflow or scan request is for: ?profile= runs one profile instead of all
+function workflowProfiles(req, res) {
+  if (!req.query.profile) return { profiles: profileNames() };
+  const profile = requestProfile(req, res);
+  return profile && { profiles: [profile.name] };
+}
+
+// Complete workflow endpoint (background run)
+app.post('/api/workflow', startsRun(
+  'workflow',
+  (run, { profiles }) => runWorkflow(run, { profiles: profiles.map(name => getProfile(name)) }),
+  workflowProfiles
+));
+
+// Alert scan (background run): scrape, analyze and send instant alerts without the digest
+app.post('/api/scan', startsRun(
+  'scan',
+  (run, { profiles }) => runWorkflow(run, { profiles: profiles.map(name => getProfile(name)), digest: false }),
+  workflowProfiles
+));
+
 // Get latest results
 app.get('/api/results/latest', async (req, res) => {
   try {
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
     const files = {
-      workflow: 'data/workflow-result.json',
-      analyzed: 'data/analyzed-jobs.json',
+      workflow: profile.workflow_result_file,
+      analyzed: profile.analysis_result_file,
       raw: 'data/raw-jobs.json'
     };
     
@@ -314,10 +771,598 @@ app.get('/api/results/latest', async (req, res) => {
   }
 });
 
+// Past scrape, analyze and workflow runs, newest first, and the run in progress
+app.get('/api/runs', async (req, res) => {
+  try {
+    const limit = Math.min(500, parseInt(req.query.limit || '50', 10) || 50);
+    const runs = await new RunHistory().list({ limit, type: req.query.type || null });
+    
+    res.json({
+      success: true,
+      active: runManager.activeRun(),
+      runs,
+      count: runs.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error reading run history:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// One run's status: its steps so far, per-site scrape progress and, once it has
+// finished, its result
+app.get('/api/runs/:id', async (req, res) => {
+  try {
+    const run = await runManager.get(req.params.id);
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Run not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      run,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting run:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Cancel a run in progress; closes its browser and stops before the next step
+app.delete('/api/runs/:id', async (req, res) => {
+  try {
+    const run = await runManager.cancel(req.params.id);
+    if (!run) {
+      const known = await runManager.get(req.params.id);
+      return res.status(known ? 409 : 404).json({
+        success: false,
+        error: known ? `Run already ${known.status}` : 'Run not found'
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      run,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error cancelling run:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Workflow schedule: per profile cron, next run and last scheduled run
+app.get('/api/schedule', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      schedule: await scheduler.status(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Change the schedule: { enabled, timezone, catch_up, catch_up_hours, profiles: { name: { cron, enabled } } }
+app.put('/api/schedule', async (req, res) => {
+  try {
+    const error = validateScheduleChange(scheduler.settings, req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+    
+    res.json({
+      success: true,
+      schedule: await scheduler.update(req.body),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error updating schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Per configured site: recent scrape outcomes and selector fields that stopped matching
+app.get('/api/sites/health', async (req, res) => {
+  try {
+    const health = await new RunHistory().siteHealth();
+    const selectorStats = (await fs.pathExists(STATS_PATH)) ? await fs.readJson(STATS_PATH).catch(() => ({})) : {};
+    
+    const sites = Object.entries(config.sites || {}).map(([key, siteConfig]) => {
+      const adapter = getSite(siteConfig.adapter || key);
+      const name = adapter ? adapter.name : key;
+      const stats = selectorStats[name];
+      const failingFields = stats
+        ? Object.entries(stats.fields || {})
+          .filter(([, field]) => field.last_run && field.last_run.hits === 0 && field.last_run.misses > 0)
+          .map(([field]) => field)
+        : [];
+      return {
+        site: name,
+        label: adapter ? adapter.label : key,
+        enabled: !!siteConfig.enabled,
+        ...(health.find(entry => entry.site === name) || {}),
+        selector_pack_version: stats ? stats.version : null,
+        failing_fields: failingFields
+      };
+    });
+    
+    res.json({
+      success: true,
+      sites,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error building site health:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Query the persistent job store
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const { status, source, since, label } = req.query;
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    const store = await new JobStore(profile.jobs_file).load();
+    
+    const jobs = store.all()
+      .filter(job => !status || job.status === status)
+      .filter(job => !source || job.source.toLowerCase() === source.toLowerCase())
+      .filter(job => !since || job.first_seen >= since)
+      .filter(job => !label || (job.feedback && job.feedback.label === label))
+      .sort((a, b) => b.first_seen.localeCompare(a.first_seen))
+      // Vectors are large and only useful to the ranker
+      .map(({ embedding, ...job }) => embedding ? { ...job, embedding: { model: embedding.model, dimensions: embedding.vector.length } } : job);
+    
+    res.json({
+      success: true,
+      jobs,
+      count: jobs.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error reading job store:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Label a job: applied, interested, not_interested or spam
+app.post('/api/jobs/:id/feedback', async (req, res) => {
+  try {
+    const { label, note } = req.body || {};
+    if (!FEEDBACK_LABELS.includes(label)) {
+      return res.status(400).json({
+        success: false,
+        error: `label must be one of: ${FEEDBACK_LABELS.join(', ')}`
+      });
+    }
+    
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    const store = await new JobStore(profile.jobs_file).load();
+    const job = store.recordFeedback(req.params.id, label, { source: 'api', note: note || null });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `No job with id ${req.params.id}`
+      });
+    }
+    await store.save();
+    
+    logger.info(`Job ${job.id} labelled ${label}`);
+    res.json({
+      success: true,
+      id: job.id,
+      feedback: job.feedback,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error recording feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/jobs/:id/feedback', async (req, res) => {
+  try {
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    const store = await new JobStore(profile.jobs_file).load();
+    const job = store.recordFeedback(req.params.id, null);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `No job with id ${req.params.id}`
+      });
+    }
+    await store.save();
+    
+    res.json({
+      success: true,
+      id: job.id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error clearing feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// What the analyzer has learned from the labels so far
+app.get('/api/feedback', async (req, res) => {
+  try {
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    const store = await new JobStore(profile.jobs_file).load();
+    
+    res.json({
+      success: true,
+      ...buildFeedbackModel(store.all()),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error building feedback model:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Signed link from the email report. Opened in a browser, so it answers with a page.
+// Mail scanners and link prefetchers open every link in an email, so the GET only asks
+// for confirmation; the label is recorded by the POST its button sends.
+function feedbackPage(res, status, body) {
+  return res.status(status).send(
+    `<!DOCTYPE html><html><head><meta charset="utf-8"><meta name="robots" content="noindex"><title>Job feedback</title></head>` +
+    `<body style="font-family: sans-serif; text-align: center; padding: 40px;">${body}</body></html>`
+  );
+}
+
+// The stored job a feedback link points at, or null once the page saying why not is sent
+async function feedbackLinkJob(req, res) {
+  const { id, label } = req.params;
+  const invalid = verifyFeedbackLink(id, label, req.query.expires, req.query.sig, req.query.profile || null);
+  if (invalid) {
+    logger.warn(`Rejected feedback link for ${id}: ${invalid}`);
+    feedbackPage(res, 403, `<p>This feedback link cannot be used (${invalid}).</p>`);
+    return null;
+  }
+  
+  const profile = getProfile(req.query.profile || DEFAULT_PROFILE);
+  if (!profile) {
+    feedbackPage(res, 404, '<p>This profile no longer exists.</p>');
+    return null;
+  }
+  
+  const store = await new JobStore(profile.jobs_file).load();
+  const job = store.get(id);
+  if (!job) {
+    feedbackPage(res, 404, '<p>This job is no longer in the job store.</p>');
+    return null;
+  }
+  return { store, job, label };
+}
+
+app.get('/api/feedback/:id/:label', async (req, res) => {
+  try {
+    const target = await feedbackLinkJob(req, res);
+    if (!target) return;
+    
+    const { job, label } = target;
+    feedbackPage(res, 200,
+      `<p>Mark <strong>${escapeHtml(job.title)}</strong> at ${escapeHtml(job.company)} as <strong>${label.replace('_', ' ')}</strong>?</p>` +
+      `<form method="post" action="${escapeHtml(req.originalUrl)}"><button type="submit" style="font-size: 16px; padding: 8px 20px;">Confirm</button></form>`);
+  } catch (error) {
+    logger.error('Error opening feedback link:', error);
+    feedbackPage(res, 500, '<p>Could not open the feedback link. Check the server logs.</p>');
+  }
+});
+
+app.post('/api/feedback/:id/:label', async (req, res) => {
+  try {
+    const target = await feedbackLinkJob(req, res);
+    if (!target) return;
+    
+    const { store, job, label } = target;
+    store.recordFeedback(job.id, label, { source: 'email' });
+    await store.save();
+    
+    logger.info(`Job ${job.id} labelled ${label} from email`);
+    feedbackPage(res, 200, `<p>✅ Marked <strong>${escapeHtml(job.title)}</strong> at ${escapeHtml(job.company)} as <strong>${label.replace('_', ' ')}</strong>.</p>`);
+  } catch (error) {
+    logger.error('Error recording feedback from link:', error);
+    feedbackPage(res, 500, '<p>Could not record the feedback. Check the server logs.</p>');
+  }
+});
+
+// Application tracker
+app.get('/api/applications', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${APPLICATION_STATUSES.join(', ')}`
+      });
+    }
+    
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    const store = await new JobStore(profile.jobs_file).load();
+    const applications = store.all()
+      .filter(job => job.application && (!status || job.application.status === status))
+      .sort((a, b) => b.application.updated_at.localeCompare(a.application.updated_at))
+      .map(applicationView);
+    
+    res.json({
+      success: true,
+      applications,
+      count: applications.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing applications:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Follow-ups due on a day (default today), overdue ones included
+app.get('/api/applications/follow-ups', async (req, res) => {
+  try {
+    const { date } = req.query;
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        error: 'date must be YYYY-MM-DD'
+      });
+    }
+    
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    const store = await new JobStore(profile.jobs_file).load();
+    const followUps = followUpsDue(store.all(), date);
+    
+    res.json({
+      success: true,
+      follow_ups: followUps,
+      count: followUps.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error listing follow-ups:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/api/applications/:id', async (req, res) => {
+  try {
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    const store = await new JobStore(profile.jobs_file).load();
+    const job = store.get(req.params.id);
+    if (!job || !job.application) {
+      return res.status(404).json({
+        success: false,
+        error: `No application for job ${req.params.id}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      ...applicationView(job),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error getting application:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Start tracking a stored job: { job_id, status?, note?, contacts?, follow_up_on?, date? }
+app.post('/api/applications', async (req, res) => {
+  try {
+    const { job_id: jobId, ...changes } = req.body || {};
+    const invalid = jobId ? validateApplicationChange(null, changes) : '"job_id" is required';
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    const store = await new JobStore(profile.jobs_file).load();
+    const job = store.get(jobId);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: `No job with id ${jobId}`
+      });
+    }
+    if (job.application) {
+      return res.status(409).json({
+        success: false,
+        error: `Job ${jobId} already has an application; update it with PUT /api/applications/${encodeURIComponent(jobId)}`
+      });
+    }
+    
+    store.recordApplication(jobId, createApplication(changes));
+    await store.save();
+    
+    logger.info(`Tracking application for ${jobId} (${job.application.status})`);
+    res.status(201).json({
+      success: true,
+      ...applicationView(job),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error creating application:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Move to a later stage, add a note, replace contacts or set the follow-up date
+app.put('/api/applications/:id', async (req, res) => {
+  try {
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    const store = await new JobStore(profile.jobs_file).load();
+    const job = store.get(req.params.id);
+    if (!job || !job.application) {
+      return res.status(404).json({
+        success: false,
+        error: `No application for job ${req.params.id}`
+      });
+    }
+    
+    const changes = req.body || {};
+    const invalid = validateApplicationChange(job.application, changes);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const previous = job.application.status;
+    store.recordApplication(job.id, updateApplication(job.application, changes));
+    await store.save();
+    
+    if (previous !== job.application.status) {
+      logger.info(`Application for ${job.id} moved from ${previous} to ${job.application.status}`);
+    }
+    res.json({
+      success: true,
+      ...applicationView(job),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error updating application:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.delete('/api/applications/:id', async (req, res) => {
+  try {
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    const store = await new JobStore(profile.jobs_file).load();
+    const job = store.get(req.params.id);
+    if (!job || !job.application) {
+      return res.status(404).json({
+        success: false,
+        error: `No application for job ${req.params.id}`
+      });
+    }
+    
+    store.recordApplication(job.id, null);
+    await store.save();
+    
+    res.json({
+      success: true,
+      id: job.id,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error deleting application:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Clear cached LLM analyses
+app.delete('/api/analysis-cache', async (req, res) => {
+  try {
+    const profile = requestProfile(req, res);
+    if (!profile) return;
+    
+    const analyzer = new AIJobAnalyzer(profile);
+    await analyzer.cache.load();
+    const cleared = analyzer.cache.stats().entries;
+    await analyzer.cache.clear();
+    
+    logger.info(`Cleared ${cleared} cached analyses`);
+    res.json({
+      success: true,
+      cleared,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Error clearing analysis cache:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Get logs
 app.get('/api/logs', async (req, res) => {
   try {
-    const logFiles = ['server.log', 'scraper.log', 'ai-analyzer.log', 'email-service.log'];
+    // Every service log in data/, so logs added by new modules show up without a change here
+    const logFiles = (await fs.pathExists('data') ? await fs.readdir('data') : [])
+      .filter(file => file.endsWith('.log'))
+      .sort();
     const logs = {};
     
     for (const logFile of logFiles) {
@@ -369,16 +1414,24 @@ app.listen(PORT, '0.0.0.0', () => {
   fs.ensureDir('data').catch(err => {
     logger.error('Failed to create data directory:', err);
   });
+  
+  scheduler.start().catch(err => {
+    logger.error('Failed to start the scheduler:', err);
+  });
 });
 
 // Graceful shutdown
+// A run in progress dies with the process; release its lock so the next start does not
+// have to wait for it to go stale
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  releaseRunLocks();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
+  releaseRunLocks();
   process.exit(0);
 });
 
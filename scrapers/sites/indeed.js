@@ -0,0 +1,23 @@
+module.exports = {
+  name: 'indeed',
+  label: 'Indeed',
+  baseUrl: 'https://in.indeed.com',
+
+  buildSearchUrl({ role, location, posted_within_days }, pageIndex = 0) {
+    const params = new URLSearchParams({ q: role, l: location || 'India', sort: 'date' });
+    if (posted_within_days) params.set('fromage', posted_within_days);
+    if (pageIndex > 0) params.set('start', pageIndex * 10);
+    return `https://in.indeed.com/jobs?${params}`;
+  },
+
+  // /rc/clk?jk=5f3a9c0d1e2b4a67 or /viewjob?jk=...
+  jobId(link) {
+    const match = link.match(/[?&]v?jk=([0-9a-f]+)/i);
+    return match ? match[1].toLowerCase() : null;
+  },
+
+  networkIdleTimeout: 10000,
+  autoScroll: false,
+  resultsTimeout: 8000,
+  notFoundMessage: 'No job listings found on Indeed'
+};
@@ -0,0 +1,55 @@
+const linkedin = require('./linkedin');
+const indeed = require('./indeed');
+const naukri = require('./naukri');
+
+// Site adapter registry. Each adapter describes how to drive one job board:
+//   name                 registry key, matches the key under config.sites and
+//                        the selector pack config/selectors/<name>.json
+//   label                display name, used as job.source
+//   baseUrl              prefix for relative job links
+//   buildSearchUrl(q, p) search URL for a planned { role, location, posted_within_days }
+//                        query, at zero-based results page p
+//   networkIdleTimeout   how long to wait for the results page to settle
+//   autoScroll           scroll the results page to trigger lazy loading
+//   resultsTimeout       how long to wait for the results list to appear
+//   jobId(link)          the board's own job ID from a job link, or null
+//   acceptJob(job, s)    optional post-extraction filter
+// Card, field, popup and description selectors live in the selector pack.
+const adapters = new Map();
+
+function registerSite(adapter) {
+  if (!adapter || !adapter.name) {
+    throw new Error('Site adapter must have a name');
+  }
+  adapters.set(adapter.name, adapter);
+  return adapter;
+}
+
+function getSite(name) {
+  return adapters.get(name) || null;
+}
+
+function listSites() {
+  return Array.from(adapters.keys());
+}
+
+// Resolve the adapters for every enabled entry in config.sites, in config order.
+// An entry may point at a differently named adapter via `adapter`.
+function getEnabledSites(sitesConfig = {}) {
+  return Object.entries(sitesConfig)
+    .filter(([, siteConfig]) => siteConfig && siteConfig.enabled)
+    .map(([key, siteConfig]) => ({
+      key,
+      adapter: getSite(siteConfig.adapter || key),
+      siteConfig
+    }));
+}
+
+[linkedin, indeed, naukri].forEach(registerSite);
+
+module.exports = {
+  registerSite,
+  getSite,
+  listSites,
+  getEnabledSites
+};
@@ -0,0 +1,23 @@
+module.exports = {
+  name: 'linkedin',
+  label: 'LinkedIn',
+  baseUrl: 'https://linkedin.com',
+
+  buildSearchUrl({ role, location, posted_within_days }, pageIndex = 0) {
+    const params = new URLSearchParams({ keywords: role, location: location ? `${location}, India` : 'India' });
+    if (posted_within_days) params.set('f_TPR', `r${posted_within_days * 86400}`);
+    if (pageIndex > 0) params.set('start', pageIndex * 25);
+    return `https://www.linkedin.com/jobs/search?${params}`;
+  },
+
+  // /jobs/view/senior-engineer-at-acme-3912345678 or ?currentJobId=3912345678
+  jobId(link) {
+    const match = link.match(/\/jobs\/view\/(?:[^/?]*-)?(\d+)/) || link.match(/[?&]currentJobId=(\d+)/);
+    return match ? match[1] : null;
+  },
+
+  networkIdleTimeout: 10000,
+  autoScroll: true,
+  resultsTimeout: 5000,
+  notFoundMessage: 'LinkedIn requires login or is blocking access - skipping LinkedIn scraping'
+};
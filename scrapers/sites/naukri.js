@@ -0,0 +1,32 @@
+module.exports = {
+  name: 'naukri',
+  label: 'Naukri',
+  baseUrl: 'https://www.naukri.com',
+
+  // Naukri search pages are path-based: /devops-engineer-jobs-in-bangalore, then -2, -3, ...
+  buildSearchUrl({ role, location, posted_within_days }, pageIndex = 0) {
+    const slug = value => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const params = new URLSearchParams({ k: role });
+    if (location) params.set('l', location);
+    if (posted_within_days) params.set('jobAge', posted_within_days);
+    const pathName = location ? `${slug(role)}-jobs-in-${slug(location)}` : `${slug(role)}-jobs`;
+    const pageSuffix = pageIndex > 0 ? `-${pageIndex + 1}` : '';
+    return `https://www.naukri.com/${pathName}${pageSuffix}?${params}`;
+  },
+
+  // /job-listings-backend-developer-acme-noida-3-to-5-years-150825500123
+  jobId(link) {
+    const match = link.split(/[?#]/)[0].match(/-(\d{9,})\/?$/);
+    return match ? match[1] : null;
+  },
+
+  networkIdleTimeout: 12000,
+  autoScroll: true,
+  resultsTimeout: 5000,
+  notFoundMessage: 'No job listings found on Naukri',
+
+  // Naukri pads city searches with listings from other cities
+  acceptJob(job, scraper) {
+    return scraper.isRelevantLocation(job.location);
+  }
+};
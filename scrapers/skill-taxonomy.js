@@ -0,0 +1,111 @@
+// Canonical skill names from config/skills-taxonomy.json. Every spelling of a skill
+// ("JS", "Javascript", "ECMAScript") resolves to one entry with a category, so skills
+// from resumes, config and LLM output can be matched and counted together.
+
+const taxonomy = require('../config/skills-taxonomy.json');
+
+const CATEGORY_LABELS = taxonomy.categories || {};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive match that copes with punctuation in skill names
+// ("C++", "Node.js", ".NET") and treats "NodeJS" / "Node.js" / "node js" alike
+function skillPattern(skill, flags = 'i') {
+  const body = escapeRegExp(String(skill).trim())
+    .replace(/\\\.js$/i, '(?:\\.?\\s?js)')
+    .replace(/\s+/g, '[\\s-]*');
+  return new RegExp(`(?<![\\w+#.])${body}(?![\\w+#])`, flags);
+}
+
+// "Node.js", "nodejs" and "Node JS" share a key; "C++" and "C#" keep their symbols
+function lookupKey(name) {
+  return String(name || '').toLowerCase().replace(/[\s._-]+/g, '');
+}
+
+const byKey = new Map();
+taxonomy.skills.forEach(entry => {
+  [entry.name, ...(entry.aliases || [])].forEach(name => {
+    if (!byKey.has(lookupKey(name))) byKey.set(lookupKey(name), entry);
+  });
+});
+
+// Patterns used to find an entry in free text. Names that are also everyday words
+// ("Go", "Express", "Rails") are listed under case_sensitive and only match as written.
+const prosePatterns = new Map();
+function patternsFor(entry) {
+  if (!prosePatterns.has(entry)) {
+    const caseSensitive = entry.case_sensitive || [];
+    prosePatterns.set(entry, [entry.name, ...(entry.aliases || [])].map(name =>
+      skillPattern(name, caseSensitive.includes(name) ? '' : 'i')
+    ));
+  }
+  return prosePatterns.get(entry);
+}
+
+// Taxonomy entry for any spelling of a skill, or null when the skill is not in it
+function canonicalSkill(name) {
+  return byKey.get(lookupKey(name)) || null;
+}
+
+// Canonical name, or the trimmed input for skills the taxonomy does not know
+function normalizeSkill(name) {
+  const entry = canonicalSkill(name);
+  return entry ? entry.name : String(name || '').trim();
+}
+
+// Canonical names with duplicates and blanks removed, first occurrence order kept
+function normalizeSkillList(names = []) {
+  const seen = new Set();
+  const result = [];
+  names.forEach(name => {
+    const skill = normalizeSkill(name);
+    if (skill && !seen.has(skill.toLowerCase())) {
+      seen.add(skill.toLowerCase());
+      result.push(skill);
+    }
+  });
+  return result;
+}
+
+function skillCategory(name) {
+  const entry = canonicalSkill(name);
+  return entry ? entry.category : 'other';
+}
+
+function categoryLabel(category) {
+  return CATEGORY_LABELS[category] || 'Other';
+}
+
+// Patterns for every name of the skill; just the name itself when it is not in the taxonomy
+function skillPatterns(skill) {
+  const entry = canonicalSkill(skill);
+  return entry ? patternsFor(entry) : [skillPattern(skill)];
+}
+
+// Does the text mention the skill under any of its names?
+function mentionsSkill(text, skill) {
+  return skillPatterns(skill).some(pattern => pattern.test(text || ''));
+}
+
+// Every taxonomy skill mentioned in the text → [{ name, category }]
+function extractSkills(text) {
+  return taxonomy.skills
+    .filter(entry => patternsFor(entry).some(pattern => pattern.test(text || '')))
+    .map(entry => ({ name: entry.name, category: entry.category }));
+}
+
+module.exports = {
+  TAXONOMY_VERSION: taxonomy.version,
+  CATEGORY_LABELS,
+  skillPattern,
+  skillPatterns,
+  canonicalSkill,
+  normalizeSkill,
+  normalizeSkillList,
+  skillCategory,
+  categoryLabel,
+  mentionsSkill,
+  extractSkills
+};
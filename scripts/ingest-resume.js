@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+// Build the candidate profile from a resume.
+//
+// Usage: node scripts/ingest-resume.js <resume.pdf|.docx|.md|.txt> [--profile <name>] [--out <file>] [--dry-run]
+//
+// Writes the profile to config.user.profile_file (data/profile.json by default), or to
+// the named profile's file (data/profiles/<name>/profile.json). Review it afterwards:
+// proficiency and titles are inferred, and hand edits are kept until the next ingest.
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const { parseResume } = require('../scrapers/resume-parser');
+const { getProfile } = require('../scrapers/profiles');
+
+function log(msg, type = 'info') {
+  const colors = { info: '\x1b[36m', success: '\x1b[32m', warning: '\x1b[33m', error: '\x1b[31m', reset: '\x1b[0m' };
+  const prefix = type === 'success' ? '✅' : type === 'warning' ? '⚠️' : type === 'error' ? '❌' : 'ℹ️';
+  console.log(`${colors[type] || ''}${prefix} ${msg}${colors.reset}`);
+}
+
+function parseArgs(argv) {
+  const args = { file: null, out: null, profile: undefined, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile') {
+      args.profile = argv[++i];
+    } else if (argv[i] === '--out') {
+      args.out = path.resolve(argv[++i]);
+    } else if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else {
+      args.file = path.resolve(argv[i]);
+    }
+  }
+  return args;
+}
+
+(async () => {
+  const { file, profile: profileName, out: outFile, dryRun } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    log('Usage: node scripts/ingest-resume.js <resume.pdf|.docx|.md|.txt> [--profile <name>] [--out <file>] [--dry-run]', 'error');
+    process.exit(1);
+  }
+  const searchProfile = getProfile(profileName);
+  if (!searchProfile) {
+    log(`Unknown profile "${profileName}"`, 'error');
+    process.exit(1);
+  }
+  const out = outFile || searchProfile.resume_profile_file;
+  if (!await fs.pathExists(file)) {
+    log(`Resume not found: ${file}`, 'error');
+    process.exit(1);
+  }
+
+  log(`Reading ${path.basename(file)}...`);
+  const profile = await parseResume(file);
+
+  const skillList = profile.skills.map(skill => `${skill.name} (${skill.proficiency})`).join(', ');
+  log(`Skills (${profile.skills.length}): ${skillList || 'none found'}`, profile.skills.length ? 'info' : 'warning');
+  log(`Experience: ${profile.years_experience === null ? 'unknown' : `${profile.years_experience} years (${profile.experience_level})`}`, profile.years_experience === null ? 'warning' : 'info');
+  log(`Past titles: ${profile.past_titles.join(', ') || 'none found'}`, profile.past_titles.length ? 'info' : 'warning');
+  log(`Domains: ${profile.domains.join(', ') || 'none found'}`);
+  log(`Education: ${profile.education.map(entry => entry.degree).join('; ') || 'none found'}`);
+
+  if (dryRun) {
+    console.log(JSON.stringify(profile, null, 2));
+    return;
+  }
+
+  await fs.ensureDir(path.dirname(out));
+  await fs.writeJson(out, profile, { spaces: 2 });
+  log(`Profile written to ${out}. Review it - the analyzer uses it from the next run.`, 'success');
+})().catch(err => {
+  log(err.message || String(err), 'error');
+  process.exit(1);
+});
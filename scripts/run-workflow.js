@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 
-// One-command runner: scrape -> analyze -> email
+// One-command runner: scrape -> analyze -> alert -> notify (email and any other enabled channels)
+//
+// Usage: node scripts/run-workflow.js [--profile <name>]
 
 const fs = require('fs-extra');
 const path = require('path');
@@ -8,8 +10,15 @@ require('dotenv').config();
 
 const JobScraper = require('../scrapers/index');
 const AIJobAnalyzer = require('../scrapers/ai-analyzer');
-const EmailService = require('../scrapers/email-service');
-const config = require('../config/config.json');
+const JobStore = require('../scrapers/job-store');
+const SemanticRanker = require('../scrapers/semantic-ranker');
+const RunHistory = require('../scrapers/run-history');
+const { newRunId, acquireRunLock, releaseRunLock, readRunLock } = require('../scrapers/run-manager');
+const { filterJobs } = require('../scrapers/job-filter');
+const { getProfile, listProfiles, searchCriteria } = require('../scrapers/profiles');
+const { loadCandidateProfile } = require('../scrapers/candidate-profile');
+const { notify } = require('../scrapers/notifiers');
+const { sendAlerts } = require('../scrapers/alerts');
 
 function log(msg, type = 'info') {
   const colors = { info: '\x1b[36m', success: '\x1b[32m', warning: '\x1b[33m', error: '\x1b[31m', reset: '\x1b[0m' };
@@ -17,64 +26,230 @@ function log(msg, type = 'info') {
   console.log(`${colors[type] || ''}${prefix} ${msg}${colors.reset}`);
 }
 
+// --profile <name> runs one profile; by default every configured profile is run
+function profileArg(argv) {
+  const index = argv.indexOf('--profile');
+  return index === -1 ? null : argv[index + 1];
+}
+
+const profileName = profileArg(process.argv.slice(2));
+const profiles = profileName ? [getProfile(profileName)].filter(Boolean) : listProfiles();
+if (profiles.length === 0) {
+  log(`Unknown profile "${profileName}"`, 'error');
+  process.exit(1);
+}
+
+const run = {
+  id: newRunId(),
+  type: 'workflow',
+  trigger: 'cli',
+  profiles: profiles.map(profile => profile.name),
+  started_at: new Date().toISOString()
+};
+const scraper = new JobScraper(searchCriteria(profiles));
+
+// Add this run to the run history the dashboard shows, release the run lock, then exit
+async function finish(code, fields) {
+  try {
+    await new RunHistory().record({ ...run, sites: scraper.siteStats, ...fields });
+  } catch (_) {}
+  releaseRunLock(run.id);
+  process.exit(code);
+}
+
+// Stopping the container must not leave the lock behind
+['SIGTERM', 'SIGINT'].forEach(signal => process.on(signal, () => {
+  log(`${signal} received, stopping`, 'warning');
+  scraper.cancel().catch(() => {});
+  finish(1, { status: 'cancelled', error: `Stopped by ${signal}` });
+}));
+
+// Store, filter, rank, analyze, alert and notify for one profile over the scraped jobs
+async function runProfile(profile, jobs) {
+  const plog = (msg, type) => log(profiles.length > 1 ? `[${profile.name}] ${msg}` : msg, type);
+
+  const store = await new JobStore(profile.jobs_file).load();
+  const { newJobs, rankedOutJobs, unreportedJobs, closedJobs } = store.recordScrape(jobs);
+  await store.save();
+  plog(`New since last run: ${newJobs.length} (closed: ${closedJobs.length})`, newJobs.length > 0 ? 'success' : 'warning');
+  if (rankedOutJobs.length > 0) {
+    plog(`Left out by an earlier semantic pre-rank, ranked again: ${rankedOutJobs.length}`);
+  }
+  if (unreportedJobs.length > 0) {
+    plog(`Relevant jobs not yet reported by an earlier run: ${unreportedJobs.length}`, 'warning');
+  }
+
+  if (newJobs.length === 0 && rankedOutJobs.length === 0 && unreportedJobs.length === 0) {
+    plog('No new jobs to analyze.', 'warning');
+    return { message: 'No new jobs since the last run', jobs_new: 0, jobs_closed: closedJobs.length };
+  }
+
+  const filterResult = filterJobs(newJobs, profile.filters);
+  store.recordFiltered(filterResult.rejected);
+  await store.save();
+  const removedBy = Object.entries(filterResult.summary.by_filter)
+    .filter(([, count]) => count > 0)
+    .map(([name, count]) => `${name}=${count}`)
+    .join(' ');
+  plog(`Filters removed ${filterResult.summary.removed}/${newJobs.length} jobs${removedBy ? ` (${removedBy})` : ''}`);
+  Object.entries(filterResult.summary.no_data)
+    .forEach(([name, count]) => plog(`${name}: ${count} jobs kept with no data to check`));
+
+  // Jobs an earlier pre-rank left out passed the filters then and compete for a place again
+  const candidates = [...filterResult.accepted, ...rankedOutJobs];
+  if (candidates.length === 0 && unreportedJobs.length === 0) {
+    plog('All new jobs were removed by filters.', 'warning');
+    return { message: 'All new jobs were removed by filters', jobs_new: newJobs.length, jobs_filtered: filterResult.summary.removed };
+  }
+
+  const rankResult = await new SemanticRanker().preRank(candidates, store, loadCandidateProfile(profile));
+  store.recordRankedOut(rankResult.rejected);
+  await store.save();
+  if (rankResult.summary.error) {
+    plog(`Semantic pre-rank skipped: ${rankResult.summary.error}`, 'warning');
+  } else if (rankResult.summary.enabled) {
+    plog(`Semantic pre-rank kept ${rankResult.accepted.length}/${candidates.length} jobs (top ${rankResult.summary.top_n})`);
+  }
+
+  const analyzer = new AIJobAnalyzer(profile);
+  if (rankResult.accepted.length > 0) {
+    plog('Checking AI service/model...');
+    const connected = await analyzer.testConnection();
+    if (!connected) {
+      plog('AI service not available or model missing. Using fallback scoring.', 'warning');
+      analyzer.forceFallback = true;
+    }
+  }
+
+  plog(`Analyzing ${rankResult.accepted.length} new jobs with AI...`);
+  const analysisResult = await analyzer.analyzeBatch(rankResult.accepted, { unreported: unreportedJobs });
+  analysisResult.analysis_summary.filters = filterResult.summary;
+  analysisResult.analysis_summary.semantic_rank = rankResult.summary;
+  await fs.ensureDir(path.dirname(profile.analysis_result_file));
+  await fs.writeJson(profile.analysis_result_file, analysisResult, { spaces: 2 });
+  store.recordAnalysis(analysisResult.all_jobs);
+  await store.save();
+  plog(`Relevant jobs: ${analysisResult.relevant_jobs.length}/${analysisResult.all_jobs.length}`, 'success');
+
+  const alerts = await sendAlerts(profile, store, analysisResult.all_jobs);
+  await store.save();
+  if (alerts.matched > 0) {
+    plog(`Alerts: ${alerts.sent} sent, ${alerts.held} held for quiet hours, ${alerts.capped} over the daily cap, ${alerts.failed} failed`, alerts.failed > 0 ? 'warning' : 'success');
+  }
+
+  plog('Sending notifications...');
+  const delivery = await notify(profile, analysisResult);
+  delivery.channels.forEach(channel => {
+    if (channel.status === 'sent') plog(`${channel.channel}: sent ${channel.job_count} jobs${channel.message_id ? ` (message ID ${channel.message_id})` : ''}`, 'success');
+    else if (channel.status === 'failed') plog(`${channel.channel}: ${channel.error}`, 'error');
+    else plog(`${channel.channel}: skipped (${channel.reason})`, 'warning');
+  });
+  store.markReported(delivery.reported_jobs);
+  await store.save();
+
+  await fs.ensureDir(path.dirname(profile.workflow_result_file));
+  await fs.writeJson(profile.workflow_result_file, {
+    profile: profile.name,
+    ...analysisResult,
+    workflow_completed_at: new Date().toISOString()
+  }, { spaces: 2 });
+
+  const failed = delivery.channels.filter(channel => channel.status === 'failed');
+  if (failed.length > 0 && failed.length === delivery.channels.filter(channel => channel.status !== 'skipped').length) {
+    throw new Error(`Every notification channel failed: ${failed.map(channel => channel.channel).join(', ')}`);
+  }
+
+  const summary = analysisResult.analysis_summary || {};
+  return {
+    message: 'Workflow completed successfully',
+    jobs_new: newJobs.length,
+    jobs_filtered: filterResult.summary.removed,
+    jobs_ranked_out: rankResult.summary.removed,
+    jobs_analyzed: summary.total_analyzed,
+    jobs_unreported: unreportedJobs.length,
+    relevant_jobs: summary.relevant_count || 0,
+    average_score: summary.average_score,
+    cache: summary.cache,
+    alerts_sent: alerts.sent,
+    notifications: Object.fromEntries(delivery.channels.map(channel => [channel.channel, channel.status]))
+  };
+}
+
 (async () => {
+  // The server's scrape and workflow runs take the same lock
+  if (!acquireRunLock(run)) {
+    const lock = readRunLock();
+    log(lock
+      ? `A ${lock.type} run is already in progress (run ${lock.run_id}, pid ${lock.pid}). Exiting.`
+      : 'Another run is already in progress. Exiting.', 'error');
+    process.exit(1);
+  }
+
   try {
     await fs.ensureDir(path.join(__dirname, '../data'));
 
-    log('Starting job scraping...');
-    const scraper = new JobScraper();
+    log(`Starting job scraping for ${run.profiles.join(', ')}...`);
     const jobs = await scraper.scrapeAllSites();
+    // Stopped mid-scrape: the signal handler records the run as cancelled and exits
+    if (scraper.cancelled) return;
     await fs.writeJson(path.join(__dirname, '../data/raw-jobs.json'), jobs, { spaces: 2 });
     log(`Scraped ${jobs.length} unique jobs`, jobs.length > 0 ? 'success' : 'warning');
 
     if (jobs.length === 0) {
       log('No jobs found to analyze. Exiting.', 'warning');
-      process.exit(0);
+      await finish(0, { status: 'success', summary: { message: 'No jobs found to analyze', jobs_scraped: 0 } });
     }
 
-    const analyzer = new AIJobAnalyzer();
-    log('Checking AI service/model...');
-    const connected = await analyzer.testConnection();
-    if (!connected) {
-      log('AI service not available or model missing. Using fallback scoring.', 'warning');
-      analyzer.forceFallback = true;
+    // One profile failing does not stop the others; the run is partial when some failed
+    const results = [];
+    for (const profile of profiles) {
+      try {
+        results.push({ status: 'success', ...await runProfile(profile, jobs) });
+      } catch (err) {
+        log(`[${profile.name}] ${err.message || err}`, 'error');
+        results.push({ status: 'failed', message: err.message || String(err), error: err.message || String(err) });
+      }
     }
-
-    log(`Analyzing ${jobs.length} jobs with AI...`);
-    const analysisResult = await analyzer.analyzeBatch(jobs);
-    await fs.writeJson(path.join(__dirname, '../data/analyzed-jobs.json'), analysisResult, { spaces: 2 });
-    log(`Relevant jobs: ${analysisResult.relevant_jobs.length}/${jobs.length}`, 'success');
-
-    const emailService = new EmailService();
-    log('Verifying email configuration...');
-    const mailOk = await emailService.testConnection();
-    if (!mailOk) throw new Error('Email service not configured or unreachable');
-
-    const sendIfEmpty = (config.email && config.email.send_empty_reports) === true;
-    if (analysisResult.relevant_jobs.length === 0 && !sendIfEmpty) {
-      log('No relevant jobs found. Skipping email (empty reports disabled).', 'warning');
-    } else {
-      log('Sending email report...');
-      const result = await emailService.sendJobReport(analysisResult);
-      if (!result.success) throw new Error(`Email failed: ${result.error}`);
-      log(`Email sent. Message ID: ${result.messageId}`, 'success');
+    const failures = results
+      .map((result, index) => ({ profile: profiles[index].name, error: result.error }))
+      .filter(failure => failure.error);
+    if (failures.length === results.length) {
+      throw new Error(failures.length === 1 ? failures[0].error : failures.map(failure => `${failure.profile}: ${failure.error}`).join('; '));
     }
 
-    await fs.writeJson(path.join(__dirname, '../data/workflow-result.json'), {
-      ...analysisResult,
-      workflow_completed_at: new Date().toISOString()
-    }, { spaces: 2 });
-
     // Summary
-    const summary = analysisResult.analysis_summary || {};
-    const line = `SCRAPED=${jobs.length} RELEVANT=${summary.relevant_count || 0} AVG=${(summary.average_score || 0).toFixed ? summary.average_score.toFixed(2) : summary.average_score}`;
-    log(`Done. ${line}`,'success');
-    try { await fs.appendFile(path.join(__dirname, '../data/runner.log'), `${new Date().toISOString()} ${line}\n`); } catch (_) {}
-    process.exit(0);
+    const total = field => results.reduce((sum, result) => sum + (result[field] || 0), 0);
+    const lines = results.map((result, index) => {
+      const average = typeof result.average_score === 'number' ? result.average_score.toFixed(2) : 0;
+      const profileField = profiles.length > 1 ? `PROFILE=${profiles[index].name} ` : '';
+      if (result.error) return `${profileField}FAILED=${JSON.stringify(result.error)}`;
+      return `${profileField}SCRAPED=${jobs.length} NEW=${result.jobs_new || 0} FILTERED=${result.jobs_filtered || 0} RANKED_OUT=${result.jobs_ranked_out || 0} RELEVANT=${result.relevant_jobs || 0} CACHED=${(result.cache && result.cache.hits) || 0} AVG=${average}`;
+    });
+    lines.forEach((line, index) => log(`Done. ${line}`, results[index].error ? 'error' : 'success'));
+    try { await fs.appendFile(path.join(__dirname, '../data/runner.log'), lines.map(line => `${new Date().toISOString()} ${line}\n`).join('')); } catch (_) {}
+    const profileSummaries = results.map((result, index) => ({ profile: profiles[index].name, ...result }));
+    const error = failures.length > 0
+      ? `Workflow failed for ${failures.map(failure => `${failure.profile} (${failure.error})`).join(', ')}`
+      : undefined;
+    await finish(error ? 1 : 0, {
+      status: error ? 'partial' : 'success',
+      error,
+      summary: results.length === 1
+        ? { jobs_scraped: jobs.length, ...results[0], profiles: profileSummaries }
+        : {
+          message: `Workflow completed for ${results.length - failures.length}/${results.length} profiles`,
+          jobs_scraped: jobs.length,
+          jobs_new: total('jobs_new'),
+          jobs_filtered: total('jobs_filtered'),
+          jobs_analyzed: total('jobs_analyzed'),
+          relevant_jobs: total('relevant_jobs'),
+          profiles: profileSummaries
+        }
+    });
   } catch (err) {
     const msg = err.message || String(err);
     log(msg, 'error');
     try { await fs.appendFile(path.join(__dirname, '../data/runner.log'), `${new Date().toISOString()} ERROR ${msg}\n`); } catch (_) {}
-    process.exit(1);
+    await finish(1, { status: 'failed', error: msg });
   }
 })();
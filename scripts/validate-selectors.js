@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+// Check selector packs against saved HTML fixtures.
+//
+// Usage: node scripts/validate-selectors.js [site ...] [--fixtures <dir>]
+//
+// Fixtures live in config/selectors/fixtures/<site>/ by default. Save a results page as
+// results-*.html and a job detail page as detail-*.html (e.g. from the browser's
+// "Save page as" or Playwright's page.content()). A pack without fixtures fails.
+
+const fs = require('fs-extra');
+const path = require('path');
+const cheerio = require('cheerio');
+
+const { listSites } = require('../scrapers/sites');
+const { normalizeChain, validatePackShape, OPTIONAL_FIELDS, PACKS_DIR } = require('../scrapers/selector-packs');
+
+function log(msg, type = 'info') {
+  const colors = { info: '\x1b[36m', success: '\x1b[32m', warning: '\x1b[33m', error: '\x1b[31m', reset: '\x1b[0m' };
+  const prefix = type === 'success' ? '✅' : type === 'warning' ? '⚠️' : type === 'error' ? '❌' : 'ℹ️';
+  console.log(`${colors[type] || ''}${prefix} ${msg}${colors.reset}`);
+}
+
+function parseArgs(argv) {
+  const args = { sites: [], fixturesDir: path.join(PACKS_DIR, 'fixtures') };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--fixtures') {
+      args.fixturesDir = path.resolve(argv[++i]);
+    } else {
+      args.sites.push(argv[i]);
+    }
+  }
+  if (args.sites.length === 0) args.sites = listSites();
+  return args;
+}
+
+function readEntry($el, entry) {
+  const value = entry.attribute ? $el.attr(entry.attribute) : $el.text();
+  return value && value.trim() !== '' ? value.trim() : null;
+}
+
+// First entry in the chain that matches anything in the scope
+function firstMatch($, scope, chain) {
+  for (const entry of chain) {
+    const found = scope ? $(scope).find(entry.selector) : $(entry.selector);
+    if (found.length > 0) return { entry, found };
+  }
+  return null;
+}
+
+function checkResultsPage($, pack) {
+  const problems = [];
+
+  const results = firstMatch($, null, normalizeChain(pack.results));
+  if (!results) problems.push('no "results" selector matched');
+
+  const cards = firstMatch($, null, normalizeChain(pack.card));
+  if (!cards) {
+    problems.push('no "card" selector matched');
+    return { problems };
+  }
+  log(`    card: "${cards.entry.selector}" matched ${cards.found.length} cards`);
+
+  Object.entries(pack.fields || {}).forEach(([name, rawChain]) => {
+    const chain = normalizeChain(rawChain);
+    const used = {};
+    let hits = 0;
+
+    cards.found.each((_, card) => {
+      for (const entry of chain) {
+        const value = readEntry($(card).find(entry.selector).first(), entry);
+        if (value) {
+          hits++;
+          used[entry.selector] = (used[entry.selector] || 0) + 1;
+          break;
+        }
+      }
+    });
+
+    const detail = Object.entries(used).map(([selector, count]) => `"${selector}" x${count}`).join(', ');
+    if (hits === 0 && OPTIONAL_FIELDS.includes(name)) {
+      log(`    ${name} (optional): 0/${cards.found.length}`, 'warning');
+    } else if (hits === 0) {
+      problems.push(`field "${name}" matched on no cards`);
+      log(`    ${name}: 0/${cards.found.length}`, 'error');
+    } else {
+      log(`    ${name}: ${hits}/${cards.found.length} via ${detail}`, hits === cards.found.length ? 'success' : 'warning');
+    }
+  });
+
+  return { problems };
+}
+
+function checkDetailPage($, pack) {
+  for (const entry of normalizeChain(pack.description)) {
+    const value = readEntry($(entry.selector).first(), entry);
+    if (value) {
+      log(`    description: "${entry.selector}" (${value.length} chars)`, 'success');
+      return { problems: [] };
+    }
+  }
+  return { problems: ['no "description" selector matched'] };
+}
+
+async function validateSite(site, fixturesDir) {
+  const packPath = path.join(PACKS_DIR, `${site}.json`);
+  if (!await fs.pathExists(packPath)) {
+    log(`${site}: no selector pack at ${packPath}`, 'error');
+    return false;
+  }
+
+  const pack = await fs.readJson(packPath);
+  const shapeErrors = validatePackShape(pack, site);
+  if (shapeErrors.length > 0) {
+    shapeErrors.forEach(err => log(err, 'error'));
+    return false;
+  }
+  log(`${site}: selector pack v${pack.version}`);
+
+  const siteFixtures = path.join(fixturesDir, site);
+  const files = (await fs.pathExists(siteFixtures))
+    ? (await fs.readdir(siteFixtures)).filter(file => file.endsWith('.html')).sort()
+    : [];
+  // A pack without fixtures has only its shape checked, which catches no broken selector
+  if (files.length === 0) {
+    log(`  no fixtures in ${siteFixtures} - save a results page and a job page there`, 'error');
+    return false;
+  }
+  ['results', 'detail'].filter(kind => !files.some(file => file.startsWith(kind))).forEach(kind => {
+    log(`  no ${kind}-*.html fixture - its selectors are not checked`, 'warning');
+  });
+
+  let ok = true;
+  for (const file of files) {
+    log(`  ${file}`);
+    const $ = cheerio.load(await fs.readFile(path.join(siteFixtures, file), 'utf8'));
+    const { problems } = file.startsWith('detail')
+      ? checkDetailPage($, pack)
+      : checkResultsPage($, pack);
+
+    problems.forEach(problem => log(`    ${problem}`, 'error'));
+    if (problems.length > 0) ok = false;
+  }
+  return ok;
+}
+
+(async () => {
+  const { sites, fixturesDir } = parseArgs(process.argv.slice(2));
+  let failed = 0;
+
+  for (const site of sites) {
+    if (!await validateSite(site, fixturesDir)) failed++;
+  }
+
+  if (failed > 0) {
+    log(`${failed}/${sites.length} selector packs failed validation`, 'error');
+    process.exit(1);
+  }
+  log(`All ${sites.length} selector packs passed`, 'success');
+})().catch(err => {
+  log(err.message || String(err), 'error');
+  process.exit(1);
+});
@@ -173,6 +173,8 @@ async function main() {
   log('4. Login with: admin / admin123', 'info');
   log('5. Import workflow from workflows/daily-job-scraper.json', 'info');
   log('6. Activate the workflow for daily automation', 'info');
+  log('\nOptional: build your profile from your resume for better matching:', 'info');
+  log('- npm run ingest-resume -- path/to/resume.pdf', 'info');
   log('\nManual testing:', 'info');
   log('- Test scraping: npm run scrape', 'info');
   log('- View logs: npm run logs', 'info');
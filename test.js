@@ -3,6 +3,7 @@
 const axios = require('axios');
 const fs = require('fs-extra');
 const path = require('path');
+const os = require('os');
 require('dotenv').config();
 const config = require('./config/config.json');
 
@@ -21,11 +22,9 @@ class SystemTester {
   constructor() {
     this.scraperUrl = process.env.SCRAPER_BASE_URL || 'http://localhost:3000';
     this.n8nUrl = process.env.N8N_BASE_URL || 'http://localhost:5678';
-    this.ollamaUrl = process.env.OLLAMA_HOST || 'http://localhost:11434';
-    this.model = process.env.OLLAMA_MODEL || (config.ai_analysis && config.ai_analysis.model) || 'llama3.1';
     this.results = {
       scraper: false,
-      ollama: false,
+      llm: false,
       n8n: false,
       email: false,
       workflow: false
@@ -50,28 +49,227 @@ class SystemTester {
     }
   }
 
-  async testOllamaService() {
-    log('🤖 Testing Ollama AI Service...', 'info');
+  async testLLMService() {
+    const { createProvider } = require('./scrapers/llm-providers');
+    const provider = createProvider(config.ai_analysis);
+    log(`🤖 Testing AI Service (${provider.name})...`, 'info');
+
+    const { ok, models, error } = await provider.healthCheck();
+    if (ok) {
+      log(`✅ ${provider.label} is running with model: ${provider.model}`, 'success');
+      this.results.llm = true;
+      return true;
+    }
+
+    log(`❌ ${provider.label} check failed: ${error}`, 'error');
+    if (models.length > 0) {
+      log('Available models:', 'info');
+      models.forEach(model => log(`  - ${model}`, 'info'));
+    }
+    if (provider.name.startsWith('ollama')) {
+      log('💡 Tip: Ollama might still be downloading the model. Wait a few minutes.', 'warning');
+    }
+    return false;
+  }
+
+  // Exercise every provider adapter against a local stand-in for each server's API
+  async testLLMProviders() {
+    log('🔌 Testing LLM Provider Adapters...', 'info');
+    const express = require('express');
+    const { createProvider, listProviders } = require('./scrapers/llm-providers');
+
+    const mock = express();
+    mock.use(express.json());
+    const reply = body => `mock reply to: ${body.prompt || body.messages[0].content}`;
+    mock.get('/api/tags', (req, res) => res.json({ models: [{ name: 'mock-model:latest' }] }));
+    mock.post('/api/generate', (req, res) => res.json({ response: reply(req.body), done: true }));
+    mock.post('/api/chat', (req, res) => res.json({ message: { role: 'assistant', content: reply(req.body) }, done: true }));
+    mock.get('/v1/models', (req, res) => res.json({ object: 'list', data: [{ id: 'mock-model' }] }));
+    mock.post('/v1/chat/completions', (req, res) => res.json({
+      choices: [{ index: 0, message: { role: 'assistant', content: reply(req.body) }, finish_reason: 'stop' }]
+    }));
+    mock.get('/health', (req, res) => res.json({ status: 'ok' }));
+    mock.post('/completion', (req, res) => res.json({ content: reply(req.body), stop: true }));
+    const vector = [0.1, 0.2, 0.3];
+    mock.post('/api/embeddings', (req, res) => res.json({ embedding: vector }));
+    mock.post('/v1/embeddings', (req, res) => res.json({ data: [{ index: 0, embedding: vector }] }));
+    mock.post('/embedding', (req, res) => res.json([{ index: 0, embedding: [vector] }]));
+
+    const server = await new Promise(resolve => {
+      const listening = mock.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const root = `http://127.0.0.1:${server.address().port}`;
+    const baseUrls = { openai: `${root}/v1` };
+
+    let failed = 0;
     try {
-      const response = await axios.get(`${this.ollamaUrl}/api/tags`, { timeout: 10000 });
-      const models = response.data.models || [];
-      const hasModel = this.model ? models.some(model => model.name.includes(this.model)) : models.length > 0;
-      
-      if (hasModel) {
-        log(`✅ Ollama service is running with model: ${this.model}`, 'success');
-        this.results.ollama = true;
-        return true;
-      } else {
-        log(`⚠️ Ollama is running but model not found: ${this.model}`, 'warning');
-        log('Available models:', 'info');
-        models.forEach(model => log(`  - ${model.name}`, 'info'));
-        return false;
+      for (const name of listProviders()) {
+        const provider = createProvider({ provider: name, base_url: baseUrls[name] || root, model: 'mock-model' }, {});
+        try {
+          const health = await provider.healthCheck();
+          const models = await provider.listModels();
+          const text = await provider.generate('ping');
+          const embedding = await provider.embed('ping');
+          if (health.ok && models.length > 0 && text === 'mock reply to: ping' && embedding.length === vector.length) {
+            log(`  ✅ ${name}: health ok, ${models.length} model(s), generate ok, embed ok`, 'success');
+          } else {
+            failed++;
+            log(`  ❌ ${name}: health=${health.ok} models=${models.length} reply="${text}" embedding=${embedding.length}`, 'error');
+          }
+        } catch (error) {
+          failed++;
+          log(`  ❌ ${name}: ${error.message}`, 'error');
+        }
       }
-    } catch (error) {
-      log(`❌ Ollama service connection failed: ${error.message}`, 'error');
-      log('💡 Tip: Ollama might still be downloading the model. Wait a few minutes.', 'warning');
-      return false;
+
+      const down = createProvider({ provider: 'ollama', base_url: 'http://127.0.0.1:1', model: 'mock-model' }, {});
+      const downHealth = await down.healthCheck();
+      if (downHealth.ok) {
+        failed++;
+        log('  ❌ health check passed against a server that is not running', 'error');
+      }
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    if (failed === 0) {
+      log('✅ All LLM provider adapters work against the mock server', 'success');
+      return true;
+    }
+    return false;
+  }
+
+  async testNotifiers() {
+    log('📣 Testing Notification Channels...', 'info');
+    const crypto = require('crypto');
+    const express = require('express');
+    const { notify } = require('./scrapers/notifiers');
+    const { sendAlerts } = require('./scrapers/alerts');
+    const JobStore = require('./scrapers/job-store');
+
+    // Stand-in for the Slack, Discord and Teams webhooks, the Telegram Bot API and a
+    // webhook receiver: records what each channel posted
+    const received = {};
+    const mock = express();
+    mock.use(express.json({ verify: (req, res, raw) => { req.rawBody = raw.toString(); } }));
+    ['slack', 'discord', 'teams', 'hook'].forEach(route => mock.post(`/${route}`, (req, res) => {
+      received[route] = { body: req.body, raw: req.rawBody, headers: req.headers };
+      res.send('ok');
+    }));
+    mock.post('/bot:token/sendMessage', (req, res) => {
+      received.telegram = { token: req.params.token, body: req.body };
+      res.json({ ok: true, result: { message_id: 42 } });
+    });
+    mock.post('/broken', (req, res) => res.status(500).send('boom'));
+
+    const server = await new Promise(resolve => {
+      const listening = mock.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const root = `http://127.0.0.1:${server.address().port}`;
+
+    const job = (title, score) => ({
+      id: `test:${title.toLowerCase().replace(/\W+/g, '-')}`,
+      title,
+      company: 'Acme',
+      location: 'Noida',
+      source: 'Test',
+      link: `https://example.com/${encodeURIComponent(title)}`,
+      ai_analysis: { relevance_score: score, summary: `Summary for ${title} <b>`, key_skills: ['Node.js'] }
+    });
+    const analysisResult = {
+      all_jobs: [job('Senior Node Engineer', 9), job('Backend Developer', 7.5), job('QA Intern', 4)],
+      relevant_jobs: [job('Senior Node Engineer', 9), job('Backend Developer', 7.5)],
+      analysis_summary: { relevant_count: 2 }
+    };
+    const profile = {
+      name: 'default',
+      label: 'Test Candidate',
+      email_to: [],
+      notifications: {
+        slack: { enabled: true, webhook_url: `${root}/slack`, min_score: 8 },
+        discord: { enabled: true, webhook_url: `${root}/discord` },
+        teams: { enabled: true, webhook_url: `${root}/teams`, max_jobs: 1 },
+        telegram: { enabled: true, bot_token: '123:abc', chat_id: 99, api_url: root },
+        hook: { type: 'webhook', enabled: true, url: `${root}/hook`, secret: 'test-secret', min_score: 0 },
+        broken: { type: 'slack', enabled: true, webhook_url: `${root}/broken` },
+        unset: { type: 'discord', enabled: true },
+        off: { type: 'slack', enabled: false, webhook_url: `${root}/slack` }
+      }
+    };
+
+    const checks = [];
+    const check = (name, ok) => checks.push({ name, ok: !!ok });
+    try {
+      const delivery = await notify(profile, analysisResult, { env: {} });
+      const status = Object.fromEntries(delivery.channels.map(channel => [channel.channel, channel.status]));
+
+      check('slack sent only jobs scoring 8+', status.slack === 'sent'
+        && received.slack.body.blocks.filter(block => block.type === 'section').length === 1
+        && received.slack.body.blocks[1].text.text.includes('&lt;b&gt;'));
+      check('discord sent one embed per relevant job', status.discord === 'sent' && received.discord.body.embeds.length === 2);
+      const card = status.teams === 'sent' && received.teams.body.attachments[0].content;
+      check('teams sent an Adaptive Card cut to max_jobs', card && card.type === 'AdaptiveCard'
+        && card.body.filter(item => item.type === 'Container').length === 1);
+      check('telegram sent HTML to the chat', status.telegram === 'sent' && received.telegram.token === '123:abc'
+        && received.telegram.body.chat_id === '99' && received.telegram.body.parse_mode === 'HTML'
+        && received.telegram.body.text.includes('&lt;b&gt;'));
+      const hook = received.hook;
+      const expected = hook && crypto.createHmac('sha256', 'test-secret')
+        .update(`${hook.headers['x-job-scraper-timestamp']}.${hook.raw}`).digest('hex');
+      check('webhook signed with HMAC and sent all jobs at min_score 0', status.hook === 'sent'
+        && hook.headers['x-job-scraper-signature'] === `sha256=${expected}` && hook.body.jobs.length === 3);
+      check('a failing channel does not stop the others', status.broken === 'failed');
+      check('an unconfigured channel is skipped', status.unset === 'skipped');
+      check('a disabled channel is left out', status.off === undefined);
+      check('delivered jobs cover every sent channel', delivery.delivered_jobs.length === 3);
+      check('with a failed channel only delivered jobs count as reported', delivery.reported_jobs.length === 3);
+
+      // A relevant job whose report never went out comes back with its stored analysis
+      const reportFile = path.join(os.tmpdir(), `report-test-${process.pid}.jsonl`);
+      const reportStore = await new JobStore(reportFile).load();
+      reportStore.recordScrape(analysisResult.all_jobs);
+      reportStore.recordAnalysis(analysisResult.all_jobs.map(entry => ({ ...entry, is_relevant: entry.ai_analysis.relevance_score >= 7 })));
+      reportStore.markReported([analysisResult.all_jobs[0]]);
+      const rescrape = reportStore.recordScrape(analysisResult.all_jobs.map(entry => ({ ...entry, ai_analysis: undefined })));
+      await fs.remove(reportFile);
+      check('an unreported relevant job is carried to the next run without re-analysis', rescrape.newJobs.length === 0
+        && rescrape.unreportedJobs.length === 1 && rescrape.unreportedJobs[0].title === 'Backend Developer'
+        && rescrape.unreportedJobs[0].ai_analysis.relevance_score === 7.5);
+
+      // Instant alerts: a 9+ job alerts once through Slack, and not during quiet hours
+      const storeFile = path.join(os.tmpdir(), `alert-test-${process.pid}.jsonl`);
+      const store = await new JobStore(storeFile).load();
+      store.recordScrape(analysisResult.all_jobs);
+      const alertProfile = {
+        ...profile,
+        notifications: { slack: profile.notifications.slack },
+        alerts: {
+          enabled: true,
+          timezone: 'UTC',
+          quiet_hours: { start: '22:00', end: '07:00' },
+          max_per_day: 5,
+          rules: [{ name: 'top-score', min_score: 9 }]
+        }
+      };
+      delete received.slack;
+      const held = await sendAlerts(alertProfile, store, analysisResult.all_jobs, { now: new Date('2026-01-05T23:00:00Z'), env: {} });
+      const first = await sendAlerts(alertProfile, store, analysisResult.all_jobs, { now: new Date('2026-01-05T12:00:00Z'), env: {} });
+      const alertText = received.slack && received.slack.body.text;
+      const second = await sendAlerts(alertProfile, store, analysisResult.all_jobs, { now: new Date('2026-01-05T13:00:00Z'), env: {} });
+      await fs.remove(storeFile);
+      check('alerts wait out quiet hours', held.held === 1 && held.sent === 0);
+      check('a job matching an alert rule alerts once', first.sent === 1 && second.matched === 0
+        && alertText && alertText.includes('Senior Node Engineer') && alertText.includes('top-score'));
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    checks.forEach(({ name, ok }) => log(`  ${ok ? '✅' : '❌'} ${name}`, ok ? 'success' : 'error'));
+    if (checks.every(({ ok }) => ok)) {
+      log('✅ All notification channels work against the stand-in server', 'success');
+      return true;
     }
+    return false;
   }
 
   async testN8nService() {
@@ -113,6 +311,317 @@ class SystemTester {
     }
   }
 
+  async testEmailTemplates() {
+    log('🎨 Testing Email Templates...', 'info');
+    const EmailService = require('./scrapers/email-service');
+    const { render } = require('./scrapers/email-renderer');
+
+    const analysisResult = {
+      relevant_jobs: [{
+        title: 'Node <Engineer>',
+        company: 'Acme',
+        location: 'Noida',
+        source: 'Test',
+        link: 'https://example.com/job',
+        ai_analysis: { relevance_score: 8.5, summary: 'Strong match', key_skills: ['Node.js'], pros: ['Remote'], cons: [] }
+      }],
+      analysis_summary: { total_analyzed: 3, relevant_count: 1, average_score: 6, top_companies: [{ company: 'Acme', count: 1 }], top_skills: [] },
+      follow_ups: []
+    };
+    const overrideDir = await fs.mkdtemp(path.join(os.tmpdir(), 'email-templates-'));
+
+    const checks = [];
+    const check = (name, ok) => checks.push({ name, ok: !!ok });
+    try {
+      const email = await new EmailService().renderReport(analysisResult);
+      check('HTML part escapes job fields', email.html.includes('Node &lt;Engineer&gt;') && email.html.includes('<style>'));
+      check('plain-text part lists the job and its link', email.text.includes('1. Node <Engineer> (8.5/10)')
+        && email.text.includes('https://example.com/job') && !email.text.includes('<div'));
+
+      await fs.outputFile(path.join(overrideDir, 'partials', 'job-card.hbs'), '<p class="custom">{{title}} {{score}}</p>');
+      const custom = render('report', new EmailService().reportModel(analysisResult.relevant_jobs, analysisResult.analysis_summary), {
+        emailConfig: { theme: 'default', template_dir: overrideDir },
+        env: {}
+      });
+      check('a template directory replaces single files of the theme', custom.html.includes('<p class="custom">Node &lt;Engineer&gt; 8.5</p>')
+        && custom.html.includes('Daily Job Report') && custom.text.includes('1. Node <Engineer>'));
+
+      await fs.outputFile(path.join(overrideDir, 'report.html.hbs'),
+        '<style>p { color: red; }</style><h1>Picks</h1>{{#each jobs}}<p><a href="{{link}}">{{title}}</a> &amp; more</p>{{/each}}');
+      const derived = render('report', new EmailService().reportModel(analysisResult.relevant_jobs, analysisResult.analysis_summary), {
+        emailConfig: { theme: 'default', template_dir: overrideDir },
+        env: {}
+      });
+      check('an HTML override without a text template gets its text from the HTML',
+        derived.text === 'Picks\n\nNode <Engineer> (https://example.com/job) & more\n');
+    } catch (error) {
+      check(`rendering failed: ${error.message}`, false);
+    } finally {
+      await fs.remove(overrideDir);
+    }
+
+    checks.forEach(({ name, ok }) => log(`  ${ok ? '✅' : '❌'} ${name}`, ok ? 'success' : 'error'));
+    if (checks.every(({ ok }) => ok)) {
+      log('✅ Email templates render HTML and plain-text parts', 'success');
+      return true;
+    }
+    return false;
+  }
+
+  async testJobFilters() {
+    log('🚫 Testing Job Filters...', 'info');
+    const { filterJobs } = require('./scrapers/job-filter');
+    const filters = { min_salary: 1000000, max_salary: 5000000 };
+    const job = (title, salary) => ({ title, company: 'Acme', salary });
+
+    const result = filterJobs([
+      job('Low INR', { min: 400000, max: 600000, currency: 'INR' }),
+      job('High INR', { min: 6000000, max: 8000000, currency: 'INR' }),
+      job('In range INR', { min: 1200000, max: 1800000, currency: 'INR' }),
+      job('USD', { min: 120000, max: 150000, currency: 'USD' }),
+      job('Unknown salary', null)
+    ], filters);
+    const usd = filterJobs([job('USD', { min: 120000, max: 150000, currency: 'USD' })], { min_salary: 130000, salary_currency: 'USD' });
+    const sized = filterJobs([
+      { ...job('Enterprise', null), company_size: 'Enterprise' },
+      { ...job('Startup', null), company_size: 'Startup' },
+      job('No size', null)
+    ], { company_size: ['startup', 'mid-size'] });
+
+    const checks = [];
+    const check = (name, ok) => checks.push({ name, ok: !!ok });
+    const kept = result.accepted.map(entry => entry.title);
+    check('salaries outside the INR limits are removed', result.summary.by_filter.min_salary === 1
+      && result.summary.by_filter.max_salary === 1 && kept.includes('In range INR'));
+    check('a salary in another currency is kept, not compared with INR limits', kept.includes('USD'));
+    check('jobs without a salary are kept', kept.includes('Unknown salary'));
+    check('salary_currency sets the currency of the limits', usd.accepted.length === 1);
+    check('company_size removes listed sizes only when the posting has one', sized.summary.by_filter.company_size === 1
+      && sized.accepted.length === 2);
+    check('jobs without a company size are counted as no data', sized.summary.no_data.company_size === 1
+      && !result.summary.no_data.company_size);
+
+    checks.forEach(({ name, ok }) => log(`  ${ok ? '✅' : '❌'} ${name}`, ok ? 'success' : 'error'));
+    if (checks.every(({ ok }) => ok)) {
+      log('✅ Job filters check salaries in the configured currency and company size when known', 'success');
+      return true;
+    }
+    return false;
+  }
+
+  async testResumeParser() {
+    log('📄 Testing Resume Parser...', 'info');
+    const { buildProfile } = require('./scrapers/resume-parser');
+    const profile = buildProfile([
+      'Jane Doe',
+      'Skills',
+      'Expert in Node.js, strong JavaScript, Familiar with Go',
+      'Advanced: React, Vue',
+      'Machine Learning',
+      'Summary',
+      'Backend engineer. Proficient in Python and familiar with Rust.'
+    ].join('\n'), { now: new Date('2026-01-05T00:00:00Z') });
+    const skill = name => profile.skills.find(entry => entry.name === name) || {};
+
+    const checks = [];
+    const check = (name, ok) => checks.push({ name, ok: !!ok });
+    check('proficiency phrases are not read as skills', !profile.skills.some(entry => /expert|strong|familiar/i.test(entry.name))
+      && profile.skills.every(entry => entry.category !== 'other'));
+    check('each listed skill takes the level written next to it', skill('Node.js').proficiency === 'expert'
+      && skill('JavaScript').proficiency === 'advanced' && skill('Go').proficiency === 'beginner');
+    check('a level in the line label applies to the whole line', skill('React').proficiency === 'advanced'
+      && skill('Vue.js').proficiency === 'advanced');
+    check('a level in prose applies to its own clause', skill('Python').proficiency === 'advanced'
+      && skill('Rust').proficiency === 'beginner');
+    check('"Machine Learning" is a skill, not a beginner level', skill('Machine Learning').proficiency === 'intermediate');
+
+    checks.forEach(({ name, ok }) => log(`  ${ok ? '✅' : '❌'} ${name}`, ok ? 'success' : 'error'));
+    if (checks.every(({ ok }) => ok)) {
+      log('✅ Resume parser reads skills and their levels', 'success');
+      return true;
+    }
+    return false;
+  }
+
+  async testQueryPlanner() {
+    log('🧭 Testing Query Planner...', 'info');
+    const { planQueries, describeQuery } = require('./scrapers/query-planner');
+    const criteria = {
+      roles: ['Full Stack Developer', 'Backend Developer', 'Software Engineer', 'DevOps Engineer', 'Frontend Developer'],
+      primary_locations: ['Delhi', 'Noida', 'Gurgaon', 'Gurugram'],
+      secondary_locations: ['Mumbai', 'Bangalore', 'Hyderabad'],
+      posted_within_days: [7, 30]
+    };
+    const shipped = planQueries({ max_search_requests: 12 }, criteria);
+    const full = planQueries({ max_search_requests: 100 }, criteria);
+    const pairs = full.slice(0, 30).map(query => `${query.role} in ${query.location}`);
+
+    const checks = [];
+    const check = (name, ok) => checks.push({ name, ok: !!ok });
+    check('Gurgaon and Gurugram are searched as one location', !full.some(query => query.location === 'Gurugram'));
+    check('every location is searched within the first round', new Set(shipped.slice(0, 6).map(query => query.location)).size === 6
+      && shipped.length === 12);
+    check('every role × location pair comes up once before any repeats', new Set(pairs).size === 30
+      && pairs.includes('DevOps Engineer in Bangalore') && full.slice(0, 30).every(query => query.posted_within_days === 7));
+    check('queries read as "<role> in <location>"', describeQuery(shipped[0]) === 'Full Stack Developer in Delhi (last 7 days)');
+
+    checks.forEach(({ name, ok }) => log(`  ${ok ? '✅' : '❌'} ${name}`, ok ? 'success' : 'error'));
+    if (checks.every(({ ok }) => ok)) {
+      log('✅ Query planner spreads searches across roles and locations', 'success');
+      return true;
+    }
+    return false;
+  }
+
+  async testDedupe() {
+    log('🔗 Testing Duplicate Merging...', 'info');
+    const { dedupeJobs } = require('./scrapers/dedupe');
+    const merged = dedupeJobs([
+      { title: 'Sr. Software Engineer – Backend', company: 'Acme Technologies Pvt Ltd', location: 'Noida', source: 'naukri', link: 'https://www.naukri.com/job/1' },
+      { title: 'Senior Backend Software Engineer', company: 'Acme Technologies', location: 'Noida, Uttar Pradesh', source: 'linkedin', link: 'https://www.linkedin.com/jobs/view/2' },
+      { title: 'Frontend Developer', company: 'Acme Technologies', location: 'Noida', source: 'linkedin', link: 'https://www.linkedin.com/jobs/view/3' }
+    ]);
+    const backend = merged.find(job => /backend/i.test(job.title)) || {};
+    const links = (backend.sources || []).map(source => source.link);
+
+    const checks = [];
+    const check = (name, ok) => checks.push({ name, ok: !!ok });
+    check('the same job on Naukri and LinkedIn becomes one record', merged.length === 2);
+    check('the merged record keeps both source links', links.includes('https://www.naukri.com/job/1')
+      && links.includes('https://www.linkedin.com/jobs/view/2'));
+    check('a different role at the same company stays separate', merged.some(job => job.title === 'Frontend Developer'
+      && job.sources.length === 1));
+
+    checks.forEach(({ name, ok }) => log(`  ${ok ? '✅' : '❌'} ${name}`, ok ? 'success' : 'error'));
+    if (checks.every(({ ok }) => ok)) {
+      log('✅ Duplicate postings are merged across boards', 'success');
+      return true;
+    }
+    return false;
+  }
+
+  async testFieldParser() {
+    log('🧾 Testing Field Parser...', 'info');
+    const { parseSalary, parseExperience, parsePostedDate } = require('./scrapers/field-parser');
+    const scrapedAt = '2026-01-10T00:00:00.000Z';
+    const lacs = parseSalary('₹ 8-12 Lacs PA') || {};
+    const crore = parseSalary('1.2 Cr') || {};
+    const monthly = parseSalary('₹40,000 a month') || {};
+
+    const checks = [];
+    const check = (name, ok) => checks.push({ name, ok: !!ok });
+    check('"₹ 8-12 Lacs PA" is 8 to 12 lakh a year', lacs.min === 800000 && lacs.max === 1200000 && lacs.currency === 'INR');
+    check('"1.2 Cr" is 1.2 crore', crore.min === 12000000 && crore.max === 12000000);
+    check('a monthly salary is turned into a yearly one', monthly.min === 480000);
+    check('a bare count is not a salary', parseSalary('3 openings') === null);
+    check('experience ranges and minimums are read', parseExperience('3-5 Yrs').max === 5 && parseExperience('5+ years').min === 5);
+    check('"Posted 2 days ago" is two days before the scrape', parsePostedDate('Posted 2 days ago', scrapedAt) === '2026-01-08T00:00:00.000Z'
+      && parsePostedDate('Just posted', scrapedAt) === scrapedAt);
+
+    checks.forEach(({ name, ok }) => log(`  ${ok ? '✅' : '❌'} ${name}`, ok ? 'success' : 'error'));
+    if (checks.every(({ ok }) => ok)) {
+      log('✅ Field parser reads salaries, experience and posting dates', 'success');
+      return true;
+    }
+    return false;
+  }
+
+  async testAnalysisCache() {
+    log('🗃️ Testing Analysis Cache...', 'info');
+    const AnalysisCache = require('./scrapers/analysis-cache');
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'analysis-cache-'));
+    const file = path.join(dir, 'cache.json');
+    const settings = { model: 'llama3', promptVersion: 3, profile: { skills: ['Node.js'] } };
+    const job = { title: 'Backend Developer', company: 'Acme', description: 'Build APIs', posted_at: '2026-01-08T00:00:00.000Z' };
+
+    const checks = [];
+    const check = (name, ok) => checks.push({ name, ok: !!ok });
+    try {
+      const cache = new AnalysisCache(settings, file);
+      const key = cache.keyFor(job);
+      check('the key ignores posted_at and whitespace', key === cache.keyFor({ ...job, title: ' backend  developer ', posted_at: null }));
+      check('the key changes with the description and the model', key !== cache.keyFor({ ...job, description: 'Build UIs' })
+        && key !== new AnalysisCache({ ...settings, model: 'qwen2.5' }, file).keyFor(job));
+      cache.setExamples([{ title: 'Node Engineer', label: 'applied' }]);
+      check('feedback examples in the prompt change the key', cache.keyFor(job) !== key);
+
+      const stale = new Date(Date.now() - (cache.ttlMs + 60000)).toISOString();
+      await fs.writeJson(file, {
+        profile_hash: cache.profileHash,
+        entries: {
+          fresh: { analysis: { relevance_score: 8 }, cached_at: new Date().toISOString() },
+          stale: { analysis: { relevance_score: 6 }, cached_at: stale }
+        }
+      });
+      const loaded = await new AnalysisCache(settings, file).load();
+      check('entries older than ttl_days are dropped on load', loaded.entries.fresh && !loaded.entries.stale);
+      const otherProfile = await new AnalysisCache({ ...settings, profile: { skills: ['Go'] } }, file).load();
+      check('a changed profile starts an empty cache', Object.keys(otherProfile.entries).length === 0
+        && otherProfile.stats().invalidated_for_profile_change);
+    } catch (error) {
+      check(`cache failed: ${error.message}`, false);
+    } finally {
+      await fs.remove(dir);
+    }
+
+    checks.forEach(({ name, ok }) => log(`  ${ok ? '✅' : '❌'} ${name}`, ok ? 'success' : 'error'));
+    if (checks.every(({ ok }) => ok)) {
+      log('✅ Analysis cache keys on job content and expires old entries', 'success');
+      return true;
+    }
+    return false;
+  }
+
+  async testScheduler() {
+    log('⏰ Testing Scheduler...', 'info');
+    const { Scheduler, findOccurrence } = require('./scrapers/scheduler');
+    // 10:30 in Asia/Kolkata; the daily slot is 09:30 there, 04:00 UTC
+    const now = new Date('2026-01-10T05:00:00.000Z');
+    const previous = findOccurrence('30 9 * * *', 'Asia/Kolkata', now, -1, 12 * 60);
+    const next = findOccurrence('30 9 * * *', 'Asia/Kolkata', now, 1, 32 * 24 * 60);
+
+    const history = {
+      readAll: async () => [
+        { type: 'workflow', profiles: ['default'], started_at: '2026-01-10T04:00:30.000Z' },
+        { type: 'workflow', profiles: ['backend'], started_at: '2026-01-09T04:00:30.000Z' },
+        { type: 'scan', profiles: ['frontend'], started_at: '2026-01-10T04:30:00.000Z' }
+      ]
+    };
+    const scheduler = new Scheduler({ runManager: null, task: () => null, history });
+    scheduler.settings = {
+      enabled: true,
+      timezone: 'Asia/Kolkata',
+      catch_up: true,
+      catch_up_hours: 12,
+      profiles: {
+        default: { cron: '30 9 * * *' },
+        backend: { cron: '30 9 * * *' },
+        frontend: { cron: '30 9 * * *' },
+        paused: { cron: '30 9 * * *', enabled: false },
+        weekly: { cron: '0 8 * * 1' }
+      }
+    };
+    const fired = [];
+    scheduler.fire = (profile, trigger) => fired.push(`${profile}:${trigger}`);
+    await scheduler.catchUp(now);
+
+    const checks = [];
+    const check = (name, ok) => checks.push({ name, ok: !!ok });
+    check('the previous slot is found in the schedule timezone', previous && previous.toISOString() === '2026-01-10T04:00:00.000Z');
+    check('the next slot is the following day', next && next.toISOString() === '2026-01-11T04:00:00.000Z');
+    check('no slot is found outside the window', findOccurrence('30 9 * * *', 'Asia/Kolkata', now, -1, 30) === null);
+    check('catch-up runs profiles whose latest slot had no workflow run', fired.includes('backend:catch_up')
+      && fired.includes('frontend:catch_up'));
+    check('catch-up skips profiles already run, disabled or without a recent slot', fired.length === 2);
+
+    checks.forEach(({ name, ok }) => log(`  ${ok ? '✅' : '❌'} ${name}`, ok ? 'success' : 'error'));
+    if (checks.every(({ ok }) => ok)) {
+      log('✅ Scheduler finds its slots and catches up missed runs', 'success');
+      return true;
+    }
+    return false;
+  }
+
   async testScraping() {
     log('🕷️ Testing Job Scraping...', 'info');
     try {
@@ -120,7 +629,7 @@ class SystemTester {
       const scraper = new JobScraper();
       
       log('  Testing Indeed scraper...', 'info');
-      const jobs = await scraper.scrapeIndeed();
+      const jobs = await scraper.scrapeSite('indeed', config.sites.indeed);
       
       if (jobs.length > 0) {
         log(`✅ Scraping test successful: ${jobs.length} jobs found`, 'success');
@@ -169,17 +678,29 @@ class SystemTester {
   async testCompleteWorkflow() {
     log('🔄 Testing Complete Workflow...', 'info');
     try {
-      const response = await axios.post(`${this.scraperUrl}/api/workflow`, {}, {
-        timeout: 120000 // 2 minutes timeout
-      });
+      // The server answers at once with a run ID; poll the run until it finishes
+      const started = await axios.post(`${this.scraperUrl}/api/workflow`, {}, { timeout: 10000 });
+      log(`  Started run ${started.data.run_id}`, 'info');
+      
+      const deadline = Date.now() + 120000; // 2 minutes timeout
+      let run;
+      do {
+        await new Promise(resolve => setTimeout(resolve, 3000));
+        run = (await axios.get(`${this.scraperUrl}${started.data.status_url}`, { timeout: 5000 })).data.run;
+      } while (['running', 'cancelling'].includes(run.status) && Date.now() < deadline);
       
-      if (response.data.success) {
+      if (run.status === 'success') {
         log('✅ Complete workflow test successful', 'success');
-        log(`  Summary: ${JSON.stringify(response.data.summary)}`, 'info');
+        log(`  Steps: ${run.steps.map(step => step.name).join(' → ')}`, 'info');
+        log(`  Summary: ${JSON.stringify(run.summary)}`, 'info');
         this.results.workflow = true;
         return true;
+      } else if (run.status === 'running') {
+        log(`❌ Workflow test timed out in step "${run.current_step}"`, 'error');
+        await axios.delete(`${this.scraperUrl}/api/runs/${run.id}`, { timeout: 10000 }).catch(() => {});
+        return false;
       } else {
-        log(`❌ Workflow test failed: ${response.data.error}`, 'error');
+        log(`❌ Workflow test failed: ${run.error}`, 'error');
         return false;
       }
     } catch (error) {
@@ -194,9 +715,19 @@ class SystemTester {
 
     const tests = [
       { name: 'Scraper Service', fn: () => this.testScraperService() },
-      { name: 'Ollama AI Service', fn: () => this.testOllamaService() },
+      { name: 'AI Service', fn: () => this.testLLMService() },
+      { name: 'LLM Provider Adapters', fn: () => this.testLLMProviders() },
+      { name: 'Notification Channels', fn: () => this.testNotifiers() },
       { name: 'n8n Service', fn: () => this.testN8nService() },
       { name: 'Email Configuration', fn: () => this.testEmailConfiguration() },
+      { name: 'Email Templates', fn: () => this.testEmailTemplates() },
+      { name: 'Job Filters', fn: () => this.testJobFilters() },
+      { name: 'Resume Parser', fn: () => this.testResumeParser() },
+      { name: 'Query Planner', fn: () => this.testQueryPlanner() },
+      { name: 'Duplicate Merging', fn: () => this.testDedupe() },
+      { name: 'Field Parser', fn: () => this.testFieldParser() },
+      { name: 'Analysis Cache', fn: () => this.testAnalysisCache() },
+      { name: 'Scheduler', fn: () => this.testScheduler() },
       { name: 'Job Scraping', fn: () => this.testScraping() },
       { name: 'AI Analysis', fn: () => this.testAIAnalysis() },
       { name: 'Complete Workflow', fn: () => this.testCompleteWorkflow() }